@@ -0,0 +1,209 @@
+import { supabaseClient, joinFamilyTree } from './supabase-client.js'
+import { AUTH_CONFIG } from './config.js'
+import { openModal } from './modal.js'
+
+/**
+ * Accounts & tree roles
+ *
+ * An auth backend signs people in and works out their role in a tree:
+ * {
+ *   name: 'supabase',
+ *   getUser()                       -> Promise<{ id, email } | null>
+ *   signIn(email)                   -> { success, error, linkSent }
+ *   signOut()                       -> { success, error }
+ *   getTreeRole(treeCode)           -> { success, data: 'owner' | 'editor' | 'viewer', error }
+ *   onChange(callback)              -> callback(user | null) after signing in or out
+ * }
+ * The Supabase backend emails a magic link and reads roles from tree_members.
+ * treeCode is the tree code or share token the tree was opened with (an edit
+ * link's token makes the user an editor).
+ * The local backend signs in straight away with any email and hands out
+ * AUTH_CONFIG.localRole, so the signed-in UI can be tried without email.
+ */
+
+export const TREE_ROLES = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer'
+}
+
+/**
+ * Whether a role may change the tree's people, relationships, sources, ...
+ */
+export function canEditWithRole(role) {
+  return role === 'owner' || role === 'editor'
+}
+
+// ==================== SUPABASE AUTH ====================
+
+function toUser(authUser) {
+  return authUser ? { id: authUser.id, email: authUser.email || '' } : null
+}
+
+export function createSupabaseAuth() {
+  return {
+    name: 'supabase',
+
+    async getUser() {
+      const { data } = await supabaseClient.auth.getSession()
+      return toUser(data?.session?.user)
+    },
+
+    async signIn(email) {
+      try {
+        const { error } = await supabaseClient.auth.signInWithOtp({
+          email,
+          options: { emailRedirectTo: window.location.href }
+        })
+
+        if (error) throw error
+
+        return { success: true, linkSent: true }
+      } catch (error) {
+        console.error('Error sending sign-in link:', error)
+        return { success: false, error: error.message }
+      }
+    },
+
+    async signOut() {
+      try {
+        const { error } = await supabaseClient.auth.signOut()
+
+        if (error) throw error
+
+        return { success: true }
+      } catch (error) {
+        console.error('Error signing out:', error)
+        return { success: false, error: error.message }
+      }
+    },
+
+    getTreeRole(treeCode) {
+      return joinFamilyTree(treeCode)
+    },
+
+    onChange(callback) {
+      supabaseClient.auth.onAuthStateChange((event, session) => {
+        if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') callback(toUser(session?.user))
+      })
+    }
+  }
+}
+
+// ==================== LOCAL STAND-IN ====================
+
+const LOCAL_USER_KEY = 'family-tree-local-user'
+
+export function createLocalAuth(role = AUTH_CONFIG.localRole) {
+  const listeners = []
+  const notify = (user) => listeners.forEach(callback => callback(user))
+
+  return {
+    name: 'local',
+
+    async getUser() {
+      try {
+        return JSON.parse(localStorage.getItem(LOCAL_USER_KEY))
+      } catch {
+        return null
+      }
+    },
+
+    async signIn(email) {
+      const user = { id: crypto.randomUUID(), email }
+      localStorage.setItem(LOCAL_USER_KEY, JSON.stringify(user))
+      notify(user)
+      return { success: true, linkSent: false }
+    },
+
+    async signOut() {
+      localStorage.removeItem(LOCAL_USER_KEY)
+      notify(null)
+      return { success: true }
+    },
+
+    async getTreeRole() {
+      return { success: true, data: role }
+    },
+
+    onChange(callback) {
+      listeners.push(callback)
+    }
+  }
+}
+
+// ==================== ACTIVE BACKEND ====================
+
+let activeAuth = null
+
+/**
+ * The backend chosen in AUTH_CONFIG (created on first use)
+ */
+export function getAuth() {
+  if (!activeAuth) {
+    activeAuth = AUTH_CONFIG.provider === 'local' ? createLocalAuth() : createSupabaseAuth()
+  }
+  return activeAuth
+}
+
+/**
+ * Swap in another backend
+ */
+export function setAuth(auth) {
+  activeAuth = auth
+}
+
+// ==================== SIGN-IN DIALOG ====================
+
+/**
+ * Ask for an email address and sign in with it
+ * Resolves with the user when signed in straight away, or null when a magic
+ * link was emailed (the page reloads signed in once it is followed) or the
+ * dialog was cancelled.
+ */
+export async function openSignInDialog() {
+  const auth = getAuth()
+  let user = null
+
+  const { result } = openModal({
+    title: 'Sign in',
+    body: `
+      <label for="signInEmail">Email</label>
+      <input type="email" id="signInEmail" placeholder="you@example.com" autocomplete="email">
+      <p class="sign-in-message">${auth.name === 'local'
+        ? 'Local test mode: you are signed in immediately, no email is sent.'
+        : 'We will email you a link that signs you in. No password needed.'}</p>
+    `,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: auth.name === 'local' ? 'Sign in' : 'Email me a link', value: 'sign-in', variant: 'primary' }
+    ],
+    onAction: async (value, body) => {
+      if (value !== 'sign-in') return true
+      const input = body.querySelector('#signInEmail')
+      const message = body.querySelector('.sign-in-message')
+      const email = input.value.trim()
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        message.textContent = 'Please enter a valid email address.'
+        input.focus()
+        return false
+      }
+
+      const res = await auth.signIn(email)
+      if (!res.success) {
+        message.textContent = `Could not sign in: ${res.error}`
+        return false
+      }
+      if (res.linkSent) {
+        message.textContent = `Check ${email} for your sign-in link. You can close this window.`
+        return false
+      }
+      user = await auth.getUser()
+      return true
+    }
+  })
+  setTimeout(() => document.getElementById('signInEmail')?.focus(), 0)
+
+  await result
+  return user
+}
@@ -0,0 +1,240 @@
+/**
+ * Full-fidelity JSON backups
+ *
+ * A backup is a versioned snapshot of one tree:
+ * {
+ *   format: 'family-tree-backup',
+ *   version: 3,
+ *   exported_at: '2026-01-01T00:00:00.000Z',
+ *   tree: { ...family_trees row },
+ *   members: [ ...family_members rows ],
+ *   parent_child_relationships: [ ... ],
+ *   spousal_relationships: [ ... ],
+ *   custom_field_definitions: [ ... ],  // since version 2
+ *   sources: [ ... ],                   // since version 3
+ *   citations: [ ... ]                  // since version 3
+ * }
+ *
+ * Rows are stored verbatim so new columns are carried along automatically.
+ * Restoring always creates new ids; the old ids are used as import plan keys
+ * so relationships can be remapped (see import-plan.js).
+ */
+
+import { getParentChildType } from './tree-data.js'
+
+export const BACKUP_FORMAT = 'family-tree-backup'
+export const BACKUP_VERSION = 3
+
+// Columns that belong to the database row rather than to the person.
+// avatar_media_id points at a member_media row, and files are not part of a backup.
+const ROW_META_COLUMNS = ['id', 'tree_id', 'created_at', 'updated_at', 'is_main', 'avatar_media_id']
+
+/**
+ * Build a snapshot object from the currently loaded tree
+ */
+export function createBackupSnapshot({ tree, members, parentChildRels, spousalRels, customFields = [], sources = [], citations = [] }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    tree: { ...tree },
+    members: members.map(m => ({ ...m })),
+    parent_child_relationships: parentChildRels.map(r => ({ ...r })),
+    spousal_relationships: spousalRels.map(r => ({ ...r })),
+    custom_field_definitions: customFields.map(f => ({ ...f })),
+    sources: sources.map(src => ({ ...src })),
+    citations: citations.map(c => ({ ...c }))
+  }
+}
+
+/**
+ * Quick check used when sniffing an uploaded file
+ */
+export function isBackupText(text) {
+  return /^\s*\{/.test(text) && text.includes(`"${BACKUP_FORMAT}"`)
+}
+
+/**
+ * Parse and validate backup JSON
+ * Throws an Error with a user-facing message when the file is unusable.
+ */
+export function parseBackupSnapshot(text) {
+  let snapshot
+  try {
+    snapshot = JSON.parse(text)
+  } catch (error) {
+    throw new Error('This backup file is not valid JSON.')
+  }
+
+  if (!snapshot || snapshot.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a family tree backup.')
+  }
+  if (typeof snapshot.version !== 'number' || snapshot.version < 1) {
+    throw new Error('This backup has an unknown version.')
+  }
+  if (snapshot.version > BACKUP_VERSION) {
+    throw new Error('This backup was created by a newer version of the app.')
+  }
+
+  const lists = ['members', 'parent_child_relationships', 'spousal_relationships']
+  lists.forEach(key => {
+    if (!Array.isArray(snapshot[key])) throw new Error(`This backup is missing its ${key.replace(/_/g, ' ')}.`)
+  })
+  // Lists added in later versions are optional
+  const optionalLists = ['custom_field_definitions', 'sources', 'citations']
+  optionalLists.forEach(key => {
+    if (!Array.isArray(snapshot[key])) snapshot[key] = []
+  })
+
+  return snapshot
+}
+
+function stripRowMeta(row) {
+  const data = { ...row }
+  ROW_META_COLUMNS.forEach(column => delete data[column])
+  return data
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|')
+}
+
+/**
+ * Turn a snapshot into an import plan
+ * @param {Object} snapshot - Parsed backup
+ * @param {Object} [existing] - Current tree contents when merging:
+ *   { members, parentChildRels, spousalRels, sources, citations }. People,
+ *   links, sources and citations that are already present (same id / same
+ *   pair) are kept instead of duplicated.
+ */
+export function buildRestorePlan(snapshot, existing = null) {
+  const plan = {
+    source: 'Backup',
+    treeName: snapshot.tree?.tree_name || '',
+    mainKey: null,
+    fieldDefinitions: snapshot.custom_field_definitions.map(({ id, tree_id, created_at, ...definition }) => definition),
+    members: [],
+    parentChild: [],
+    spousal: [],
+    sources: [],
+    citations: [],
+    skipped: [],
+    warnings: []
+  }
+
+  const existingIds = new Set((existing?.members || []).map(m => m.id))
+  const existingPc = new Set((existing?.parentChildRels || []).map(r => `${r.parent_id}|${r.child_id}`))
+  const existingSp = new Set((existing?.spousalRels || []).map(r => pairKey(r.person1_id, r.person2_id)))
+  const snapshotIds = new Set()
+  let kept = 0
+
+  snapshot.members.forEach(member => {
+    if (!member.id) {
+      plan.warnings.push('A member without an id was skipped')
+      return
+    }
+    snapshotIds.add(member.id)
+    if (member.is_main) plan.mainKey = member.id
+
+    if (existingIds.has(member.id)) {
+      plan.members.push({ key: member.id, existingId: member.id, data: stripRowMeta(member) })
+      kept++
+    } else {
+      plan.members.push({ key: member.id, data: stripRowMeta(member) })
+    }
+  })
+
+  let danglingLinks = 0
+  let keptLinks = 0
+
+  snapshot.parent_child_relationships.forEach(rel => {
+    if (!snapshotIds.has(rel.parent_id) || !snapshotIds.has(rel.child_id)) {
+      danglingLinks++
+      return
+    }
+    if (existingPc.has(`${rel.parent_id}|${rel.child_id}`)) {
+      keptLinks++
+      return
+    }
+    plan.parentChild.push({ parentKey: rel.parent_id, childKey: rel.child_id, type: getParentChildType(rel) })
+  })
+
+  snapshot.spousal_relationships.forEach(rel => {
+    if (!snapshotIds.has(rel.person1_id) || !snapshotIds.has(rel.person2_id)) {
+      danglingLinks++
+      return
+    }
+    if (existingSp.has(pairKey(rel.person1_id, rel.person2_id))) {
+      keptLinks++
+      return
+    }
+    plan.spousal.push({
+      person1Key: rel.person1_id,
+      person2Key: rel.person2_id,
+      type: rel.relationship_type,
+      details: { start_date: rel.start_date || null, end_date: rel.end_date || null, place: rel.place || null }
+    })
+  })
+
+  if (kept > 0) plan.skipped.push(`${kept} ${kept === 1 ? 'person is' : 'people are'} already in this tree`)
+  if (keptLinks > 0) plan.skipped.push(`${keptLinks} relationship${keptLinks === 1 ? ' is' : 's are'} already in this tree`)
+  if (danglingLinks > 0) plan.warnings.push(`${danglingLinks} relationship${danglingLinks === 1 ? '' : 's'} pointed at missing people and will not be restored`)
+
+  addSourcesToPlan(plan, snapshot, snapshotIds, existing)
+
+  return plan
+}
+
+/**
+ * Add the snapshot's sources and citations to a restore plan
+ * Citations on relationships refer to them by their member pair, because
+ * relationship rows get new ids when they are recreated.
+ */
+function addSourcesToPlan(plan, snapshot, snapshotIds, existing) {
+  const existingSources = new Set((existing?.sources || []).map(src => src.id))
+  const existingCitations = new Set((existing?.citations || []).map(c => c.id))
+  const pcById = new Map(snapshot.parent_child_relationships.map(r => [r.id, r]))
+  const spById = new Map(snapshot.spousal_relationships.map(r => [r.id, r]))
+  const sourceIds = new Set()
+  let keptCitations = 0
+  let danglingCitations = 0
+
+  snapshot.sources.forEach(source => {
+    if (!source.id) return
+    sourceIds.add(source.id)
+    const { id, tree_id, created_at, ...data } = source
+    plan.sources.push(existingSources.has(id) ? { key: id, existingId: id, data } : { key: id, data })
+  })
+
+  snapshot.citations.forEach(citation => {
+    if (existingCitations.has(citation.id)) {
+      keptCitations++
+      return
+    }
+    const entry = {
+      sourceKey: citation.source_id,
+      data: { detail: citation.detail || null, confidence: citation.confidence }
+    }
+    const pc = pcById.get(citation.parent_child_relationship_id)
+    const sp = spById.get(citation.spousal_relationship_id)
+    if (citation.member_id && snapshotIds.has(citation.member_id)) {
+      entry.memberKey = citation.member_id
+      entry.fact = citation.fact
+    } else if (pc && snapshotIds.has(pc.parent_id) && snapshotIds.has(pc.child_id)) {
+      entry.parentChild = { parentKey: pc.parent_id, childKey: pc.child_id }
+    } else if (sp && snapshotIds.has(sp.person1_id) && snapshotIds.has(sp.person2_id)) {
+      entry.spousal = { person1Key: sp.person1_id, person2Key: sp.person2_id }
+    } else {
+      danglingCitations++
+      return
+    }
+    if (!sourceIds.has(entry.sourceKey)) {
+      danglingCitations++
+      return
+    }
+    plan.citations.push(entry)
+  })
+
+  if (keptCitations > 0) plan.skipped.push(`${keptCitations} citation${keptCitations === 1 ? ' is' : 's are'} already in this tree`)
+  if (danglingCitations > 0) plan.warnings.push(`${danglingCitations} citation${danglingCitations === 1 ? '' : 's'} pointed at missing people, relationships or sources and will not be restored`)
+}
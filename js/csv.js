@@ -0,0 +1,363 @@
+/**
+ * CSV spreadsheet import/export
+ *
+ * The sheet has one row per person. Relationships are expressed through ids:
+ *   id, first_name, last_name, name_type, other_names, gender, birthday, death,
+ *   birth_place, death_place, burial_place, living_status, parent_ids, parent_types,
+ *   spouse_ids, spouse_types
+ * birthday / death hold genealogical dates ("12 Mar 1921", "abt. 1850", "1921").
+ * living_status is "living", "deceased" or blank to work it out from the dates.
+ * Multiple parent/spouse ids are separated by ";"; parent_types lines up with
+ * parent_ids ("biological;adoptive") and spouse_types with spouse_ids
+ * ("married;divorced"). other_names lists further names as type:Given /Surname/
+ * ("married:Mary /Walsh/;alias:Molly //").
+ */
+
+import { SPOUSAL_RELATIONSHIP_TYPES, PARENT_CHILD_RELATIONSHIP_TYPES, getParentChildType } from './tree-data.js'
+import { parseGenealogicalDate, toGedcomDate, getDateYear, formatStoredDate } from './dates.js'
+import { NAME_TYPES, DEFAULT_NAME_TYPE, normalizeOtherNames } from './names.js'
+import { LIVING_STATUSES } from './privacy.js'
+
+export const CSV_LIST_SEPARATOR = ';'
+
+/**
+ * Fields a CSV column can be mapped onto, with header names we recognise
+ */
+export const CSV_FIELDS = [
+  { key: 'id', label: 'Person id', aliases: ['id', 'personid', 'memberid', 'key'] },
+  { key: 'first_name', label: 'First name', aliases: ['firstname', 'first', 'given', 'givenname', 'givennames', 'forename'] },
+  { key: 'last_name', label: 'Last name', aliases: ['lastname', 'last', 'surname', 'familyname'] },
+  { key: 'name_type', label: 'Name type', aliases: ['nametype'] },
+  { key: 'other_names', label: 'Other names', aliases: ['othernames', 'aliases', 'alsoknownas', 'aka', 'maidenname'] },
+  { key: 'gender', label: 'Gender', aliases: ['gender', 'sex'] },
+  { key: 'birthday', label: 'Date of birth', aliases: ['birthday', 'birth', 'birthdate', 'dateofbirth', 'dob', 'birthyear', 'yearofbirth', 'born'] },
+  { key: 'death', label: 'Date of death', aliases: ['death', 'deathdate', 'dateofdeath', 'dod', 'deathyear', 'yearofdeath', 'died'] },
+  { key: 'birth_place', label: 'Place of birth', aliases: ['birthplace', 'placeofbirth', 'bornin'] },
+  { key: 'death_place', label: 'Place of death', aliases: ['deathplace', 'placeofdeath', 'diedin'] },
+  { key: 'burial_place', label: 'Place of burial', aliases: ['burialplace', 'placeofburial', 'buried', 'burial'] },
+  { key: 'living_status', label: 'Living status', aliases: ['livingstatus', 'living', 'isliving'] },
+  { key: 'parent_ids', label: 'Parent ids', aliases: ['parentids', 'parents', 'parent', 'parentid'] },
+  { key: 'parent_types', label: 'Parent relationship types', aliases: ['parenttypes', 'parenttype', 'parentrelationships', 'pedigree'] },
+  { key: 'spouse_ids', label: 'Spouse ids', aliases: ['spouseids', 'spouses', 'spouse', 'spouseid', 'partnerids', 'partners'] },
+  { key: 'spouse_types', label: 'Spouse relationship types', aliases: ['spousetypes', 'relationshiptypes', 'partnertypes', 'spousetype'] }
+]
+
+// ==================== PARSING ====================
+
+function detectDelimiter(headerLine) {
+  const counts = { ',': 0, ';': 0, '\t': 0 }
+  let inQuotes = false
+  for (const char of headerLine) {
+    if (char === '"') inQuotes = !inQuotes
+    else if (!inQuotes && char in counts) counts[char]++
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',')
+}
+
+// A cell a spreadsheet would take for a formula, possibly already behind
+// quote marks of its own; the export adds one more ' to these
+const FORMULA_START = /^'*[=+\-@\t\r]/
+
+function unescapeFormula(field) {
+  return field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field
+}
+
+/**
+ * Parse RFC 4180 CSV text into { headers, rows } (rows are arrays of strings)
+ * A leading ' that exportCsv put before a formula-like cell is removed.
+ * Comma, semicolon and tab delimiters are detected from the header line.
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(source.split(/\r\n|\r|\n/)[0] || '')
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(unescapeFormula(field))
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      record.push(unescapeFormula(field))
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(unescapeFormula(field))
+    records.push(record)
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''))
+  const [headers = [], ...rows] = nonEmpty
+  return { headers: headers.map(h => h.trim()), rows }
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Guess which CSV column feeds each field
+ * @returns {Object} field key -> column index (or -1 when unmapped)
+ */
+export function guessCsvMapping(headers) {
+  const normalized = headers.map(normalizeHeader)
+  const mapping = {}
+  CSV_FIELDS.forEach(field => {
+    mapping[field.key] = normalized.findIndex(h => h === normalizeHeader(field.key) || field.aliases.includes(h))
+  })
+  return mapping
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(CSV_LIST_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean)
+}
+
+/**
+ * "married:Mary /Walsh/;alias:Molly //" -> other_names entries
+ * Without slashes the last word is taken as the surname.
+ */
+function parseOtherNames(value) {
+  return normalizeOtherNames(splitList(value).map(entry => {
+    const typeMatch = entry.match(/^([a-z]+)\s*:\s*(.*)$/i)
+    const type = typeMatch && Object.hasOwn(NAME_TYPES, typeMatch[1].toLowerCase()) ? typeMatch[1].toLowerCase() : 'alias'
+    const text = typeMatch ? typeMatch[2] : entry
+    const surname = text.match(/\/([^/]*)\/?/)
+    if (surname) {
+      return { type, first_name: text.replace(/\/[^/]*\/?/, ' '), last_name: surname[1] }
+    }
+    const words = text.trim().split(/\s+/)
+    return { type, first_name: words.length > 1 ? words.slice(0, -1).join(' ') : words[0], last_name: words.length > 1 ? words[words.length - 1] : '' }
+  })).map(name => ({ ...name, first_name: name.first_name.replace(/\s+/g, ' ') }))
+}
+
+function formatOtherNames(names) {
+  return normalizeOtherNames(names)
+    .map(name => `${name.type}:${name.first_name}${name.first_name ? ' ' : ''}/${name.last_name}/`)
+    .join(CSV_LIST_SEPARATOR)
+}
+
+function normalizeGender(value) {
+  const v = String(value || '').trim().toLowerCase()
+  if (['m', 'male', 'man'].includes(v)) return 'M'
+  if (['f', 'female', 'woman'].includes(v)) return 'F'
+  return null
+}
+
+/**
+ * Validate rows against the mapping and turn them into an import plan
+ */
+export function buildCsvImportPlan({ headers, rows }, mapping) {
+  const plan = {
+    source: 'CSV',
+    members: [],
+    parentChild: [],
+    spousal: [],
+    skipped: [],
+    warnings: []
+  }
+
+  const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '')
+  const hasIdColumn = mapping.id >= 0
+  const accepted = []
+  const keys = new Set()
+
+  if (!hasIdColumn && (mapping.parent_ids >= 0 || mapping.spouse_ids >= 0)) {
+    plan.warnings.push('No person id column is mapped, so parent and spouse ids cannot be linked')
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2 // header is row 1
+    const key = hasIdColumn ? cell(row, 'id') : `row-${rowNumber}`
+    const firstName = cell(row, 'first_name')
+    const lastName = cell(row, 'last_name')
+    const label = `Row ${rowNumber}${firstName || lastName ? ` (${`${firstName} ${lastName}`.trim()})` : ''}`
+    const problems = []
+
+    if (!key) problems.push('missing person id')
+    else if (keys.has(key)) problems.push(`duplicate person id "${key}"`)
+
+    const birth = parseGenealogicalDate(cell(row, 'birthday'))
+    const death = parseGenealogicalDate(cell(row, 'death'))
+    if (birth.error) problems.push(`Date of birth: ${birth.error}`)
+    if (death.error) problems.push(`Date of death: ${death.error}`)
+
+    if (problems.length > 0) {
+      plan.skipped.push(`${label}: ${problems.join(', ')}`)
+      return
+    }
+
+    const genderRaw = cell(row, 'gender')
+    const gender = normalizeGender(genderRaw)
+    if (genderRaw && !gender) plan.warnings.push(`${label}: gender "${genderRaw}" is not recognised and was left blank`)
+    if (!firstName && !lastName) plan.warnings.push(`${label}: has no name`)
+
+    let nameType = cell(row, 'name_type').toLowerCase()
+    if (nameType && !Object.hasOwn(NAME_TYPES, nameType)) {
+      plan.warnings.push(`${label}: name type "${cell(row, 'name_type')}" is not recognised, using ${NAME_TYPES[DEFAULT_NAME_TYPE]}`)
+      nameType = ''
+    }
+
+    let livingStatus = cell(row, 'living_status').toLowerCase()
+    if (livingStatus && !Object.hasOwn(LIVING_STATUSES, livingStatus)) {
+      plan.warnings.push(`${label}: living status "${cell(row, 'living_status')}" is not recognised and was left blank`)
+      livingStatus = ''
+    }
+
+    keys.add(key)
+    accepted.push({ key, label, row })
+    plan.members.push({
+      key,
+      data: {
+        first_name: firstName,
+        last_name: lastName,
+        name_type: nameType || DEFAULT_NAME_TYPE,
+        other_names: parseOtherNames(cell(row, 'other_names')),
+        birthday: getDateYear(birth.date),
+        death: getDateYear(death.date),
+        birth_date: birth.date ? toGedcomDate(birth.date) : null,
+        death_date: death.date ? toGedcomDate(death.date) : null,
+        birth_place: cell(row, 'birth_place') || null,
+        death_place: cell(row, 'death_place') || null,
+        burial_place: cell(row, 'burial_place') || null,
+        living_status: livingStatus || null,
+        gender
+      }
+    })
+  })
+
+  if (!hasIdColumn) return plan
+
+  const pcKeys = new Set()
+  const spousalByPair = new Map()
+
+  accepted.forEach(({ key, label, row }) => {
+    const parentTypes = splitList(cell(row, 'parent_types'))
+    splitList(cell(row, 'parent_ids')).forEach((parentKey, i) => {
+      if (!keys.has(parentKey)) {
+        plan.warnings.push(`${label}: parent id "${parentKey}" does not match any imported person`)
+        return
+      }
+      if (parentKey === key) {
+        plan.warnings.push(`${label}: lists itself as a parent`)
+        return
+      }
+      const pcKey = `${parentKey}|${key}`
+      if (pcKeys.has(pcKey)) return
+      pcKeys.add(pcKey)
+
+      let type = (parentTypes[i] || '').toLowerCase()
+      if (type && !PARENT_CHILD_RELATIONSHIP_TYPES.includes(type)) {
+        plan.warnings.push(`${label}: parent relationship type "${parentTypes[i]}" is not recognised, using Biological`)
+        type = ''
+      }
+      plan.parentChild.push({ parentKey, childKey: key, type: type || 'biological' })
+    })
+
+    const spouseTypes = splitList(cell(row, 'spouse_types'))
+    splitList(cell(row, 'spouse_ids')).forEach((spouseKey, i) => {
+      if (!keys.has(spouseKey)) {
+        plan.warnings.push(`${label}: spouse id "${spouseKey}" does not match any imported person`)
+        return
+      }
+      if (spouseKey === key) {
+        plan.warnings.push(`${label}: lists itself as a spouse`)
+        return
+      }
+
+      let type = (spouseTypes[i] || '').toLowerCase()
+      if (type && !SPOUSAL_RELATIONSHIP_TYPES.includes(type)) {
+        plan.warnings.push(`${label}: relationship type "${spouseTypes[i]}" is not recognised, using Married`)
+        type = ''
+      }
+
+      const pair = [key, spouseKey].sort().join('|')
+      const existing = spousalByPair.get(pair)
+      if (!existing) {
+        const rel = { person1Key: key, person2Key: spouseKey, type: type || 'married' }
+        spousalByPair.set(pair, rel)
+        plan.spousal.push(rel)
+      } else if (type && existing.type !== type) {
+        plan.warnings.push(`${label}: relationship type with "${spouseKey}" conflicts with another row, keeping ${existing.type}`)
+      }
+    })
+  })
+
+  return plan
+}
+
+// ==================== EXPORT ====================
+
+function escapeCsvValue(value) {
+  const raw = value === null || value === undefined ? '' : String(value)
+  // Spreadsheets run a cell starting with one of these as a formula, so it
+  // gets a leading ' (taken off again by parseCsv)
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialise members and relationships as a single CSV sheet
+ */
+export function exportCsv({ members, parentChildRels, spousalRels }) {
+  const header = CSV_FIELDS.map(field => field.key)
+  const lines = [header.join(',')]
+
+  members.forEach(member => {
+    const parentRels = parentChildRels.filter(r => r.child_id === member.id)
+    const parentIds = parentRels.map(r => r.parent_id)
+    const parentTypes = parentRels.map(r => getParentChildType(r))
+    const spouseRels = spousalRels.filter(r => r.person1_id === member.id || r.person2_id === member.id)
+    const spouseIds = spouseRels.map(r => (r.person1_id === member.id ? r.person2_id : r.person1_id))
+    const spouseTypes = spouseRels.map(r => r.relationship_type || 'married')
+
+    const values = {
+      id: member.id,
+      first_name: member.first_name || '',
+      last_name: member.last_name || '',
+      name_type: member.name_type || DEFAULT_NAME_TYPE,
+      other_names: formatOtherNames(member.other_names),
+      gender: member.gender || '',
+      birthday: formatStoredDate(member.birth_date, member.birthday),
+      death: formatStoredDate(member.death_date, member.death),
+      birth_place: member.birth_place || '',
+      death_place: member.death_place || '',
+      burial_place: member.burial_place || '',
+      living_status: member.living_status || '',
+      parent_ids: parentIds.join(CSV_LIST_SEPARATOR),
+      parent_types: parentTypes.join(CSV_LIST_SEPARATOR),
+      spouse_ids: spouseIds.join(CSV_LIST_SEPARATOR),
+      spouse_types: spouseTypes.join(CSV_LIST_SEPARATOR)
+    }
+    lines.push(header.map(key => escapeCsvValue(values[key])).join(','))
+  })
+
+  return lines.join('\r\n') + '\r\n'
+}
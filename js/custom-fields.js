@@ -0,0 +1,115 @@
+/**
+ * Per-tree custom person fields
+ *
+ * Each tree defines its own extra fields in custom_field_definitions:
+ *   { id, tree_id, field_key, label, field_type, options, show_on_card, position }
+ * Values live on the member in family_members.custom_fields, keyed by field_key:
+ *   { "occupation": "Blacksmith", "military_service": "1914–1918" }
+ */
+
+import { parseGenealogicalDate, toGedcomDate, formatStoredDate, DATE_INPUT_HINT } from './dates.js'
+
+export const CUSTOM_FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Choice list',
+  long_text: 'Long text'
+}
+
+/**
+ * Build a stable key from a label ("Military service" -> "military_service")
+ */
+export function createFieldKey(label, existingKeys = []) {
+  const base = String(label || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'field'
+
+  let key = base
+  let suffix = 2
+  while (existingKeys.includes(key)) key = `${base}_${suffix++}`
+  return key
+}
+
+/**
+ * Order definitions for display
+ */
+export function sortFieldDefinitions(definitions) {
+  return [...definitions].sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.label.localeCompare(b.label))
+}
+
+/**
+ * Check a raw form value against its definition
+ * @returns {{ value: any, error: string|null }} value is what gets stored (null when blank)
+ */
+export function normalizeCustomFieldValue(definition, rawValue) {
+  const raw = String(rawValue ?? '').trim()
+  if (!raw) return { value: null, error: null }
+
+  switch (definition.field_type) {
+    case 'number': {
+      const number = Number(raw)
+      if (!Number.isFinite(number)) return { value: null, error: `${definition.label} must be a number` }
+      return { value: number, error: null }
+    }
+    case 'date': {
+      const { date, error } = parseGenealogicalDate(raw)
+      if (error) return { value: null, error: `${definition.label}: ${error}` }
+      return { value: toGedcomDate(date), error: null }
+    }
+    case 'select': {
+      const options = definition.options || []
+      if (!options.includes(raw)) return { value: null, error: `${definition.label} must be one of: ${options.join(', ')}` }
+      return { value: raw, error: null }
+    }
+    case 'long_text':
+      return { value: String(rawValue).trim(), error: null }
+    default:
+      return { value: raw, error: null }
+  }
+}
+
+/**
+ * Build the custom_fields column from edit form values
+ * Values of fields that are no longer defined are kept so deleting a
+ * definition by mistake loses nothing.
+ * @param {Array} definitions - The tree's field definitions
+ * @param {Object} rawValues - field_key -> raw input value
+ * @param {Object} [existingValues] - The member's current custom_fields
+ * @returns {{ values: Object, errors: Array<{ key: string, message: string }> }}
+ */
+export function readCustomFieldValues(definitions, rawValues, existingValues = {}) {
+  const values = { ...(existingValues || {}) }
+  const errors = []
+
+  definitions.forEach(definition => {
+    const { value, error } = normalizeCustomFieldValue(definition, rawValues[definition.field_key])
+    // A value that no longer fits (choice removed, type changed) is kept while left untouched
+    const unchanged = formatCustomFieldValue(definition, values[definition.field_key]) === String(rawValues[definition.field_key] ?? '').trim()
+    if (error && unchanged) return
+    if (error) errors.push({ key: definition.field_key, message: error })
+    else if (value === null) delete values[definition.field_key]
+    else values[definition.field_key] = value
+  })
+
+  return { values, errors }
+}
+
+/**
+ * Human-readable value for cards, lists and the edit form inputs
+ */
+export function formatCustomFieldValue(definition, value) {
+  if (value === null || value === undefined || value === '') return ''
+  if (definition.field_type === 'date') return formatStoredDate(value)
+  return String(value)
+}
+
+/**
+ * Placeholder text for an input of the given type
+ */
+export function customFieldPlaceholder(definition) {
+  return definition.field_type === 'date' ? DATE_INPUT_HINT : ''
+}
@@ -0,0 +1,218 @@
+/**
+ * Genealogical dates
+ *
+ * Researchers rarely know an exact day, so a date is a modifier plus one or
+ * two (possibly partial) calendar points:
+ *   { modifier: 'exact',   start: { day: 12, month: 3, year: 1921 }, end: null }
+ *   { modifier: 'about',   start: { day: null, month: null, year: 1850 }, end: null }
+ *   { modifier: 'between', start: { ...1840 }, end: { ...1845 } }
+ * Modifiers: exact, about, before, after, between. "Month/year" is simply an
+ * exact date without a day.
+ *
+ * Dates are stored in the birth_date / death_date text columns using GEDCOM
+ * syntax ("12 MAR 1921", "ABT 1850", "BET 1840 AND 1845"). The integer
+ * birthday / death columns keep holding the year so year-based code works.
+ */
+
+export const DATE_MODIFIERS = ['exact', 'about', 'before', 'after', 'between']
+
+const MONTH_ABBREVIATIONS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const MONTH_LOOKUP = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+}
+
+const MODIFIER_PREFIXES = [
+  { modifier: 'about', pattern: /^(?:about|abt|approximately|approx|circa|cal|ca|c|est|~)\s*(.+)$/ },
+  { modifier: 'before', pattern: /^(?:before|bef|<)\s*(.+)$/ },
+  { modifier: 'after', pattern: /^(?:after|aft|>)\s*(.+)$/ }
+]
+
+const MODIFIER_LABELS = { about: 'abt.', before: 'bef.', after: 'aft.' }
+const GEDCOM_MODIFIERS = { about: 'ABT', before: 'BEF', after: 'AFT' }
+
+export const DATE_INPUT_HINT = 'e.g. 12 Mar 1921, Mar 1921, abt. 1850, bef. 1790, 1840–1845'
+
+function daysInMonth(month, year) {
+  return new Date(year, month, 0).getDate()
+}
+
+/**
+ * Parse a single calendar point ("12 mar 1921", "mar 1921", "1921", "1921-03-12")
+ * Expects lower-cased, punctuation-free input. Returns null if it isn't a date.
+ */
+function parseDatePoint(text) {
+  let match = text.match(/^(\d{3,4})-(\d{1,2})-(\d{1,2})$/)
+  if (match) return { day: +match[3], month: +match[2], year: +match[1] }
+
+  match = text.match(/^(\d{1,2})\s+([a-z]+)\s+(\d{3,4})$/)
+  if (match && MONTH_LOOKUP[match[2]]) return { day: +match[1], month: MONTH_LOOKUP[match[2]], year: +match[3] }
+
+  match = text.match(/^([a-z]+)\s+(\d{1,2})\s+(\d{3,4})$/)
+  if (match && MONTH_LOOKUP[match[1]]) return { day: +match[2], month: MONTH_LOOKUP[match[1]], year: +match[3] }
+
+  match = text.match(/^([a-z]+)\s+(\d{3,4})$/)
+  if (match && MONTH_LOOKUP[match[1]]) return { day: null, month: MONTH_LOOKUP[match[1]], year: +match[2] }
+
+  match = text.match(/^(\d{3,4})$/)
+  if (match) return { day: null, month: null, year: +match[1] }
+
+  return null
+}
+
+function validatePoint(point) {
+  if (point.year < 1) return 'Year must be greater than zero'
+  if (point.month !== null && (point.month < 1 || point.month > 12)) return 'Month must be between 1 and 12'
+  if (point.day !== null && (point.day < 1 || point.day > daysInMonth(point.month, point.year))) {
+    return `${MONTH_NAMES[point.month - 1]} ${point.year} has no day ${point.day}`
+  }
+  return null
+}
+
+/**
+ * Parse free-form or GEDCOM date text
+ * @returns {{ date: Object|null, error: string|null }} date is null for blank input
+ */
+export function parseGenealogicalDate(input) {
+  const text = String(input ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*-\s*(?=[a-z]|\d{3,4}$)/g, ' - ')
+    .trim()
+
+  if (!text) return { date: null, error: null }
+
+  let modifier = 'exact'
+  let body = text
+  let endBody = null
+
+  const between = text.match(/^(?:bet|between|from)\s+(.+?)\s+(?:and|to|-)\s+(.+)$/)
+  if (between) {
+    modifier = 'between'
+    body = between[1]
+    endBody = between[2]
+  } else {
+    const prefix = MODIFIER_PREFIXES.find(p => p.pattern.test(text))
+    if (prefix) {
+      modifier = prefix.modifier
+      body = text.match(prefix.pattern)[1].trim()
+    } else if (!parseDatePoint(text)) {
+      const range = text.match(/^(.+?)\s+-\s+(.+)$/)
+      if (range) {
+        modifier = 'between'
+        body = range[1]
+        endBody = range[2]
+      }
+    }
+  }
+
+  const start = parseDatePoint(body)
+  const end = endBody !== null ? parseDatePoint(endBody) : null
+  if (!start || (endBody !== null && !end)) {
+    return { date: null, error: `"${String(input).trim()}" is not a recognised date (${DATE_INPUT_HINT})` }
+  }
+
+  const error = validatePoint(start) || (end && validatePoint(end))
+  if (error) return { date: null, error }
+
+  const date = { modifier, start, end }
+  if (end && pointSortValue(end) < pointSortValue(start)) {
+    return { date: null, error: 'The first date of a range must come before the second' }
+  }
+
+  return { date, error: null }
+}
+
+function formatPoint(point, months) {
+  return [point.day, point.month ? months[point.month - 1] : null, point.year]
+    .filter(part => part !== null && part !== undefined)
+    .join(' ')
+}
+
+/**
+ * Human-readable form: "12 Mar 1921", "abt. 1850", "1840–1845"
+ */
+export function formatGenealogicalDate(date) {
+  if (!date) return ''
+  const start = formatPoint(date.start, MONTH_NAMES)
+  if (date.modifier === 'between') return `${start}–${formatPoint(date.end, MONTH_NAMES)}`
+  if (MODIFIER_LABELS[date.modifier]) return `${MODIFIER_LABELS[date.modifier]} ${start}`
+  return start
+}
+
+/**
+ * Storage/GEDCOM form: "12 MAR 1921", "ABT 1850", "BET 1840 AND 1845"
+ */
+export function toGedcomDate(date) {
+  if (!date) return ''
+  const start = formatPoint(date.start, MONTH_ABBREVIATIONS)
+  if (date.modifier === 'between') return `BET ${start} AND ${formatPoint(date.end, MONTH_ABBREVIATIONS)}`
+  if (GEDCOM_MODIFIERS[date.modifier]) return `${GEDCOM_MODIFIERS[date.modifier]} ${start}`
+  return start
+}
+
+/**
+ * The year stored in the integer birthday / death columns
+ */
+export function getDateYear(date) {
+  return date ? date.start.year : null
+}
+
+function pointSortValue(point) {
+  return point.year * 10000 + (point.month || 0) * 100 + (point.day || 0)
+}
+
+/**
+ * Numeric key for ordering dates; "before" sorts just ahead of its year, "after" just behind
+ */
+export function dateSortValue(date) {
+  if (!date) return null
+  const base = pointSortValue(date.start)
+  if (date.modifier === 'before') return base - 0.5
+  if (date.modifier === 'after') return base + 0.5
+  return base
+}
+
+/**
+ * Comparator for Array.sort; unknown dates go last
+ */
+export function compareGenealogicalDates(a, b) {
+  const aValue = dateSortValue(a)
+  const bValue = dateSortValue(b)
+  if (aValue === null && bValue === null) return 0
+  if (aValue === null) return 1
+  if (bValue === null) return -1
+  return aValue - bValue
+}
+
+/**
+ * Parse a stored date column, falling back to the plain year column
+ */
+export function readStoredDate(dateText, year) {
+  const { date } = parseGenealogicalDate(dateText)
+  if (date) return date
+  if (year) return { modifier: 'exact', start: { day: null, month: null, year: parseInt(year, 10) }, end: null }
+  return null
+}
+
+/**
+ * Display text for a stored date column (falls back to the year column)
+ */
+export function formatStoredDate(dateText, year) {
+  return formatGenealogicalDate(readStoredDate(dateText, year))
+}
@@ -0,0 +1,65 @@
+/**
+ * Small DOM helpers shared by the landing and tree pages
+ */
+
+/**
+ * Escape a value for safe insertion into HTML markup
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Open the browser file picker and resolve with the chosen file (or null)
+ * @param {string} accept - Value for the input's accept attribute, e.g. ".ged"
+ */
+export function pickFile(accept = '') {
+  return new Promise(resolve => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = accept
+    input.style.display = 'none'
+
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0] ? input.files[0] : null
+      input.remove()
+      resolve(file)
+    })
+    // Some browsers fire 'cancel' when the dialog is dismissed
+    input.addEventListener('cancel', () => {
+      input.remove()
+      resolve(null)
+    })
+
+    document.body.appendChild(input)
+    input.click()
+  })
+}
+
+/**
+ * Offer generated text to the user as a file download
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Turn a tree name into a safe file name stem
+ */
+export function toFileName(name, fallback = 'family-tree') {
+  const cleaned = String(name || '').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-')
+  return cleaned || fallback
+}
@@ -0,0 +1,338 @@
+import { readStoredDate, getDateYear } from './dates.js'
+import { getMemberNames, normalizeOtherNames, foldForSearch } from './names.js'
+
+/**
+ * Duplicate people
+ *
+ * When relatives build a tree from different branches the same person can be
+ * added twice. Pairs of members are scored on
+ *   names  - any of their names spelled alike, or sounding alike (Soundex)
+ *   dates  - birth and death years close together
+ *   family - parents, partners or children in common
+ * and suggested as { ids: [id1, id2], score, reasons: ['Same name', ...] }.
+ * People who are each other's parent, child or partner, or whose gender or
+ * dates clearly differ, are never suggested.
+ *
+ * A merge keeps one member. Each field is taken from either person, names and
+ * residences from both are combined, and every relationship of the other
+ * person is moved to the one kept; a link the kept person already has (or one
+ * between the two of them) is dropped instead, its citations moved to the
+ * link that stays:
+ *   { updates, parentChild: { moved: [{ id, parent_id, child_id }], dropped: [{ id, keptId }] },
+ *     spousal: { moved: [{ id, person1_id, person2_id }], dropped: [{ id, keptId }] } }
+ */
+
+export const DUPLICATE_THRESHOLD = 60
+
+// Years apart beyond which two dates can't belong to the same person
+const MAX_YEAR_GAP = 10
+
+// The fields a merge asks about; a group is chosen together
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name', columns: ['first_name', 'last_name', 'name_type'] },
+  { key: 'gender', label: 'Gender', columns: ['gender'] },
+  { key: 'birth', label: 'Birth', columns: ['birth_date', 'birthday'] },
+  { key: 'birth_place', label: 'Place of birth', columns: ['birth_place'] },
+  { key: 'death', label: 'Death', columns: ['death_date', 'death'] },
+  { key: 'death_place', label: 'Place of death', columns: ['death_place'] },
+  { key: 'burial_place', label: 'Place of burial', columns: ['burial_place'] },
+  { key: 'living_status', label: 'Living status', columns: ['living_status'] },
+  { key: 'avatar', label: 'Portrait', columns: ['avatar_media_id'] },
+  { key: 'birth_order', label: 'Birth order', columns: ['birth_order', 'multiple_birth_group'] }
+]
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+}
+
+/**
+ * American Soundex: "Catherine" -> C365, "Kathryn" -> K365
+ */
+export function soundex(name) {
+  const letters = foldForSearch(name).replace(/[^a-z]/g, '')
+  if (!letters) return ''
+  let code = letters[0].toUpperCase()
+  let last = SOUNDEX_CODES[letters[0]] || 0
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter] || 0
+    if (digit && digit !== last) code += digit
+    // h and w don't separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') last = digit
+    if (code.length === 4) break
+  }
+  return code.padEnd(4, '0')
+}
+
+// Soundex keeps the first letter as written, so C/K, S/Z, ... would never match
+const FIRST_LETTER_SOUNDS = { c: 'k', q: 'k', z: 's', y: 'i', j: 'g', w: 'v' }
+
+function soundKey(name) {
+  const folded = foldForSearch(name).replace(/[^a-z]/g, '')
+  if (!folded) return ''
+  const start = folded.startsWith('ph') ? 'f' : (FIRST_LETTER_SOUNDS[folded[0]] || folded[0])
+  return start + soundex(folded).slice(1)
+}
+
+/**
+ * How alike two names are: 'same', 'sounds' (alike), 'initial' (one is
+ * the other's initial) or null
+ */
+export function compareNames(a, b) {
+  const first = foldForSearch(a)
+  const second = foldForSearch(b)
+  if (!first || !second) return null
+  if (first === second) return 'same'
+  if (soundKey(first) === soundKey(second)) return 'sounds'
+  const isInitial = (text) => text.replace(/\.$/, '').length === 1
+  if ((isInitial(first) || isInitial(second)) && first[0] === second[0]) return 'initial'
+  return null
+}
+
+const FIRST_NAME_SCORES = { same: 30, sounds: 20, initial: 10 }
+const LAST_NAME_SCORES = { same: 25, sounds: 15 }
+
+// The best match between any of two members' names
+function scoreNames(a, b) {
+  let best = { score: 0, reason: null }
+  getMemberNames(a).forEach(nameA => {
+    getMemberNames(b).forEach(nameB => {
+      const firstMatch = compareNames(nameA.first_name, nameB.first_name)
+      if (!firstMatch) return
+      const lastMatch = compareNames(nameA.last_name, nameB.last_name)
+      const score = FIRST_NAME_SCORES[firstMatch] + (LAST_NAME_SCORES[lastMatch] || 0)
+      if (score <= best.score) return
+      const reason = firstMatch === 'same' && lastMatch === 'same' ? 'Same name'
+        : firstMatch === 'same' && !lastMatch ? 'Same first name'
+          : 'Similar name'
+      best = { score, reason: nameA.primary && nameB.primary ? reason : `${reason} (other names)` }
+    })
+  })
+  return best
+}
+
+// Points for two years: null when they are too far apart to be one person
+function scoreYears(a, b, points) {
+  if (a === null || b === null) return 0
+  const gap = Math.abs(a - b)
+  if (gap > MAX_YEAR_GAP) return null
+  if (gap === 0) return points
+  if (gap <= 2) return Math.round(points * 0.75)
+  if (gap <= 5) return Math.round(points * 0.25)
+  return 0
+}
+
+function memberYears(member) {
+  return {
+    birth: getDateYear(readStoredDate(member.birth_date, member.birthday)),
+    death: getDateYear(readStoredDate(member.death_date, member.death))
+  }
+}
+
+function buildRelatives({ parentChildRels, spousalRels }) {
+  const relatives = new Map()
+  const add = (id, kind, otherId) => {
+    if (!relatives.has(id)) relatives.set(id, { parents: new Set(), children: new Set(), partners: new Set() })
+    relatives.get(id)[kind].add(otherId)
+  }
+  parentChildRels.forEach(rel => {
+    add(rel.child_id, 'parents', rel.parent_id)
+    add(rel.parent_id, 'children', rel.child_id)
+  })
+  spousalRels.forEach(rel => {
+    add(rel.person1_id, 'partners', rel.person2_id)
+    add(rel.person2_id, 'partners', rel.person1_id)
+  })
+  return relatives
+}
+
+const NO_RELATIVES = { parents: new Set(), children: new Set(), partners: new Set() }
+const SHARED_RELATIVE_POINTS = 25
+const MAX_SHARED_RELATIVE_POINTS = 40
+
+/**
+ * Score one pair, or null if they can't be the same person
+ * @returns {{ score: number, reasons: string[] } | null}
+ */
+function scorePair(a, b, relativesA, relativesB) {
+  if (a.gender && b.gender && a.gender !== b.gender) return null
+  const isRelated = relativesA.parents.has(b.id) || relativesA.children.has(b.id) || relativesA.partners.has(b.id)
+  if (isRelated) return null
+
+  const names = scoreNames(a, b)
+  if (!names.reason) return null
+
+  const yearsA = memberYears(a)
+  const yearsB = memberYears(b)
+  const birth = scoreYears(yearsA.birth, yearsB.birth, 20)
+  const death = scoreYears(yearsA.death, yearsB.death, 10)
+  if (birth === null || death === null) return null
+
+  const reasons = [names.reason]
+  if (birth > 0) reasons.push(yearsA.birth === yearsB.birth ? `Both born ${yearsA.birth}` : 'Born around the same time')
+  if (death > 0) reasons.push(yearsA.death === yearsB.death ? `Both died ${yearsA.death}` : 'Died around the same time')
+
+  let shared = 0
+  const sharedKinds = { parents: 'Same parents', partners: 'Same partner', children: 'Children in common' }
+  Object.entries(sharedKinds).forEach(([kind, reason]) => {
+    if ([...relativesA[kind]].some(id => relativesB[kind].has(id))) {
+      shared += SHARED_RELATIVE_POINTS
+      reasons.push(reason)
+    }
+  })
+
+  return { score: names.score + birth + death + Math.min(shared, MAX_SHARED_RELATIVE_POINTS), reasons }
+}
+
+/**
+ * A dismissed pair's key, the same whichever way round
+ */
+export function duplicatePairKey(id1, id2) {
+  return [id1, id2].sort().join('|')
+}
+
+/**
+ * Pairs of members that look like the same person, most likely first
+ * Only people with a first name that sounds alike (or is an initial of the
+ * other) are compared, so large trees stay quick.
+ * @param {Object} tree - { members, parentChildRels, spousalRels }
+ * @param {Object} [options]
+ * @param {Set<string>} [options.dismissed] - duplicatePairKey()s not to suggest
+ * @param {number} [options.threshold]
+ */
+export function findDuplicates(tree, { dismissed = new Set(), threshold = DUPLICATE_THRESHOLD } = {}) {
+  const relatives = buildRelatives(tree)
+  const bySound = new Map()
+  const byInitial = new Map()
+  const addTo = (map, key, member) => map.set(key, [...(map.get(key) || []), member])
+  tree.members.forEach(member => {
+    new Set(getMemberNames(member).map(name => soundKey(name.first_name)).filter(Boolean)).forEach(key => {
+      addTo(bySound, key, member)
+      addTo(byInitial, key[0], member)
+    })
+  })
+
+  const seen = new Set()
+  const suggestions = []
+  const compare = (a, b) => {
+    const key = duplicatePairKey(a.id, b.id)
+    if (a.id === b.id || seen.has(key) || dismissed.has(key)) return
+    seen.add(key)
+    const result = scorePair(a, b, relatives.get(a.id) || NO_RELATIVES, relatives.get(b.id) || NO_RELATIVES)
+    if (result && result.score >= threshold) suggestions.push({ ids: [a.id, b.id], ...result })
+  }
+  bySound.forEach((members, key) => {
+    members.forEach((member, i) => members.slice(i + 1).forEach(other => compare(member, other)))
+    // "J." against everyone whose name starts with a J sound
+    if (key.slice(1) === '000') byInitial.get(key[0]).forEach(other => members.forEach(member => compare(member, other)))
+  })
+  return suggestions.sort((a, b) => b.score - a.score)
+}
+
+function isBlank(value) {
+  return value == null || value === '' || (typeof value === 'object' && Object.keys(value).length === 0)
+}
+
+/**
+ * Which person each merge field is taken from: the kept one, unless they
+ * have nothing there and the other person does
+ * @returns {Object} field key -> 'keep' | 'other'
+ */
+export function defaultMergeChoices(keep, other) {
+  const choices = {}
+  MERGE_FIELDS.forEach(field => {
+    const keepBlank = field.columns.every(column => isBlank(keep[column]))
+    const otherBlank = field.columns.every(column => isBlank(other[column]))
+    choices[field.key] = keepBlank && !otherBlank ? 'other' : 'keep'
+  })
+  return choices
+}
+
+// Both people's names, less the one that ends up primary
+function mergeOtherNames(keep, other, primary) {
+  const key = (name) => `${foldForSearch(name.first_name)}|${foldForSearch(name.last_name)}`
+  const seen = new Set([key(primary)])
+  const names = []
+  getMemberNames(keep).concat(getMemberNames(other)).forEach(name => {
+    if (seen.has(key(name))) return
+    seen.add(key(name))
+    names.push({ type: name.type, first_name: name.first_name, last_name: name.last_name })
+  })
+  return normalizeOtherNames(names)
+}
+
+function mergeResidences(keep, other) {
+  const seen = new Set()
+  return [...(keep.residences || []), ...(other.residences || [])].filter(residence => {
+    const key = JSON.stringify(residence)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * What merging `other` into `keep` writes
+ * Every link of the other person moves, recycle bin ones included (they keep
+ * their bin flags). Where the kept person already has the same link, one
+ * copy stays: a live one rather than one in the bin.
+ * @param {Object} tree - { parentChildRels, spousalRels }, live and binned rows
+ * @param {Object} keep - The member kept
+ * @param {Object} other - The member merged into it (and then removed)
+ * @param {Object} choices - From defaultMergeChoices(), possibly changed
+ */
+export function planMerge(tree, keep, other, choices) {
+  const updates = {}
+  MERGE_FIELDS.forEach(field => {
+    const source = choices[field.key] === 'other' ? other : keep
+    field.columns.forEach(column => {
+      if (source[column] !== undefined) updates[column] = source[column]
+    })
+  })
+  updates.other_names = mergeOtherNames(keep, other, updates)
+  updates.residences = mergeResidences(keep, other)
+  // Values filled in for either person; the kept person's win
+  const filled = (fields) => Object.fromEntries(Object.entries(fields || {}).filter(([, value]) => !isBlank(value)))
+  updates.custom_fields = { ...filled(other.custom_fields), ...filled(keep.custom_fields) }
+  updates.is_main = !!(keep.is_main || other.is_main)
+
+  const isLive = (rel) => !rel.deleted_at
+  const moveLinks = (rels, ends, pairKey) => {
+    const result = { moved: [], dropped: [] }
+    const keptByPair = new Map()
+    const isOthers = (rel) => ends.some(end => rel[end] === other.id)
+    rels.filter(rel => !isOthers(rel)).forEach(rel => {
+      const kept = keptByPair.get(pairKey(rel))
+      if (!kept || (!isLive(kept) && isLive(rel))) keptByPair.set(pairKey(rel), rel)
+    })
+    // Live links first, so a binned copy never displaces a live one
+    const othersLinks = rels.filter(isOthers).sort((a, b) => Number(isLive(b)) - Number(isLive(a)))
+    othersLinks.forEach(rel => {
+      const moved = { id: rel.id }
+      ends.forEach(end => { moved[end] = rel[end] === other.id ? keep.id : rel[end] })
+      const kept = keptByPair.get(pairKey(moved))
+      if (moved[ends[0]] === moved[ends[1]]) {
+        // A link between the two people
+        result.dropped.push({ id: rel.id, keptId: null })
+      } else if (kept && (isLive(kept) || !isLive(rel))) {
+        result.dropped.push({ id: rel.id, keptId: kept.id })
+      } else {
+        // The kept person's copy, if any, is in the bin: this live one replaces it
+        if (kept) result.dropped.push({ id: kept.id, keptId: rel.id })
+        keptByPair.set(pairKey(moved), rel)
+        result.moved.push(moved)
+      }
+    })
+    return result
+  }
+
+  return {
+    updates,
+    parentChild: moveLinks(tree.parentChildRels, ['parent_id', 'child_id'], rel => `${rel.parent_id}|${rel.child_id}`),
+    spousal: moveLinks(tree.spousalRels, ['person1_id', 'person2_id'], rel => duplicatePairKey(rel.person1_id, rel.person2_id))
+  }
+}
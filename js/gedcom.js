@@ -0,0 +1,554 @@
+/**
+ * GEDCOM 5.5.1 support
+ *
+ * parseGedcom() turns the line-based GEDCOM text into a tree of nodes:
+ *   { level, xref, tag, value, children: [] }
+ *
+ * buildGedcomImportPlan() maps INDI/FAM records onto an import plan
+ * (see import-plan.js) that can be previewed and then committed.
+ *
+ * exportGedcom() writes the tree back out. Partnership types that GEDCOM
+ * has no event for are kept in the _TYPE extension tag so that
+ * export -> import reproduces the same structure.
+ *
+ * Partnership dates use MARR (start) and DIV (end of a divorce). Starts and
+ * ends GEDCOM has no event for are written as _PART (start of a
+ * non-marital partnership), _SEPR (separation) and _END (any other end).
+ *
+ * Adoptive and foster children carry PEDI under their FAMC link; step and
+ * guardian links, which PEDI has no value for, use _PEDI. On import the
+ * per-parent _FREL / _MREL tags under CHIL (written by several desktop
+ * programs) are read as well.
+ *
+ * The first NAME of an individual is their primary name; further NAME
+ * records become other names, typed by NAME.TYPE (birth, married, aka, ...).
+ */
+
+import { SPOUSAL_RELATIONSHIP_TYPES, getParentChildType, sortByBirthOrder } from './tree-data.js'
+import { parseGenealogicalDate, toGedcomDate, getDateYear } from './dates.js'
+import { DEFAULT_NAME_TYPE, normalizeOtherNames } from './names.js'
+
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@\s]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/
+
+// Top-level records we understand or can safely ignore without a warning
+const IGNORED_RECORD_TAGS = ['HEAD', 'TRLR']
+
+/**
+ * Parse GEDCOM text into a list of top-level records
+ */
+export function parseGedcom(text) {
+  const records = []
+  const stack = []
+  const errors = []
+
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+
+  lines.forEach((rawLine, index) => {
+    if (!rawLine.trim()) return
+
+    const match = rawLine.match(LINE_PATTERN)
+    if (!match) {
+      errors.push(`Line ${index + 1}: could not be parsed`)
+      return
+    }
+
+    const node = {
+      level: parseInt(match[1], 10),
+      xref: match[2] || null,
+      tag: match[3].toUpperCase(),
+      value: match[4] !== undefined ? match[4].replace(/@@/g, '@') : '',
+      children: []
+    }
+
+    // Continuation lines are folded into their parent's value
+    if (node.tag === 'CONC' || node.tag === 'CONT') {
+      const parent = stack[node.level - 1]
+      if (parent) parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value
+      return
+    }
+
+    if (node.level === 0) {
+      records.push(node)
+    } else {
+      const parent = stack[node.level - 1]
+      if (!parent) {
+        errors.push(`Line ${index + 1}: level ${node.level} has no parent`)
+        return
+      }
+      parent.children.push(node)
+    }
+
+    stack[node.level] = node
+    stack.length = node.level + 1
+  })
+
+  return { records, errors }
+}
+
+/**
+ * Find the first direct child with the given tag
+ */
+export function findChild(node, tag) {
+  return node?.children.find(child => child.tag === tag) || null
+}
+
+/**
+ * Find all direct children with the given tag
+ */
+export function findChildren(node, tag) {
+  return node ? node.children.filter(child => child.tag === tag) : []
+}
+
+/**
+ * Split a GEDCOM NAME value ("John /Doe/ Jr") into given and surname parts
+ */
+export function parseGedcomName(nameNode) {
+  if (!nameNode) return { firstName: '', lastName: '' }
+
+  const value = nameNode.value || ''
+  const surnameMatch = value.match(/\/([^/]*)\/?/)
+  let firstName = value.replace(/\/[^/]*\/?/, ' ').replace(/\s+/g, ' ').trim()
+  let lastName = surnameMatch ? surnameMatch[1].trim() : ''
+
+  const givn = findChild(nameNode, 'GIVN')
+  const surn = findChild(nameNode, 'SURN')
+  if (givn && givn.value.trim()) firstName = givn.value.trim()
+  if (surn && surn.value.trim()) lastName = surn.value.trim()
+
+  return { firstName, lastName }
+}
+
+// NAME.TYPE values -> name types (see names.js), and back for export
+const GEDCOM_NAME_TYPES = {
+  birth: 'birth',
+  maiden: 'birth',
+  married: 'married',
+  aka: 'alias',
+  nickname: 'alias',
+  religious: 'religious',
+  immigrant: 'anglicized',
+  anglicized: 'anglicized'
+}
+const NAME_TYPE_TO_GEDCOM = { birth: 'birth', married: 'married', alias: 'aka', religious: 'religious', anglicized: 'immigrant' }
+
+/**
+ * Type of a NAME record, or null when it has no TYPE we recognise
+ */
+function readGedcomNameType(nameNode) {
+  return GEDCOM_NAME_TYPES[(findChild(nameNode, 'TYPE')?.value || '').trim().toLowerCase()] || null
+}
+
+/**
+ * Pull a 4-digit year out of a GEDCOM date ("12 MAR 1921", "ABT 1850")
+ */
+export function extractGedcomYear(dateValue) {
+  if (!dateValue) return null
+  const years = String(dateValue).match(/\b\d{4}\b/g)
+  return years ? parseInt(years[0], 10) : null
+}
+
+/**
+ * Read an event's DATE and PLAC as { date, year, place }: the normalised
+ * date text when it parses, otherwise just the first 4-digit year we can find
+ */
+function readEvent(event, tag, label, warnings) {
+  const place = findChild(event, 'PLAC')?.value.trim() || null
+  const dateNode = findChild(event, 'DATE')
+  if (!dateNode || !dateNode.value.trim()) return { date: null, year: null, place }
+
+  const { date } = parseGenealogicalDate(dateNode.value)
+  if (date) return { date: toGedcomDate(date), year: getDateYear(date), place }
+
+  const year = extractGedcomYear(dateNode.value)
+  if (year === null) warnings.push(`${label}: ${tag} date "${dateNode.value}" has no 4-digit year and was ignored`)
+  else warnings.push(`${label}: ${tag} date "${dateNode.value}" was not understood, only the year ${year} was kept`)
+  return { date: null, year, place }
+}
+
+function describeIndividual(xref, data) {
+  const name = `${data.first_name} ${data.last_name}`.trim()
+  return name ? `${name} (${xref})` : xref
+}
+
+/**
+ * Map parsed GEDCOM records onto an import plan
+ */
+export function buildGedcomImportPlan(parsed) {
+  const plan = {
+    source: 'GEDCOM',
+    members: [],
+    parentChild: [],
+    spousal: [],
+    skipped: [],
+    warnings: [...parsed.errors]
+  }
+
+  const individuals = new Map()
+  const pedigrees = new Map()   // "child|family" -> parent-child type from FAMC
+  const skippedCounts = {}
+
+  parsed.records.forEach(record => {
+    if (record.tag === 'INDI') {
+      if (!record.xref) {
+        plan.warnings.push('An INDI record without an id was skipped')
+        return
+      }
+      const [primaryName, ...otherNames] = findChildren(record, 'NAME')
+      const { firstName, lastName } = parseGedcomName(primaryName)
+      const sex = (findChild(record, 'SEX')?.value || '').trim().toUpperCase()
+      const data = {
+        first_name: firstName,
+        last_name: lastName,
+        name_type: readGedcomNameType(primaryName) || DEFAULT_NAME_TYPE,
+        other_names: normalizeOtherNames(otherNames.map(nameNode => {
+          const name = parseGedcomName(nameNode)
+          return { type: readGedcomNameType(nameNode) || 'alias', first_name: name.firstName, last_name: name.lastName }
+        })),
+        gender: sex === 'M' || sex === 'F' ? sex : null
+      }
+      const label = describeIndividual(record.xref, data)
+      const birth = readEvent(findChild(record, 'BIRT'), 'BIRT', label, plan.warnings)
+      const deathNode = findChild(record, 'DEAT')
+      const death = readEvent(deathNode, 'DEAT', label, plan.warnings)
+      const burial = readEvent(findChild(record, 'BURI'), 'BURI', label, plan.warnings)
+      data.birthday = birth.year
+      data.birth_date = birth.date
+      data.birth_place = birth.place
+      data.death = death.year
+      data.death_date = death.date
+      data.death_place = death.place
+      data.burial_place = burial.place
+      // "1 DEAT Y" says the person died without giving a date or place
+      if (deathNode && !death.year && !death.place) data.living_status = 'deceased'
+      data.residences = findChildren(record, 'RESI')
+        .map(event => readEvent(event, 'RESI', label, plan.warnings))
+        .filter(residence => residence.place)
+        .map(residence => ({ place: residence.place, date: residence.date }))
+
+      if (!firstName && !lastName) plan.warnings.push(`${record.xref} has no name`)
+
+      findChildren(record, 'FAMC').forEach(famc => {
+        const type = readPedigreeType(findChild(famc, 'PEDI') || findChild(famc, '_PEDI'))
+        if (famc.value?.trim() && type) pedigrees.set(`${record.xref}|${famc.value.trim()}`, type)
+      })
+
+      individuals.set(record.xref, data)
+      plan.members.push({ key: record.xref, data })
+    } else if (record.tag !== 'FAM' && !IGNORED_RECORD_TAGS.includes(record.tag)) {
+      skippedCounts[record.tag] = (skippedCounts[record.tag] || 0) + 1
+    }
+  })
+
+  const pcKeys = new Set()
+  parsed.records.filter(r => r.tag === 'FAM').forEach(family => {
+    const famId = family.xref || 'FAM'
+    const resolve = (node) => {
+      const ref = node?.value?.trim()
+      if (!ref) return null
+      if (!individuals.has(ref)) {
+        plan.warnings.push(`${famId} refers to missing individual ${ref}`)
+        return null
+      }
+      return ref
+    }
+
+    const husband = resolve(findChild(family, 'HUSB'))
+    const wife = resolve(findChild(family, 'WIFE'))
+    const partners = [husband, wife].filter(Boolean)
+    const childNodes = findChildren(family, 'CHIL').filter(resolve)
+    const children = childNodes.map(node => node.value.trim())
+
+    const relationshipType = readFamilyRelationshipType(family)
+    if (partners.length === 2 && relationshipType) {
+      plan.spousal.push({
+        person1Key: partners[0],
+        person2Key: partners[1],
+        type: relationshipType,
+        details: readPartnershipEvents(family, famId, plan.warnings)
+      })
+    }
+
+    if (partners.length === 0 && children.length > 0) {
+      plan.warnings.push(`${famId} has children but no parents; children were imported unlinked`)
+    }
+
+    partners.forEach(parentKey => {
+      childNodes.forEach(childNode => {
+        const childKey = childNode.value.trim()
+        const pcKey = `${parentKey}|${childKey}`
+        if (pcKeys.has(pcKey)) return
+        pcKeys.add(pcKey)
+        const relationTag = parentKey === husband ? '_FREL' : '_MREL'
+        const type = readPedigreeType(findChild(childNode, relationTag)) ||
+          pedigrees.get(`${childKey}|${family.xref}`) ||
+          'biological'
+        plan.parentChild.push({ parentKey, childKey, type })
+      })
+    })
+  })
+
+  Object.entries(skippedCounts).forEach(([tag, count]) => {
+    plan.skipped.push(`${count} ${tag} record${count === 1 ? '' : 's'}`)
+  })
+
+  return plan
+}
+
+/**
+ * Derive the app relationship type from a FAM record
+ * Returns null when the family explicitly records no partnership (_TYPE NONE)
+ */
+function readFamilyRelationshipType(family) {
+  const custom = (findChild(family, '_TYPE')?.value || '').trim().toLowerCase()
+  if (custom === 'none') return null
+  if (SPOUSAL_RELATIONSHIP_TYPES.includes(custom)) return custom
+
+  if (findChild(family, 'DIV')) return 'divorced'
+  return 'married'
+}
+
+// PEDI / _PEDI / _FREL / _MREL values -> parent_child_relationships.relationship_type
+const PEDIGREE_TYPES = {
+  birth: 'biological',
+  natural: 'biological',
+  biological: 'biological',
+  adopted: 'adoptive',
+  adoptive: 'adoptive',
+  foster: 'foster',
+  step: 'step',
+  guardian: 'guardian'
+}
+
+/**
+ * Parent-child type named by a pedigree node, or null when it is missing or unknown
+ */
+function readPedigreeType(node) {
+  return PEDIGREE_TYPES[(node?.value || '').trim().toLowerCase()] || null
+}
+
+const PARTNERSHIP_START_TAGS = ['MARR', '_PART']
+const PARTNERSHIP_END_TAGS = ['DIV', '_SEPR', '_END']
+
+/**
+ * Start/end dates and place of a FAM record as spousal_relationships columns
+ */
+function readPartnershipEvents(family, famId, warnings) {
+  const firstEvent = (tags) => tags.map(tag => findChild(family, tag)).find(Boolean)
+  const startNode = firstEvent(PARTNERSHIP_START_TAGS)
+  const endNode = firstEvent(PARTNERSHIP_END_TAGS)
+  const start = startNode ? readEvent(startNode, startNode.tag, famId, warnings) : { date: null, place: null }
+  const end = endNode ? readEvent(endNode, endNode.tag, famId, warnings) : { date: null, place: null }
+  return {
+    start_date: start.date,
+    end_date: end.date,
+    place: start.place || end.place
+  }
+}
+
+/**
+ * Convenience wrapper: GEDCOM text -> import plan
+ */
+export function gedcomToImportPlan(text) {
+  return buildGedcomImportPlan(parseGedcom(text))
+}
+
+// ==================== EXPORT ====================
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+function formatGedcomDate(date) {
+  return `${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()}`
+}
+
+/**
+ * Append a line with a text value
+ * A literal @ is written as @@, and each further line of the value becomes a
+ * CONT line one level down, as GEDCOM 5.5.1 requires.
+ */
+function pushText(lines, level, tag, value) {
+  const [first, ...rest] = String(value).replace(/@/g, '@@').split(/\r\n|\r|\n/)
+  lines.push(`${level} ${tag}${first ? ` ${first}` : ''}`)
+  rest.forEach(line => lines.push(`${level + 1} CONT${line ? ` ${line}` : ''}`))
+}
+
+/**
+ * Append an individual event with optional DATE / PLAC; nothing if both are empty
+ */
+function pushEvent(lines, tag, date, place) {
+  if (!date && !place) return
+  lines.push(`1 ${tag}`)
+  if (date) pushText(lines, 2, 'DATE', date)
+  if (place) pushText(lines, 2, 'PLAC', place)
+}
+
+/**
+ * Append a NAME record with its parts and TYPE
+ * The primary name leaves out TYPE when it is the birth name; other names
+ * always carry one so a birth name is not read back as an alias.
+ */
+function pushName(lines, name, isPrimary) {
+  const firstName = (name.first_name || '').trim()
+  const lastName = (name.last_name || '').trim()
+  pushText(lines, 1, 'NAME', `${firstName}${firstName ? ' ' : ''}/${lastName}/`)
+  if (firstName) pushText(lines, 2, 'GIVN', firstName)
+  if (lastName) pushText(lines, 2, 'SURN', lastName)
+  const type = name.type || DEFAULT_NAME_TYPE
+  if (!isPrimary || type !== DEFAULT_NAME_TYPE) lines.push(`2 TYPE ${NAME_TYPE_TO_GEDCOM[type] || 'aka'}`)
+}
+
+/**
+ * Append a family event; with no date or place it is written as "1 TAG Y"
+ * when the event is known to have happened (a marriage, a divorce)
+ */
+function pushPartnershipEvent(lines, tag, date, place, happened) {
+  if (date || place) pushEvent(lines, tag, date, place)
+  else if (happened) lines.push(`1 ${tag} Y`)
+}
+
+/**
+ * Group parent-child and spousal rows into GEDCOM families
+ * A family is a partnership (or a parent set) plus the children they share.
+ */
+export function buildGedcomFamilies(members, parentChildRels, spousalRels) {
+  const memberIds = new Set(members.map(m => m.id))
+  const families = new Map()
+  const pairKey = (ids) => [...ids].sort().join('|')
+
+  // Children linked to the same parents in another way (adopted rather than
+  // born) need a family of their own, as GEDCOM records the pedigree per family
+  const getFamily = (partnerIds, childType = 'biological') => {
+    const key = childType === 'biological' ? pairKey(partnerIds) : `${pairKey(partnerIds)}|${childType}`
+    if (!families.has(key)) families.set(key, { partners: [...partnerIds], children: [], childType, relationshipType: null })
+    return families.get(key)
+  }
+
+  spousalRels.forEach(rel => {
+    if (!memberIds.has(rel.person1_id) || !memberIds.has(rel.person2_id)) return
+    const family = getFamily([rel.person1_id, rel.person2_id])
+    family.relationshipType = rel.relationship_type || 'married'
+    family.partnership = rel
+  })
+
+  // child id -> relationship type -> parent ids
+  const parentsByChild = new Map()
+  parentChildRels.forEach(rel => {
+    if (!memberIds.has(rel.parent_id) || !memberIds.has(rel.child_id)) return
+    if (!parentsByChild.has(rel.child_id)) parentsByChild.set(rel.child_id, new Map())
+    const byType = parentsByChild.get(rel.child_id)
+    const type = getParentChildType(rel)
+    if ([...byType.values()].some(ids => ids.includes(rel.parent_id))) return
+    if (!byType.has(type)) byType.set(type, [])
+    byType.get(type).push(rel.parent_id)
+  })
+
+  // Walk members in order so the export is stable
+  members.forEach(member => {
+    const byType = parentsByChild.get(member.id)
+    if (!byType) return
+    byType.forEach((parents, type) => {
+      getFamily(parents.slice(0, 2), type).children.push(member.id)
+      parents.slice(2).forEach(extraParent => getFamily([extraParent], type).children.push(member.id))
+    })
+  })
+
+  // CHIL lines are read in order by other programs, so list children eldest first
+  const membersById = new Map(members.map(m => [m.id, m]))
+  families.forEach(family => {
+    family.children = sortByBirthOrder(family.children.map(id => membersById.get(id))).map(m => m.id)
+  })
+
+  return Array.from(families.values())
+}
+
+/**
+ * Serialise a tree as GEDCOM 5.5.1 text
+ * @param {Object} tree
+ * @param {string} tree.treeName
+ * @param {Array} tree.members - family_members rows
+ * @param {Array} tree.parentChildRels - parent_child_relationships rows
+ * @param {Array} tree.spousalRels - spousal_relationships rows
+ */
+export function exportGedcom({ treeName = '', members, parentChildRels, spousalRels }) {
+  const lines = []
+  const indiXref = new Map()
+  members.forEach((member, index) => indiXref.set(member.id, `@I${index + 1}@`))
+
+  const families = buildGedcomFamilies(members, parentChildRels, spousalRels)
+  const famsByMember = new Map()
+  const famcByMember = new Map()
+  const push = (map, id, value) => {
+    if (!map.has(id)) map.set(id, [])
+    map.get(id).push(value)
+  }
+
+  families.forEach((family, index) => {
+    family.xref = `@F${index + 1}@`
+
+    // GEDCOM 5.5.1 only knows HUSB/WIFE; put a woman in WIFE where we can
+    const [first, second] = family.partners.map(id => members.find(m => m.id === id))
+    if (first && first.gender === 'F' && (!second || second.gender !== 'F')) family.partners.reverse()
+
+    family.partners.forEach(id => push(famsByMember, id, family.xref))
+    family.children.forEach(id => push(famcByMember, id, family))
+  })
+
+  lines.push('0 HEAD')
+  lines.push('1 SOUR FAMILY_TREE_APP')
+  lines.push('2 NAME Collaborative Family Tree')
+  lines.push(`1 DATE ${formatGedcomDate(new Date())}`)
+  lines.push('1 GEDC')
+  lines.push('2 VERS 5.5.1')
+  lines.push('2 FORM LINEAGE-LINKED')
+  lines.push('1 CHAR UTF-8')
+  if (treeName) pushText(lines, 1, 'NOTE', treeName)
+
+  members.forEach(member => {
+    const firstName = (member.first_name || '').trim()
+    const lastName = (member.last_name || '').trim()
+
+    lines.push(`0 ${indiXref.get(member.id)} INDI`)
+    pushName(lines, { first_name: firstName, last_name: lastName, type: member.name_type }, true)
+    normalizeOtherNames(member.other_names).forEach(name => pushName(lines, name, false))
+    lines.push(`1 SEX ${member.gender === 'M' || member.gender === 'F' ? member.gender : 'U'}`)
+    pushEvent(lines, 'BIRT', member.birth_date || member.birthday, member.birth_place)
+    pushEvent(lines, 'DEAT', member.death_date || member.death, member.death_place)
+    if (member.living_status === 'deceased' && !member.death_date && !member.death && !member.death_place) lines.push('1 DEAT Y')
+    pushEvent(lines, 'BURI', null, member.burial_place)
+    const residences = Array.isArray(member.residences) ? member.residences : []
+    residences.forEach(residence => pushEvent(lines, 'RESI', residence.date, residence.place))
+    for (const family of famcByMember.get(member.id) || []) {
+      lines.push(`1 FAMC ${family.xref}`)
+      if (family.childType === 'adoptive') lines.push('2 PEDI adopted')
+      else if (family.childType === 'foster') lines.push('2 PEDI foster')
+      else if (family.childType !== 'biological') lines.push(`2 _PEDI ${family.childType.toUpperCase()}`)
+    }
+    for (const xref of famsByMember.get(member.id) || []) lines.push(`1 FAMS ${xref}`)
+  })
+
+  families.forEach(family => {
+    lines.push(`0 ${family.xref} FAM`)
+    if (family.partners.length === 1) {
+      const parentId = family.partners[0]
+      const tag = members.find(m => m.id === parentId)?.gender === 'F' ? 'WIFE' : 'HUSB'
+      lines.push(`1 ${tag} ${indiXref.get(parentId)}`)
+    } else {
+      lines.push(`1 HUSB ${indiXref.get(family.partners[0])}`)
+      lines.push(`1 WIFE ${indiXref.get(family.partners[1])}`)
+    }
+    family.children.forEach(id => lines.push(`1 CHIL ${indiXref.get(id)}`))
+
+    const type = family.relationshipType
+    const partnership = family.partnership || {}
+    const isMarriage = type === 'married' || type === 'divorced' || type === 'separated'
+    if (isMarriage) pushPartnershipEvent(lines, 'MARR', partnership.start_date, partnership.place, true)
+    else if (type === 'partner') pushPartnershipEvent(lines, '_PART', partnership.start_date, partnership.place, false)
+    const endTag = type === 'divorced' ? 'DIV' : type === 'separated' ? '_SEPR' : '_END'
+    pushPartnershipEvent(lines, endTag, partnership.end_date, null, type === 'divorced')
+    if (family.partners.length === 2) lines.push(`1 _TYPE ${(type || 'none').toUpperCase()}`)
+  })
+
+  lines.push('0 TRLR')
+  return lines.join('\n') + '\n'
+}
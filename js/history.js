@@ -0,0 +1,164 @@
+import { formatStoredDate } from './dates.js'
+
+/**
+ * Change history
+ *
+ * A database trigger logs every change to a member or relationship row:
+ *   { id, table_name, row_id, action: 'create' | 'update' | 'delete',
+ *     before, after, member_ids, actor_email, created_at }
+ * before / after are the whole row (null when it didn't exist). These helpers
+ * turn entries into readable revisions and work out how to undo one.
+ */
+
+// Bookkeeping columns, and the ends of a relationship (the summary names them)
+const IGNORED_FIELDS = ['id', 'tree_id', 'created_at', 'updated_at', 'parent_id', 'child_id', 'person1_id', 'person2_id']
+
+export const HISTORY_FIELD_LABELS = {
+  first_name: 'First name',
+  last_name: 'Last name',
+  name_type: 'Name type',
+  other_names: 'Other names',
+  gender: 'Gender',
+  birthday: 'Birth year',
+  birth_date: 'Date of birth',
+  death: 'Death year',
+  death_date: 'Date of death',
+  birth_place: 'Place of birth',
+  death_place: 'Place of death',
+  burial_place: 'Place of burial',
+  residences: 'Residences',
+  custom_fields: 'Custom fields',
+  avatar_media_id: 'Portrait',
+  living_status: 'Living status',
+  birth_order: 'Birth order',
+  multiple_birth_group: 'Born together with',
+  is_main: 'Main person',
+  relationship_type: 'Type',
+  start_date: 'Start',
+  end_date: 'End',
+  place: 'Place',
+  deleted_at: 'Deleted',
+  deleted_by_email: 'Deleted by',
+  deleted_with: 'Deleted with'
+}
+
+const ACTION_VERBS = {
+  family_members: { create: 'Added', update: 'Edited', delete: 'Deleted' },
+  parent_child_relationships: { create: 'Linked', update: 'Changed the link with', delete: 'Unlinked' },
+  spousal_relationships: { create: 'Added a partnership with', update: 'Changed the partnership with', delete: 'Removed the partnership with' }
+}
+
+// Moving to and from the recycle bin, by whether the row ends up deleted
+const RECYCLE_BIN_VERBS = {
+  family_members: { true: 'Moved to the recycle bin', false: 'Restored from the recycle bin' },
+  parent_child_relationships: { true: 'Hid the link with', false: 'Restored the link with' },
+  spousal_relationships: { true: 'Hid the partnership with', false: 'Restored the partnership with' }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+function isBlank(value) {
+  if (value === null || value === undefined || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.keys(value).length === 0
+  return false
+}
+
+/**
+ * The fields an entry changed, with their old and new values
+ * Creations list the fields they filled in; deletions list nothing.
+ * @returns {Array<{ field: string, label: string, before: *, after: * }>}
+ */
+export function getChangedFields(entry) {
+  const before = entry.before || {}
+  const after = entry.after || {}
+  if (entry.action === 'delete') return []
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)])
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => entry.action === 'create' ? !isBlank(after[field]) : !sameValue(before[field], after[field]))
+    .map(field => ({ field, label: HISTORY_FIELD_LABELS[field] || field, before: before[field], after: after[field] }))
+}
+
+/**
+ * Whether an entry moved a row into or out of the recycle bin
+ */
+export function isRecycleBinEntry(entry) {
+  return entry.action === 'update' && !entry.before?.deleted_at !== !entry.after?.deleted_at
+}
+
+/**
+ * A field value as text: dates in display form, lists and objects as JSON
+ */
+export function formatHistoryValue(field, value) {
+  if (isBlank(value)) return '—'
+  if (/_date$/.test(field)) return formatStoredDate(value)
+  if (typeof value === 'object') {
+    const text = JSON.stringify(value)
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text
+  }
+  return String(value)
+}
+
+/**
+ * One-line summary of an entry from one member's point of view
+ * "Edited", "Linked child Mary Walsh", "Removed the partnership with John Byrne"
+ * @param {Function} nameOf - member id -> display name
+ */
+export function describeHistoryEntry(entry, memberId, nameOf) {
+  const verb = isRecycleBinEntry(entry)
+    ? RECYCLE_BIN_VERBS[entry.table_name][!!entry.after.deleted_at]
+    : ACTION_VERBS[entry.table_name]?.[entry.action] || entry.action
+  const row = entry.after || entry.before || {}
+
+  if (entry.table_name === 'parent_child_relationships') {
+    const isParent = row.parent_id === memberId
+    const otherId = isParent ? row.child_id : row.parent_id
+    return `${verb} ${isParent ? 'child' : 'parent'} ${nameOf(otherId)}`
+  }
+  if (entry.table_name === 'spousal_relationships') {
+    const otherId = row.person1_id === memberId ? row.person2_id : row.person1_id
+    return `${verb} ${nameOf(otherId)}`
+  }
+  return verb
+}
+
+/**
+ * What undoing an entry takes, or null when it can't be undone from here
+ *   { type: 'update', table, id, values, expected } - put the changed fields back
+ *   { type: 'delete', table, row }                   - remove a relationship that was added
+ *   { type: 'create', table, row }                   - re-create a relationship that was removed
+ * expected is the row as the change left it.
+ * Adding or deleting a person is not reverted from their own history, nor is
+ * moving them to the recycle bin (restore them from the bin, links and all).
+ */
+export function buildRevertAction(entry) {
+  if (isRecycleBinEntry(entry)) return null
+  if (entry.action === 'update') {
+    const values = {}
+    getChangedFields(entry).forEach(({ field, before }) => {
+      values[field] = before ?? null
+    })
+    return Object.keys(values).length > 0
+      ? { type: 'update', table: entry.table_name, id: entry.row_id, values, expected: entry.after }
+      : null
+  }
+  if (entry.table_name === 'family_members') return null
+  if (entry.action === 'create') return { type: 'delete', table: entry.table_name, row: entry.after }
+  if (entry.action === 'delete') return { type: 'create', table: entry.table_name, row: entry.before }
+  return null
+}
+
+/**
+ * Whether the row has changed again since the entry (so reverting would
+ * overwrite someone else's later edit)
+ * @param {Object} action - from buildRevertAction
+ * @param {Object|null} currentRow - the row as it is now
+ */
+export function hasLaterChanges(action, currentRow) {
+  if (action.type !== 'update' || !currentRow) return false
+  return Object.keys(action.values).some(field => !sameValue(currentRow[field], action.expected?.[field]))
+}
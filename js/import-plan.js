@@ -0,0 +1,436 @@
+import {
+  createFamilyMember,
+  createParentChildRelationship,
+  createSpousalRelationship,
+  getCustomFieldDefinitions,
+  createCustomFieldDefinition,
+  getParentChildRelationships,
+  getSpousalRelationships,
+  createSource,
+  createCitation,
+  replaceFamilyTreeContents
+} from './supabase-client.js'
+
+import { escapeHtml } from './dom-utils.js'
+import { openModal } from './modal.js'
+import { gedcomToImportPlan } from './gedcom.js'
+import { isBackupText, parseBackupSnapshot, buildRestorePlan } from './backup.js'
+import { CSV_FIELDS, parseCsv, guessCsvMapping, buildCsvImportPlan } from './csv.js'
+import { createValidator } from './validation.js'
+
+/**
+ * Import plans
+ *
+ * Every importer (GEDCOM, CSV, backup restore) produces the same intermediate shape so the
+ * preview and the database writes are shared:
+ * {
+ *   source: 'GEDCOM',
+ *   members: [{ key: 'I1', data: { first_name, last_name, birthday, birth_date, death, death_date, gender } }],
+ *   parentChild: [{ parentKey: 'I1', childKey: 'I2', type: 'adoptive' }],   // type defaults to biological
+ *   spousal: [{ person1Key: 'I1', person2Key: 'I3', type: 'married', details: { start_date, end_date, place } }],
+ *   skipped: ['2 SOUR records'],
+ *   warnings: ['...'],
+ *   fieldDefinitions: [{ field_key, label, field_type, ... }],  // optional, backups only
+ *   sources: [{ key, data: { title, ... } }],                    // optional, backups only
+ *   citations: [{ sourceKey, memberKey, fact, data }]            // or parentChild / spousal key pairs
+ * }
+ * Keys are only meaningful inside the plan; real ids are assigned on commit.
+ * A member with an `existingId` is already in the target tree: it is not
+ * created again but relationships can still point at it.
+ */
+
+/**
+ * Count what a plan will create
+ */
+export function summarizeImportPlan(plan) {
+  return {
+    members: plan.members.filter(m => !m.existingId).length,
+    parentChild: plan.parentChild.length,
+    spousal: plan.spousal.length,
+    sources: (plan.sources || []).filter(src => !src.existingId).length,
+    citations: (plan.citations || []).length,
+    skipped: plan.skipped || [],
+    warnings: plan.warnings || []
+  }
+}
+
+/**
+ * Run the relationship and date checks over a plan, against the tree it goes into
+ * Links that would be impossible (an ancestry cycle, a third biological
+ * parent, a parent certainly born after the child) are dropped and listed under
+ * skipped, one at a time in file order so only the link that breaks things goes.
+ * Anything else found about the plan's people is added to its warnings.
+ * @param {Object} plan - Import plan
+ * @param {Object} [tree] - { members, parentChildRels, spousalRels } already in the target tree
+ * @returns {Object} The plan without the dropped links
+ */
+export function validateImportPlan(plan, tree = { members: [], parentChildRels: [], spousalRels: [] }) {
+  const idByKey = new Map(plan.members.map(m => [m.key, m.existingId || `plan:${m.key}`]))
+  const newMembers = plan.members.filter(m => !m.existingId).map(m => ({ ...m.data, id: idByKey.get(m.key) }))
+  const validator = createValidator({
+    members: [...tree.members, ...newMembers],
+    parentChildRels: tree.parentChildRels,
+    spousalRels: tree.spousalRels
+  })
+  const skipped = []
+
+  // Errors this link is part of, undoing it if there are any
+  const rejects = (row, ends, add, remove) => {
+    add(row)
+    const errors = validator.check(ends).filter(issue => issue.severity === 'error' && issue.links.includes(row))
+    if (errors.length === 0) return false
+    remove(row)
+    skipped.push(`${errors[0].message} (link not imported)`)
+    return true
+  }
+
+  const parentChild = plan.parentChild.filter(rel => {
+    const row = { parent_id: idByKey.get(rel.parentKey), child_id: idByKey.get(rel.childKey), relationship_type: rel.type || 'biological' }
+    return !rejects(row, [row.parent_id, row.child_id], validator.addParentChild, validator.removeParentChild)
+  })
+  const spousal = plan.spousal.filter(rel => {
+    const row = { person1_id: idByKey.get(rel.person1Key), person2_id: idByKey.get(rel.person2Key) }
+    return !rejects(row, [row.person1_id], validator.addSpousal, validator.removeSpousal)
+  })
+
+  const warnings = validator.check(newMembers.map(m => m.id)).map(issue => issue.message)
+  return {
+    ...plan,
+    parentChild,
+    spousal,
+    skipped: [...(plan.skipped || []), ...skipped],
+    warnings: [...(plan.warnings || []), ...warnings]
+  }
+}
+
+/**
+ * Build the preview markup shown before an import is committed
+ */
+export function renderImportSummary(plan) {
+  const summary = summarizeImportPlan(plan)
+  const listSection = (title, items, className = '') => {
+    if (items.length === 0) return ''
+    const lis = items.map(item => `<li class="${className}">${escapeHtml(item)}</li>`).join('')
+    return `<div class="import-summary-section"><h4>${escapeHtml(title)} (${items.length})</h4><ul>${lis}</ul></div>`
+  }
+
+  return `
+    <div class="import-summary-counts">
+      <div class="import-summary-count"><strong>${summary.members}</strong>People</div>
+      <div class="import-summary-count"><strong>${summary.parentChild}</strong>Parent-child links</div>
+      <div class="import-summary-count"><strong>${summary.spousal}</strong>Partnerships</div>
+      ${summary.citations > 0 ? `<div class="import-summary-count"><strong>${summary.citations}</strong>Citations</div>` : ''}
+    </div>
+    ${listSection('Skipped', summary.skipped)}
+    ${listSection('Warnings', summary.warnings, 'import-summary-warning')}
+  `
+}
+
+/**
+ * Write a plan into a tree
+ * @param {string} treeId - Target tree
+ * @param {Object} plan - Import plan
+ * @param {Object} options
+ * @param {string} [options.mainKey] - Plan key of the member to flag as is_main
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ */
+export async function commitImportPlan(treeId, plan, { mainKey = null, onProgress = null } = {}) {
+  const idMap = new Map()
+  const errors = []
+  const created = { members: 0, parentChild: 0, spousal: 0, sources: 0, citations: 0 }
+  const sources = plan.sources || []
+  const citations = plan.citations || []
+  const total = plan.members.length + plan.parentChild.length + plan.spousal.length + sources.length + citations.length
+  let done = 0
+  const tick = () => {
+    done++
+    if (onProgress) onProgress(done, total)
+  }
+
+  const fieldErrors = await ensureFieldDefinitions(treeId, plan.fieldDefinitions || [])
+  errors.push(...fieldErrors)
+
+  for (const member of plan.members) {
+    if (member.existingId) {
+      idMap.set(member.key, member.existingId)
+      tick()
+      continue
+    }
+
+    const res = await createFamilyMember({
+      ...member.data,
+      tree_id: treeId,
+      is_main: member.key === mainKey
+    })
+    if (res.success) {
+      idMap.set(member.key, res.data.id)
+      created.members++
+    } else {
+      errors.push(`Could not create ${member.key}: ${res.error}`)
+    }
+    tick()
+  }
+
+  for (const rel of plan.parentChild) {
+    const parentId = idMap.get(rel.parentKey)
+    const childId = idMap.get(rel.childKey)
+    if (parentId && childId) {
+      const res = await createParentChildRelationship(treeId, parentId, childId, rel.type || 'biological')
+      if (res.success) created.parentChild++
+      else errors.push(`Could not link ${rel.parentKey} → ${rel.childKey}: ${res.error}`)
+    }
+    tick()
+  }
+
+  for (const rel of plan.spousal) {
+    const person1Id = idMap.get(rel.person1Key)
+    const person2Id = idMap.get(rel.person2Key)
+    if (person1Id && person2Id) {
+      const res = await createSpousalRelationship(treeId, person1Id, person2Id, rel.type || 'married', rel.details || {})
+      if (res.success) created.spousal++
+      else errors.push(`Could not link ${rel.person1Key} & ${rel.person2Key}: ${res.error}`)
+    }
+    tick()
+  }
+
+  if (sources.length > 0 || citations.length > 0) {
+    await commitSourcesAndCitations(treeId, sources, citations, idMap, { created, errors, tick })
+  }
+
+  return { success: errors.length === 0, created, errors, idMap }
+}
+
+/**
+ * Replace everything in a tree with a plan (backup restore in "replace" mode)
+ * Ids are assigned here and every row is written in one transaction, so a
+ * failure leaves the tree as it was. Missing custom fields are added first;
+ * that only ever adds.
+ * @returns {{ success, created, errors }}
+ */
+export async function commitReplacePlan(treeId, plan, { mainKey = null } = {}) {
+  const errors = await ensureFieldDefinitions(treeId, plan.fieldDefinitions || [])
+  if (errors.length > 0) return { success: false, created: null, errors }
+
+  const idMap = new Map(plan.members.map(member => [member.key, crypto.randomUUID()]))
+  const rows = {
+    family_members: plan.members.map(member => ({
+      ...member.data,
+      id: idMap.get(member.key),
+      is_main: member.key === mainKey
+    })),
+    parent_child_relationships: [],
+    spousal_relationships: [],
+    sources: [],
+    citations: []
+  }
+
+  const pcByPair = new Map()
+  plan.parentChild.forEach(rel => {
+    const row = {
+      id: crypto.randomUUID(),
+      parent_id: idMap.get(rel.parentKey),
+      child_id: idMap.get(rel.childKey),
+      relationship_type: rel.type || 'biological'
+    }
+    // A second copy of a link would break the whole restore, not just itself
+    if (!row.parent_id || !row.child_id || pcByPair.has(`${row.parent_id}|${row.child_id}`)) return
+    pcByPair.set(`${row.parent_id}|${row.child_id}`, row.id)
+    rows.parent_child_relationships.push(row)
+  })
+
+  const spByPair = new Map()
+  plan.spousal.forEach(rel => {
+    const row = {
+      id: crypto.randomUUID(),
+      person1_id: idMap.get(rel.person1Key),
+      person2_id: idMap.get(rel.person2Key),
+      relationship_type: (rel.type || 'married').toLowerCase(),
+      ...rel.details
+    }
+    const pair = [row.person1_id, row.person2_id].sort().join('|')
+    if (!row.person1_id || !row.person2_id || spByPair.has(pair)) return
+    spByPair.set(pair, row.id)
+    rows.spousal_relationships.push(row)
+  })
+
+  const sourceIdMap = new Map()
+  for (const source of plan.sources || []) {
+    const id = crypto.randomUUID()
+    sourceIdMap.set(source.key, id)
+    rows.sources.push({ ...source.data, id })
+  }
+
+  for (const citation of plan.citations || []) {
+    const record = { id: crypto.randomUUID(), source_id: sourceIdMap.get(citation.sourceKey), ...citation.data }
+    if (citation.memberKey) {
+      record.member_id = idMap.get(citation.memberKey)
+      record.fact = citation.fact
+    } else if (citation.parentChild) {
+      record.parent_child_relationship_id = pcByPair.get(`${idMap.get(citation.parentChild.parentKey)}|${idMap.get(citation.parentChild.childKey)}`)
+    } else if (citation.spousal) {
+      record.spousal_relationship_id = spByPair.get([idMap.get(citation.spousal.person1Key), idMap.get(citation.spousal.person2Key)].sort().join('|'))
+    }
+    const hasTarget = record.member_id || record.parent_child_relationship_id || record.spousal_relationship_id
+    if (record.source_id && hasTarget) rows.citations.push(record)
+  }
+
+  const res = await replaceFamilyTreeContents(treeId, rows)
+  if (!res.success) return { success: false, created: null, errors: [`Could not restore the backup: ${res.error}`] }
+
+  return {
+    success: true,
+    created: {
+      members: rows.family_members.length,
+      parentChild: rows.parent_child_relationships.length,
+      spousal: rows.spousal_relationships.length,
+      sources: rows.sources.length,
+      citations: rows.citations.length
+    },
+    errors: []
+  }
+}
+
+/**
+ * Create the plan's sources, then its citations
+ * Relationship citations are matched to the tree's relationship rows by member pair.
+ */
+async function commitSourcesAndCitations(treeId, sources, citations, idMap, { created, errors, tick }) {
+  const sourceIdMap = new Map()
+  for (const source of sources) {
+    if (source.existingId) {
+      sourceIdMap.set(source.key, source.existingId)
+    } else {
+      const res = await createSource(treeId, source.data)
+      if (res.success) {
+        sourceIdMap.set(source.key, res.data.id)
+        created.sources++
+      } else {
+        errors.push(`Could not create the source "${source.data.title}": ${res.error}`)
+      }
+    }
+    tick()
+  }
+
+  const needsRelationships = citations.some(c => c.parentChild || c.spousal)
+  const [pcRes, spRes] = needsRelationships
+    ? await Promise.all([getParentChildRelationships(treeId), getSpousalRelationships(treeId)])
+    : [{ data: [] }, { data: [] }]
+  const pcByPair = new Map((pcRes.data || []).map(r => [`${r.parent_id}|${r.child_id}`, r.id]))
+  const spByPair = new Map((spRes.data || []).map(r => [[r.person1_id, r.person2_id].sort().join('|'), r.id]))
+
+  for (const citation of citations) {
+    const record = { source_id: sourceIdMap.get(citation.sourceKey), ...citation.data }
+    if (citation.memberKey) {
+      record.member_id = idMap.get(citation.memberKey)
+      record.fact = citation.fact
+    } else if (citation.parentChild) {
+      record.parent_child_relationship_id = pcByPair.get(`${idMap.get(citation.parentChild.parentKey)}|${idMap.get(citation.parentChild.childKey)}`)
+    } else if (citation.spousal) {
+      record.spousal_relationship_id = spByPair.get([idMap.get(citation.spousal.person1Key), idMap.get(citation.spousal.person2Key)].sort().join('|'))
+    }
+
+    const hasTarget = record.member_id || record.parent_child_relationship_id || record.spousal_relationship_id
+    if (record.source_id && hasTarget) {
+      const res = await createCitation(treeId, record)
+      if (res.success) created.citations++
+      else errors.push(`Could not create a citation: ${res.error}`)
+    }
+    tick()
+  }
+}
+
+/**
+ * Create the custom field definitions a plan needs that the tree doesn't have yet
+ * Existing definitions with the same field_key are left as they are.
+ */
+async function ensureFieldDefinitions(treeId, definitions) {
+  if (definitions.length === 0) return []
+
+  const existingRes = await getCustomFieldDefinitions(treeId)
+  if (!existingRes.success) return [`Could not load custom fields: ${existingRes.error}`]
+
+  const existingKeys = new Set(existingRes.data.map(f => f.field_key))
+  let position = existingRes.data.reduce((max, f) => Math.max(max, (f.position ?? 0) + 1), 0)
+  const errors = []
+
+  for (const definition of definitions) {
+    if (existingKeys.has(definition.field_key)) continue
+    const res = await createCustomFieldDefinition(treeId, { ...definition, position: position++ })
+    if (res.success) existingKeys.add(definition.field_key)
+    else errors.push(`Could not create the custom field "${definition.label}": ${res.error}`)
+  }
+  return errors
+}
+
+// ==================== FILE DETECTION ====================
+
+export const IMPORT_FILE_ACCEPT = '.ged,.gedcom,.json,.csv'
+export const BACKUP_FILE_ACCEPT = '.json'
+
+/**
+ * Read a user-chosen file and turn it into an import plan
+ * Backups additionally carry the parsed snapshot as `plan.snapshot` so the
+ * caller can rebuild the plan for a merge; CSV plans carry `plan.csv` so the
+ * column mapping can be reviewed with chooseCsvMapping().
+ */
+export async function readImportFile(file) {
+  const text = await file.text()
+
+  if (/\.json$/i.test(file.name) || isBackupText(text)) {
+    const snapshot = parseBackupSnapshot(text)
+    return { ...buildRestorePlan(snapshot), snapshot }
+  }
+
+  if (/\.ged(com)?$/i.test(file.name) || /^\uFEFF?\s*0\s+HEAD/.test(text)) {
+    return gedcomToImportPlan(text)
+  }
+
+  if (/\.csv$/i.test(file.name)) {
+    const parsed = parseCsv(text)
+    if (parsed.headers.length === 0) throw new Error('This spreadsheet is empty.')
+    const mapping = guessCsvMapping(parsed.headers)
+    return { ...buildCsvImportPlan(parsed, mapping), csv: { parsed, mapping } }
+  }
+
+  throw new Error('Unsupported file type. Please choose a GEDCOM (.ged), spreadsheet (.csv) or backup (.json) file.')
+}
+
+/**
+ * Let the user confirm or change which CSV column feeds each field
+ * Resolves with a plan rebuilt from the chosen mapping, or null if cancelled.
+ */
+export async function chooseCsvMapping(plan) {
+  const { parsed, mapping } = plan.csv
+  const columnOptions = (selected) => [
+    '<option value="-1">— not in file —</option>',
+    ...parsed.headers.map((header, i) =>
+      `<option value="${i}"${i === selected ? ' selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`)
+  ].join('')
+
+  const fieldsHtml = CSV_FIELDS.map(field => `
+    <label for="csv-map-${field.key}">${escapeHtml(field.label)}</label>
+    <select id="csv-map-${field.key}" data-field="${field.key}">${columnOptions(mapping[field.key])}</select>
+  `).join('')
+
+  let chosen = null
+  const { result } = openModal({
+    title: 'Match spreadsheet columns',
+    body: `<p>${parsed.rows.length} row${parsed.rows.length === 1 ? '' : 's'} found. Choose which column holds each field.</p>${fieldsHtml}`,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Preview', value: 'preview', variant: 'primary' }
+    ],
+    onAction: (value, body) => {
+      if (value === 'preview') {
+        chosen = {}
+        body.querySelectorAll('select[data-field]').forEach(select => {
+          chosen[select.dataset.field] = parseInt(select.value, 10)
+        })
+      }
+      return true
+    }
+  })
+  if (await result !== 'preview') return null
+
+  return { ...buildCsvImportPlan(parsed, chosen), csv: { parsed, mapping: chosen } }
+}
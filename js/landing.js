@@ -1,4 +1,9 @@
 import { createFamilyTree, getFamilyTreeByCode, createFamilyMember } from './supabase-client.js'
+import { IMPORT_FILE_ACCEPT, readImportFile, chooseCsvMapping, renderImportSummary, validateImportPlan, commitImportPlan } from './import-plan.js'
+import { getAuth, openSignInDialog } from './auth.js'
+import { SHARE_TOKEN_LENGTH, extractTreeCode } from './share-links.js'
+import { openModal } from './modal.js'
+import { escapeHtml, pickFile } from './dom-utils.js'
 
 console.log('🚀 Landing page script loaded')
 
@@ -12,6 +17,34 @@ const createModal = document.getElementById('createModal')
 const closeModal = document.querySelector('.close')
 const treeNameInput = document.getElementById('treeName')
 const confirmCreateBtn = document.getElementById('confirmCreateBtn')
+const createFromFileBtn = document.getElementById('createFromFileBtn')
+const accountStatus = document.getElementById('accountStatus')
+const signInBtn = document.getElementById('signInBtn')
+const signOutBtn = document.getElementById('signOutBtn')
+
+// Show who is signed in
+async function renderAccount() {
+  const user = await getAuth().getUser()
+  accountStatus.textContent = user ? `Signed in as ${user.email}` : 'Sign in to create a tree'
+  signInBtn.hidden = !!user
+  signOutBtn.hidden = !user
+  return user
+}
+
+// Creating a tree makes you its owner, so it needs an account
+async function ensureSignedIn() {
+  if (await getAuth().getUser()) return true
+  const user = await openSignInDialog()
+  return !!user
+}
+
+signInBtn.addEventListener('click', openSignInDialog)
+signOutBtn.addEventListener('click', async () => {
+  const result = await getAuth().signOut()
+  if (!result.success) showError('Could not sign out. Please try again.')
+})
+getAuth().onChange(renderAccount)
+renderAccount()
 
 // Show error message
 function showError(message) {
@@ -34,8 +67,8 @@ viewTreeBtn.addEventListener('click', async () => {
     return
   }
   
-  if (code.length !== 6) {
-    showError('Tree code must be 6 characters')
+  if (code.length !== 6 && code.length !== SHARE_TOKEN_LENGTH) {
+    showError(`Tree codes have 6 characters and share link codes ${SHARE_TOKEN_LENGTH}`)
     return
   }
   
@@ -52,7 +85,7 @@ viewTreeBtn.addEventListener('click', async () => {
     window.location.href = `tree.html?code=${code}`
   } else {
     console.error('❌ Tree not found')
-    showError('Tree not found. Please check the code and try again.')
+    showError('Tree not found. Please check the code and try again. Share links can expire or be revoked.')
     viewTreeBtn.disabled = false
     viewTreeBtn.textContent = 'View Tree'
   }
@@ -70,9 +103,18 @@ treeCodeInput.addEventListener('input', (e) => {
   e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '')
 })
 
+// Accept a whole share link pasted into the code box
+treeCodeInput.addEventListener('paste', (e) => {
+  const text = e.clipboardData?.getData('text') || ''
+  if (!text.includes('code=')) return
+  e.preventDefault()
+  treeCodeInput.value = extractTreeCode(text)
+})
+
 // Open create tree modal
-createTreeBtn.addEventListener('click', () => {
+createTreeBtn.addEventListener('click', async () => {
   console.log('➕ Create Tree button clicked')
+  if (!await ensureSignedIn()) return
   createModal.style.display = 'block'
   treeNameInput.focus()
 })
@@ -153,4 +195,87 @@ treeNameInput.addEventListener('keypress', (e) => {
   }
 })
 
+// Create tree from a GEDCOM file, CSV spreadsheet or JSON backup
+createFromFileBtn.addEventListener('click', async () => {
+  console.log('📂 Create from File button clicked')
+  if (!await ensureSignedIn()) return
+  const file = await pickFile(IMPORT_FILE_ACCEPT)
+  if (!file) return
+
+  let plan
+  try {
+    plan = await readImportFile(file)
+  } catch (error) {
+    console.error('❌ Error reading file:', error)
+    showError(error.message || 'Could not read this file.')
+    return
+  }
+
+  if (plan.csv) {
+    plan = await chooseCsvMapping(plan)
+    if (!plan) return
+  }
+
+  if (plan.members.length === 0) {
+    showError('No people were found in this file.')
+    return
+  }
+  plan = validateImportPlan(plan)
+
+  const defaultName = plan.treeName || file.name.replace(/\.[^.]+$/, '')
+  const { result } = openModal({
+    title: 'Create tree from file',
+    wide: true,
+    body: `
+      <label for="importTreeName">Family Tree Name</label>
+      <input type="text" id="importTreeName" maxlength="255" value="${escapeHtml(defaultName)}">
+      <p class="hint">The following will be created from ${escapeHtml(file.name)}:</p>
+      ${renderImportSummary(plan)}
+    `,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Create Tree', value: 'create', variant: 'primary' }
+    ],
+    onAction: (value, body) => {
+      if (value !== 'create') return true
+      const name = body.querySelector('#importTreeName').value.trim()
+      if (!name) {
+        body.querySelector('#importTreeName').focus()
+        return false
+      }
+      plan.treeName = name
+      return true
+    }
+  })
+  if (await result !== 'create') return
+
+  createFromFileBtn.disabled = true
+  createFromFileBtn.textContent = 'Importing...'
+
+  console.log('📡 Creating family tree from file...')
+  const treeResult = await createFamilyTree(plan.treeName)
+  if (!treeResult.success) {
+    console.error('❌ Error creating tree:', treeResult.error)
+    showError('Error creating tree. Please try again.')
+    createFromFileBtn.disabled = false
+    createFromFileBtn.textContent = 'Create Tree from File'
+    return
+  }
+
+  const importResult = await commitImportPlan(treeResult.data.id, plan, {
+    mainKey: plan.mainKey || plan.members[0].key,
+    onProgress: (done, total) => {
+      createFromFileBtn.textContent = `Importing... ${done}/${total}`
+    }
+  })
+  console.log('📊 Import result:', importResult)
+
+  if (importResult.errors.length > 0) {
+    console.error('❌ Import errors:', importResult.errors)
+    alert(`Import finished with ${importResult.errors.length} error(s). See the console for details.`)
+  }
+
+  window.location.href = `tree.html?code=${treeResult.treeCode}`
+})
+
 console.log('✅ Landing page event listeners attached')
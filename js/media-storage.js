@@ -0,0 +1,158 @@
+import { supabaseClient } from './supabase-client.js'
+import { MEDIA_CONFIG } from './config.js'
+
+/**
+ * File storage backends for member media
+ *
+ * A backend stores raw files under a path and hands back URLs to show them:
+ * {
+ *   name: 'supabase',
+ *   upload(path, file)  -> { success, error }
+ *   getUrl(path)        -> Promise<string|null>
+ *   remove(paths)       -> { success, error }
+ * }
+ * The Supabase backend is used in production. The local backend keeps files
+ * in this browser's IndexedDB so the media features work without a Storage
+ * bucket; other people opening the tree will not see those files.
+ */
+
+// ==================== SUPABASE STORAGE ====================
+
+export function createSupabaseMediaStorage(bucket = MEDIA_CONFIG.bucket) {
+  return {
+    name: 'supabase',
+
+    async upload(path, file) {
+      try {
+        const { error } = await supabaseClient.storage
+          .from(bucket)
+          .upload(path, file, { contentType: file.type, upsert: false })
+
+        if (error) throw error
+
+        return { success: true }
+      } catch (error) {
+        console.error('Error uploading file:', error)
+        return { success: false, error: error.message }
+      }
+    },
+
+    async getUrl(path) {
+      const { data } = supabaseClient.storage.from(bucket).getPublicUrl(path)
+      return data?.publicUrl || null
+    },
+
+    async remove(paths) {
+      try {
+        if (paths.length === 0) return { success: true }
+        const { error } = await supabaseClient.storage.from(bucket).remove(paths)
+
+        if (error) throw error
+
+        return { success: true }
+      } catch (error) {
+        console.error('Error removing files:', error)
+        return { success: false, error: error.message }
+      }
+    }
+  }
+}
+
+// ==================== LOCAL (INDEXEDDB) STAND-IN ====================
+
+const LOCAL_DB_NAME = 'family-tree-media'
+const LOCAL_STORE = 'files'
+
+function openLocalDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_STORE)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function runLocal(mode, action) {
+  return openLocalDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(LOCAL_STORE, mode)
+    const request = action(transaction.objectStore(LOCAL_STORE))
+    transaction.oncomplete = () => {
+      db.close()
+      resolve(request?.result)
+    }
+    transaction.onerror = () => {
+      db.close()
+      reject(transaction.error)
+    }
+  }))
+}
+
+export function createLocalMediaStorage() {
+  // Object URLs are created once per file and reused for the page lifetime
+  const urls = new Map()
+
+  return {
+    name: 'local',
+
+    async upload(path, file) {
+      try {
+        await runLocal('readwrite', store => store.put(file, path))
+        return { success: true }
+      } catch (error) {
+        console.error('Error storing file locally:', error)
+        return { success: false, error: error.message }
+      }
+    },
+
+    async getUrl(path) {
+      if (urls.has(path)) return urls.get(path)
+      try {
+        const blob = await runLocal('readonly', store => store.get(path))
+        if (!blob) return null
+        const url = URL.createObjectURL(blob)
+        urls.set(path, url)
+        return url
+      } catch (error) {
+        console.error('Error reading local file:', error)
+        return null
+      }
+    },
+
+    async remove(paths) {
+      try {
+        await runLocal('readwrite', store => {
+          paths.forEach(path => store.delete(path))
+        })
+        paths.forEach(path => {
+          if (urls.has(path)) URL.revokeObjectURL(urls.get(path))
+          urls.delete(path)
+        })
+        return { success: true }
+      } catch (error) {
+        console.error('Error removing local files:', error)
+        return { success: false, error: error.message }
+      }
+    }
+  }
+}
+
+// ==================== ACTIVE BACKEND ====================
+
+let activeStorage = null
+
+/**
+ * The backend chosen in MEDIA_CONFIG (created on first use)
+ */
+export function getMediaStorage() {
+  if (!activeStorage) {
+    activeStorage = MEDIA_CONFIG.storage === 'local' ? createLocalMediaStorage() : createSupabaseMediaStorage()
+  }
+  return activeStorage
+}
+
+/**
+ * Swap in another backend, e.g. one backed by a different service
+ */
+export function setMediaStorage(storage) {
+  activeStorage = storage
+}
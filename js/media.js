@@ -0,0 +1,111 @@
+import { createMemberMedia, deleteMemberMedia } from './supabase-client.js'
+import { getMediaStorage } from './media-storage.js'
+import { MEDIA_CONFIG } from './config.js'
+
+/**
+ * Photos and documents attached to family members
+ *
+ * Each file is a member_media row:
+ *   { id, tree_id, member_id, storage_path, file_name, mime_type, size_bytes, caption }
+ * The file itself lives in the active storage backend (see media-storage.js).
+ * family_members.avatar_media_id points at the image shown on the card.
+ */
+
+export const MEDIA_ACCEPT = 'image/*,application/pdf'
+
+/**
+ * True for files that can be shown as a picture
+ */
+export function isImageMedia(item) {
+  return /^image\//.test(item?.mime_type || '')
+}
+
+/**
+ * Check a chosen file before uploading it
+ * @returns {string|null} user-facing error, or null when the file is fine
+ */
+export function validateMediaFile(file) {
+  if (!/^image\//.test(file.type) && file.type !== 'application/pdf') {
+    return 'Only images and PDF documents can be attached.'
+  }
+  if (file.size > MEDIA_CONFIG.maxFileSizeMb * 1024 * 1024) {
+    return `Files must be smaller than ${MEDIA_CONFIG.maxFileSizeMb} MB.`
+  }
+  return null
+}
+
+/**
+ * Storage path for a new file: <tree>/<member>/<timestamp>-<safe name>
+ */
+export function buildMediaPath(treeId, memberId, fileName) {
+  const safeName = String(fileName || 'file')
+    .replace(/[^\w.\-]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'file'
+  return `${treeId}/${memberId}/${Date.now()}-${safeName}`
+}
+
+/**
+ * Human-readable file size
+ */
+export function formatFileSize(bytes) {
+  if (!bytes && bytes !== 0) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Upload a file and record it against a member
+ * The stored file is removed again if the database row cannot be created.
+ */
+export async function uploadMemberMedia(treeId, memberId, file) {
+  const storage = getMediaStorage()
+  const path = buildMediaPath(treeId, memberId, file.name)
+
+  const uploadRes = await storage.upload(path, file)
+  if (!uploadRes.success) return uploadRes
+
+  const res = await createMemberMedia({
+    tree_id: treeId,
+    member_id: memberId,
+    storage_path: path,
+    file_name: file.name,
+    mime_type: file.type,
+    size_bytes: file.size
+  })
+  if (!res.success) await storage.remove([path])
+  return res
+}
+
+/**
+ * Delete media rows and their stored files
+ * Files are removed first; a missing file does not keep the row alive.
+ */
+export async function deleteMediaItems(items) {
+  if (items.length === 0) return { success: true }
+
+  const storageRes = await getMediaStorage().remove(items.map(item => item.storage_path))
+  if (!storageRes.success) console.warn('Some media files could not be removed:', storageRes.error)
+
+  return deleteMemberMedia(items.map(item => item.id))
+}
+
+/**
+ * Remove the stored files of media rows that are already gone
+ * (a tree replaced from a backup); a file that can't be removed is only logged
+ */
+export async function removeMediaFiles(items) {
+  if (items.length === 0) return
+  const storageRes = await getMediaStorage().remove(items.map(item => item.storage_path))
+  if (!storageRes.success) console.warn('Some media files could not be removed:', storageRes.error)
+}
+
+/**
+ * Resolve display URLs for media rows
+ * @returns {Promise<Map<string, string>>} media id -> URL
+ */
+export async function resolveMediaUrls(items) {
+  const storage = getMediaStorage()
+  const entries = await Promise.all(items.map(async item => [item.id, await storage.getUrl(item.storage_path)]))
+  return new Map(entries.filter(([, url]) => url))
+}
@@ -0,0 +1,84 @@
+/**
+ * Generic modal dialog used by the import, export and panel flows.
+ *
+ * Usage:
+ *   const { result } = openModal({
+ *     title: 'Import preview',
+ *     body: '<p>...</p>',            // HTML string or DOM node
+ *     actions: [
+ *       { label: 'Cancel', value: null },
+ *       { label: 'Import', value: 'import', variant: 'primary' }
+ *     ]
+ *   })
+ *   const choice = await result      // action value, or null if dismissed
+ */
+export function openModal({ title = '', body = '', actions = [], wide = false, onAction = null } = {}) {
+  const overlay = document.createElement('div')
+  overlay.className = 'app-modal'
+
+  const content = document.createElement('div')
+  content.className = wide ? 'app-modal-content app-modal-wide' : 'app-modal-content'
+
+  const closeBtn = document.createElement('span')
+  closeBtn.className = 'app-modal-close'
+  closeBtn.innerHTML = '&times;'
+  content.appendChild(closeBtn)
+
+  if (title) {
+    const heading = document.createElement('h3')
+    heading.className = 'app-modal-title'
+    heading.textContent = title
+    content.appendChild(heading)
+  }
+
+  const bodyEl = document.createElement('div')
+  bodyEl.className = 'app-modal-body'
+  if (typeof body === 'string') bodyEl.innerHTML = body
+  else if (body) bodyEl.appendChild(body)
+  content.appendChild(bodyEl)
+
+  const actionsEl = document.createElement('div')
+  actionsEl.className = 'app-modal-actions'
+  content.appendChild(actionsEl)
+
+  overlay.appendChild(content)
+  document.body.appendChild(overlay)
+
+  let resolveResult
+  const result = new Promise(resolve => { resolveResult = resolve })
+
+  const close = (value = null) => {
+    document.removeEventListener('keydown', handleKeydown)
+    overlay.remove()
+    resolveResult(value)
+  }
+
+  function handleKeydown(e) {
+    if (e.key === 'Escape') close(null)
+  }
+
+  actions.forEach(action => {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = `app-modal-btn app-modal-btn-${action.variant || 'secondary'}`
+    button.textContent = action.label
+    if (action.disabled) button.disabled = true
+    button.addEventListener('click', async () => {
+      // onAction may veto closing (e.g. validation failed) by returning false
+      if (onAction) {
+        const keepOpen = (await onAction(action.value, bodyEl)) === false
+        if (keepOpen) return
+      }
+      close(action.value ?? null)
+    })
+    actionsEl.appendChild(button)
+  })
+
+  closeBtn.addEventListener('click', () => close(null))
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close(null)
+  })
+  document.addEventListener('keydown', handleKeydown)
+
+  return { element: content, body: bodyEl, close, result }
+}
@@ -0,0 +1,113 @@
+/**
+ * Name history
+ *
+ * A member's primary name is first_name / last_name with its kind in
+ * name_type. Every other name they went by is listed in other_names:
+ *   [{ type: 'married', first_name: 'Mary', last_name: 'Walsh' }]
+ * Searches look at all of them, so someone can be found under their maiden
+ * name, married name or an alias.
+ */
+
+export const NAME_TYPES = {
+  birth: 'Birth name',
+  married: 'Married name',
+  alias: 'Also known as',
+  religious: 'Religious name',
+  anglicized: 'Anglicized name'
+}
+
+export const DEFAULT_NAME_TYPE = 'birth'
+
+function cleanNameType(type) {
+  return Object.hasOwn(NAME_TYPES, type) ? type : DEFAULT_NAME_TYPE
+}
+
+/**
+ * Trim a list of names and drop blank ones
+ */
+export function normalizeOtherNames(names) {
+  if (!Array.isArray(names)) return []
+  return names
+    .map(name => ({
+      type: Object.hasOwn(NAME_TYPES, name?.type) ? name.type : 'alias',
+      first_name: String(name?.first_name ?? '').trim(),
+      last_name: String(name?.last_name ?? '').trim()
+    }))
+    .filter(name => name.first_name || name.last_name)
+}
+
+/**
+ * Every name of a member, primary first
+ * @returns {Array<{ type: string, first_name: string, last_name: string, primary: boolean }>}
+ */
+export function getMemberNames(member) {
+  if (!member) return []
+  return [
+    {
+      type: cleanNameType(member.name_type),
+      first_name: member.first_name || '',
+      last_name: member.last_name || '',
+      primary: true
+    },
+    ...normalizeOtherNames(member.other_names).map(name => ({ ...name, primary: false }))
+  ]
+}
+
+/**
+ * "Mary Walsh"
+ */
+export function formatPersonName(name) {
+  return `${name?.first_name || ''} ${name?.last_name || ''}`.trim()
+}
+
+/**
+ * Short line for the card about names other than the primary one:
+ * "née Byrne · aka Molly"
+ */
+export function formatNameHistory(member) {
+  const [primary, ...others] = getMemberNames(member)
+  const parts = []
+  others.forEach(name => {
+    if (name.type === 'birth') {
+      const sameGiven = !name.first_name || name.first_name === primary.first_name
+      parts.push(sameGiven ? `née ${name.last_name}` : `born ${formatPersonName(name)}`)
+    } else if (name.type === 'alias') {
+      parts.push(`aka ${formatPersonName(name)}`)
+    } else {
+      parts.push(`${NAME_TYPES[name.type].toLowerCase()}: ${formatPersonName(name)}`)
+    }
+  })
+  return parts.join(' · ')
+}
+
+/**
+ * Lower case without accents or extra spaces, for comparing names
+ */
+export function foldForSearch(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Members with a name matching the query, ignoring case and accents
+ * Every word of the query has to appear in the same name.
+ * @returns {Array<{ member: Object, name: Object }>} name is the name that matched
+ */
+export function searchMembersByName(members, query) {
+  const words = foldForSearch(query).split(' ').filter(Boolean)
+  if (words.length === 0) return []
+
+  const results = []
+  members.forEach(member => {
+    const name = getMemberNames(member).find(candidate => {
+      const text = foldForSearch(formatPersonName(candidate))
+      return words.every(word => text.includes(word))
+    })
+    if (name) results.push({ member, name })
+  })
+  return results.sort((a, b) => formatPersonName(a.member).localeCompare(formatPersonName(b.member)))
+}
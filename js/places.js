@@ -0,0 +1,155 @@
+/**
+ * Places and the per-tree place index
+ *
+ * Members carry free-text places (birth_place, death_place, burial_place) and
+ * a list of residences ([{ place, date }]). The index groups every spelling
+ * that refers to the same place so "Co. Cork", "Cork" and "Cork, Ireland"
+ * show up as one entry listing everybody connected to it.
+ */
+
+export const PLACE_ROLES = {
+  birth: 'Born',
+  death: 'Died',
+  burial: 'Buried',
+  residence: 'Lived'
+}
+
+const PLACE_COLUMNS = [
+  { column: 'birth_place', role: 'birth' },
+  { column: 'death_place', role: 'death' },
+  { column: 'burial_place', role: 'burial' }
+]
+
+// Words that describe the kind of place rather than naming it
+const NOISE_WORDS = ['co', 'county', 'city', 'of', 'the', 'parish', 'town', 'township', 'village', 'borough']
+
+/**
+ * Normalise one comma-separated component ("Co. Cork" -> "cork")
+ */
+function normalizeComponent(component) {
+  return component
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NOISE_WORDS.includes(word))
+    .join(' ')
+}
+
+/**
+ * Normalised components of a place, most specific first
+ */
+export function placeComponents(name) {
+  return String(name || '')
+    .split(',')
+    .map(normalizeComponent)
+    .filter(Boolean)
+}
+
+/**
+ * Key used to compare two spellings of a place
+ */
+export function normalizePlaceName(name) {
+  return placeComponents(name).join(', ')
+}
+
+/**
+ * Short form for cards: the most specific component as typed ("Cork")
+ */
+export function shortPlaceName(name) {
+  return String(name || '').split(',')[0].trim()
+}
+
+/**
+ * Every place reference of one member
+ * @returns {Array<{ place: string, role: string, date: string|null }>}
+ */
+export function getMemberPlaces(member) {
+  const places = []
+  PLACE_COLUMNS.forEach(({ column, role }) => {
+    const place = (member[column] || '').trim()
+    if (place) places.push({ place, role, date: null })
+  })
+  const residences = Array.isArray(member.residences) ? member.residences : []
+  residences.forEach(residence => {
+    const place = (residence?.place || '').trim()
+    if (place) places.push({ place, role: 'residence', date: residence.date || null })
+  })
+  return places
+}
+
+function isPrefix(shorter, longer) {
+  return shorter.length < longer.length && shorter.every((part, i) => part === longer[i])
+}
+
+/**
+ * Build the place index for a tree
+ * A less specific key ("cork") is folded into a more specific one
+ * ("cork, ireland") when that is the only place it could mean.
+ * @returns {Array<{ key, name, variants: Array<{ spelling, count }>, people: Array<{ memberId, role, date, spelling }> }>}
+ */
+export function buildPlaceIndex(members) {
+  const groups = new Map()
+
+  members.forEach(member => {
+    getMemberPlaces(member).forEach(({ place, role, date }) => {
+      const components = placeComponents(place)
+      if (components.length === 0) return
+      const key = components.join(', ')
+      if (!groups.has(key)) groups.set(key, { key, components, spellings: new Map(), people: [] })
+      const group = groups.get(key)
+      group.spellings.set(place, (group.spellings.get(place) || 0) + 1)
+      group.people.push({ memberId: member.id, role, date, spelling: place })
+    })
+  })
+
+  // Fold unambiguous short keys into their single more specific match
+  const keys = Array.from(groups.keys()).sort((a, b) => groups.get(a).components.length - groups.get(b).components.length)
+  keys.forEach(key => {
+    const group = groups.get(key)
+    const targets = Array.from(groups.values()).filter(other => isPrefix(group.components, other.components))
+    const distinctRoots = new Set(targets.map(t => t.components.slice(0, group.components.length + 1).join(', ')))
+    if (targets.length === 0 || distinctRoots.size > 1) return
+
+    const target = targets.sort((a, b) => b.people.length - a.people.length)[0]
+    group.spellings.forEach((count, spelling) => target.spellings.set(spelling, (target.spellings.get(spelling) || 0) + count))
+    target.people.push(...group.people)
+    groups.delete(key)
+  })
+
+  return Array.from(groups.values())
+    .map(group => {
+      const variants = Array.from(group.spellings, ([spelling, count]) => ({ spelling, count }))
+        .sort((a, b) => b.count - a.count || b.spelling.length - a.spelling.length)
+      return { key: group.key, name: variants[0].spelling, variants, people: group.people }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Column updates that rewrite every spelling of a place entry to one name
+ * @returns {Object} updates for updateFamilyMember, or null if nothing changes
+ */
+export function buildPlaceRenameUpdates(member, spellings, canonicalName) {
+  const updates = {}
+  PLACE_COLUMNS.forEach(({ column }) => {
+    const value = (member[column] || '').trim()
+    if (value && value !== canonicalName && spellings.includes(value)) updates[column] = canonicalName
+  })
+
+  if (Array.isArray(member.residences)) {
+    let changed = false
+    const residences = member.residences.map(residence => {
+      const place = (residence?.place || '').trim()
+      if (place && place !== canonicalName && spellings.includes(place)) {
+        changed = true
+        return { ...residence, place: canonicalName }
+      }
+      return residence
+    })
+    if (changed) updates.residences = residences
+  }
+
+  return Object.keys(updates).length > 0 ? updates : null
+}
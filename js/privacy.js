@@ -0,0 +1,102 @@
+import { readStoredDate, getDateYear } from './dates.js'
+import { DEFAULT_NAME_TYPE } from './names.js'
+
+/**
+ * Living people and privacy
+ *
+ * Whether someone is living comes from living_status when it is set
+ * ('living' / 'deceased'); otherwise they count as living unless a death or
+ * burial is recorded or they were born more than LIVING_MAX_AGE years ago.
+ * People with no birth year are treated as living, so nothing leaks by
+ * accident. When a tree has hide_living switched on, viewers without editor
+ * access see those people as "Private" on the chart and in exports. This is
+ * display masking only: the rows reach the browser unmasked.
+ */
+
+export const LIVING_STATUSES = {
+  living: 'Living',
+  deceased: 'Deceased'
+}
+
+export const LIVING_MAX_AGE = 100
+
+export const PRIVATE_NAME = 'Private'
+
+/**
+ * Whether a family_members row is (or may be) a living person
+ * @param {Object} member - family_members row
+ * @param {number} [currentYear]
+ */
+export function isLiving(member, currentYear = new Date().getFullYear()) {
+  if (member.living_status === 'living') return true
+  if (member.living_status === 'deceased') return false
+  if (member.death_date || member.death || member.death_place || member.burial_place) return false
+
+  const birthYear = getDateYear(readStoredDate(member.birth_date, member.birthday))
+  return !birthYear || currentYear - birthYear < LIVING_MAX_AGE
+}
+
+/**
+ * A copy of a member with everything but their place in the tree removed
+ */
+export function maskMember(member) {
+  return {
+    ...member,
+    first_name: PRIVATE_NAME,
+    last_name: '',
+    name_type: DEFAULT_NAME_TYPE,
+    other_names: [],
+    birthday: null,
+    birth_date: null,
+    death: null,
+    death_date: null,
+    birth_place: null,
+    death_place: null,
+    burial_place: null,
+    residences: [],
+    custom_fields: {},
+    avatar_media_id: null,
+    is_private: true
+  }
+}
+
+/**
+ * The tree as a viewer is allowed to see it
+ * Living people are masked, partnerships involving them lose their dates and
+ * place, and citations about them are dropped.
+ * @param {Object} data - { members, parentChildRels, spousalRels, citations } rows
+ * @param {Object} options
+ * @param {boolean} options.hideLiving - The tree's hide_living setting
+ * @param {boolean} options.canSeeLiving - Whether the viewer has editor access
+ * @returns {{ members: Array, spousalRels: Array, citations: Array, privateIds: Set<string> }}
+ */
+export function applyPrivacy({ members, parentChildRels = [], spousalRels = [], citations = [] }, { hideLiving, canSeeLiving }) {
+  const privateIds = new Set()
+  if (!hideLiving || canSeeLiving) return { members, spousalRels, citations, privateIds }
+
+  const currentYear = new Date().getFullYear()
+  members.forEach(member => {
+    if (isLiving(member, currentYear)) privateIds.add(member.id)
+  })
+
+  const hiddenSpousalIds = new Set()
+  const visibleSpousalRels = spousalRels.map(rel => {
+    if (!privateIds.has(rel.person1_id) && !privateIds.has(rel.person2_id)) return rel
+    hiddenSpousalIds.add(rel.id)
+    return { ...rel, start_date: null, end_date: null, place: null }
+  })
+
+  const hiddenParentChildIds = new Set(parentChildRels
+    .filter(rel => privateIds.has(rel.child_id))
+    .map(rel => rel.id))
+
+  return {
+    members: members.map(member => privateIds.has(member.id) ? maskMember(member) : member),
+    spousalRels: visibleSpousalRels,
+    citations: citations.filter(c =>
+      !privateIds.has(c.member_id) &&
+      !hiddenSpousalIds.has(c.spousal_relationship_id) &&
+      !hiddenParentChildIds.has(c.parent_child_relationship_id)),
+    privateIds
+  }
+}
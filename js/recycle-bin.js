@@ -0,0 +1,112 @@
+/**
+ * Recycle bin
+ *
+ * Deleted people stay in the database, flagged:
+ *   member:       { ..., deleted_at, deleted_by_email }
+ *   relationship: { ..., deleted_at, deleted_with }  (deleted_with = the person
+ *                 whose deletion hid it)
+ * The tree shows only unflagged rows; the rest make up the bin until the
+ * tree's recycle_bin_days have passed and they are purged.
+ */
+
+export const RECYCLE_BIN_PERIODS = {
+  7: '1 week',
+  30: '30 days',
+  90: '90 days',
+  365: '1 year',
+  never: 'Until the bin is emptied'
+}
+
+export const DEFAULT_RECYCLE_BIN_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Split loaded rows into the live tree and the bin
+ * Citations follow what they cite: one on a hidden person or link is binned.
+ * @returns {{ live: Object, bin: Object }} each { members, parentChildRels, spousalRels, citations }
+ */
+export function splitRecycleBin({ members, parentChildRels, spousalRels, citations = [] }) {
+  const isLive = (row) => !row.deleted_at
+  const live = {
+    members: members.filter(isLive),
+    parentChildRels: parentChildRels.filter(isLive),
+    spousalRels: spousalRels.filter(isLive)
+  }
+
+  const memberIds = new Set(live.members.map(m => m.id))
+  const pcIds = new Set(live.parentChildRels.map(r => r.id))
+  const spIds = new Set(live.spousalRels.map(r => r.id))
+  const citesLiveRow = (c) =>
+    (c.member_id && memberIds.has(c.member_id)) ||
+    (c.parent_child_relationship_id && pcIds.has(c.parent_child_relationship_id)) ||
+    (c.spousal_relationship_id && spIds.has(c.spousal_relationship_id))
+  live.citations = citations.filter(citesLiveRow)
+
+  return {
+    live,
+    bin: {
+      members: members.filter(row => !isLive(row)),
+      parentChildRels: parentChildRels.filter(row => !isLive(row)),
+      spousalRels: spousalRels.filter(row => !isLive(row)),
+      citations: citations.filter(c => !citesLiveRow(c))
+    }
+  }
+}
+
+/**
+ * When a deleted person is purged, or null if the tree keeps them until emptied
+ */
+export function getPurgeDate(member, days) {
+  if (!member.deleted_at || !days) return null
+  return new Date(new Date(member.deleted_at).getTime() + days * DAY_MS)
+}
+
+/**
+ * People whose time in the bin is up
+ */
+export function getExpiredMembers(binMembers, days, now = new Date()) {
+  return binMembers.filter(member => {
+    const purgeDate = getPurgeDate(member, days)
+    return purgeDate && purgeDate <= now
+  })
+}
+
+/**
+ * The links hidden with a person: which come back with them, and which wait
+ * for someone else still in the bin
+ * @returns {{ parentChild: string[], spousal: string[],
+ *             handOver: Array<{ table, id, deleted_at, deleted_with }> }}
+ */
+export function planRestore(memberId, bin) {
+  const binnedIds = new Set(bin.members.map(m => m.id).filter(id => id !== memberId))
+  const plan = { parentChild: [], spousal: [], handOver: [] }
+
+  const sort = (table, rel, ends, list) => {
+    if (rel.deleted_with !== memberId) return
+    const otherId = ends[0] === memberId ? ends[1] : ends[0]
+    if (binnedIds.has(otherId)) plan.handOver.push({ table, id: rel.id, deleted_at: rel.deleted_at, deleted_with: otherId })
+    else list.push(rel.id)
+  }
+  bin.parentChildRels.forEach(rel =>
+    sort('parent_child_relationships', rel, [rel.parent_id, rel.child_id], plan.parentChild))
+  bin.spousalRels.forEach(rel =>
+    sort('spousal_relationships', rel, [rel.person1_id, rel.person2_id], plan.spousal))
+  return plan
+}
+
+/**
+ * How many links a binned person will bring back (or hand over) on restore
+ */
+export function countBinnedLinks(memberId, bin) {
+  const plan = planRestore(memberId, bin)
+  return plan.parentChild.length + plan.spousal.length + plan.handOver.length
+}
+
+/**
+ * "Deleted 3 Oct 2026 by ann@example.com"
+ */
+export function formatDeletion(member) {
+  const date = new Date(member.deleted_at).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+  return member.deleted_by_email ? `Deleted ${date} by ${member.deleted_by_email}` : `Deleted ${date}`
+}
@@ -0,0 +1,55 @@
+/**
+ * Share links
+ *
+ * A tree is opened with tree.html?code=<code>, where the code is either the
+ * tree's own 6-character code or one of its share tokens:
+ *   { id, tree_id, token, permission: 'view' | 'edit', label, expires_at }
+ * Tokens are longer than tree codes so the two can never collide.
+ */
+
+export const SHARE_PERMISSIONS = {
+  view: 'View only',
+  edit: 'Can edit (after signing in)'
+}
+
+export const SHARE_TOKEN_LENGTH = 10
+
+// No 0/O or 1/I, so tokens read out over the phone survive
+const TOKEN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+/**
+ * A new random token
+ */
+export function generateShareToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_TOKEN_LENGTH))
+  return Array.from(bytes, byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]).join('')
+}
+
+/**
+ * Address of the tree page for a code or token
+ */
+export function buildShareUrl(code) {
+  return new URL(`tree.html?code=${encodeURIComponent(code)}`, window.location.href).href
+}
+
+/**
+ * Pull a code out of whatever was pasted: a bare code or a whole share link
+ */
+export function extractTreeCode(text) {
+  const value = String(text || '').trim()
+  const fromUrl = value.match(/[?&]code=([A-Za-z0-9]+)/)
+  return (fromUrl ? fromUrl[1] : value).toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+export function isShareTokenExpired(token, now = new Date()) {
+  return !!token.expires_at && new Date(token.expires_at) <= now
+}
+
+/**
+ * "Never expires" / "Expires 3 Jan 2027" / "Expired 1 Feb 2026"
+ */
+export function formatShareExpiry(token, now = new Date()) {
+  if (!token.expires_at) return 'Never expires'
+  const date = new Date(token.expires_at).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+  return isShareTokenExpired(token, now) ? `Expired ${date}` : `Expires ${date}`
+}
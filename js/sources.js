@@ -0,0 +1,168 @@
+/**
+ * Sources and citations
+ *
+ * A tree keeps a list of sources:
+ *   { id, title, author, repository, url, notes }
+ * A citation links one source to exactly one target with a confidence level:
+ *   { id, source_id, member_id, fact, detail, confidence }            // member fact
+ *   { id, source_id, parent_child_relationship_id, detail, confidence }
+ *   { id, source_id, spousal_relationship_id, detail, confidence }
+ * `detail` is the page, entry or folio inside the source.
+ */
+
+export const CITATION_FACTS = {
+  name: 'Name',
+  birth: 'Birth',
+  death: 'Death'
+}
+
+/**
+ * Confidence levels, strongest first, with their GEDCOM QUAY value
+ */
+export const CONFIDENCE_LEVELS = {
+  primary: { label: 'Primary evidence', quay: 3 },
+  secondary: { label: 'Secondary evidence', quay: 2 },
+  questionable: { label: 'Questionable', quay: 1 },
+  unreliable: { label: 'Unreliable', quay: 0 }
+}
+
+export const DEFAULT_CONFIDENCE = 'secondary'
+
+/**
+ * Relationship rows the member takes part in
+ */
+function memberRelationshipIds(memberId, parentChildRels, spousalRels) {
+  return {
+    parentChild: new Set(parentChildRels
+      .filter(r => r.parent_id === memberId || r.child_id === memberId)
+      .map(r => r.id)),
+    spousal: new Set(spousalRels
+      .filter(r => r.person1_id === memberId || r.person2_id === memberId)
+      .map(r => r.id))
+  }
+}
+
+/**
+ * Citations that support something about a member: their own facts plus
+ * every relationship they are part of
+ */
+export function getMemberCitations(citations, memberId, parentChildRels, spousalRels) {
+  const relIds = memberRelationshipIds(memberId, parentChildRels, spousalRels)
+  return citations.filter(c =>
+    c.member_id === memberId ||
+    (c.parent_child_relationship_id && relIds.parentChild.has(c.parent_child_relationship_id)) ||
+    (c.spousal_relationship_id && relIds.spousal.has(c.spousal_relationship_id))
+  )
+}
+
+/**
+ * Citation count per member id, for card badges
+ */
+export function countCitationsByMember(citations, parentChildRels, spousalRels) {
+  const counts = new Map()
+  const add = (id) => counts.set(id, (counts.get(id) || 0) + 1)
+  const pcById = new Map(parentChildRels.map(r => [r.id, r]))
+  const spById = new Map(spousalRels.map(r => [r.id, r]))
+
+  citations.forEach(c => {
+    if (c.member_id) {
+      add(c.member_id)
+    } else if (c.parent_child_relationship_id && pcById.has(c.parent_child_relationship_id)) {
+      const rel = pcById.get(c.parent_child_relationship_id)
+      add(rel.parent_id)
+      add(rel.child_id)
+    } else if (c.spousal_relationship_id && spById.has(c.spousal_relationship_id)) {
+      const rel = spById.get(c.spousal_relationship_id)
+      add(rel.person1_id)
+      add(rel.person2_id)
+    }
+  })
+  return counts
+}
+
+/**
+ * Everything a citation can point at from one member's point of view,
+ * used to fill the "Supports" drop-down
+ * @param {Function} nameOf - member id -> display name
+ * @returns {Array<{ value: string, label: string, target: Object }>}
+ */
+export function getCitationTargets(memberId, parentChildRels, spousalRels, nameOf) {
+  const targets = Object.entries(CITATION_FACTS).map(([fact, label]) => ({
+    value: `fact:${fact}`,
+    label,
+    target: { member_id: memberId, fact }
+  }))
+
+  parentChildRels.forEach(rel => {
+    if (rel.child_id === memberId) {
+      targets.push({ value: `pc:${rel.id}`, label: `Child of ${nameOf(rel.parent_id)}`, target: { parent_child_relationship_id: rel.id } })
+    } else if (rel.parent_id === memberId) {
+      targets.push({ value: `pc:${rel.id}`, label: `Parent of ${nameOf(rel.child_id)}`, target: { parent_child_relationship_id: rel.id } })
+    }
+  })
+
+  spousalRels.forEach(rel => {
+    if (rel.person1_id !== memberId && rel.person2_id !== memberId) return
+    const partnerId = rel.person1_id === memberId ? rel.person2_id : rel.person1_id
+    targets.push({ value: `sp:${rel.id}`, label: `Partnership with ${nameOf(partnerId)}`, target: { spousal_relationship_id: rel.id } })
+  })
+
+  return targets
+}
+
+/**
+ * Short description of what a citation supports, seen from one member
+ */
+export function describeCitationTarget(citation, memberId, parentChildRels, spousalRels, nameOf) {
+  if (citation.member_id) {
+    const fact = CITATION_FACTS[citation.fact] || citation.fact
+    return citation.member_id === memberId ? fact : `${fact} of ${nameOf(citation.member_id)}`
+  }
+  const value = citation.parent_child_relationship_id
+    ? `pc:${citation.parent_child_relationship_id}`
+    : `sp:${citation.spousal_relationship_id}`
+  const target = getCitationTargets(memberId, parentChildRels, spousalRels, nameOf).find(t => t.value === value)
+  return target ? target.label : 'Relationship'
+}
+
+/**
+ * Description of what a citation supports, independent of any one member
+ * ("Birth of Mary Byrne", "John Byrne, parent of Mary Byrne")
+ */
+export function describeCitation(citation, parentChildRels, spousalRels, nameOf) {
+  if (citation.member_id) {
+    return `${CITATION_FACTS[citation.fact] || citation.fact} of ${nameOf(citation.member_id)}`
+  }
+  if (citation.parent_child_relationship_id) {
+    const rel = parentChildRels.find(r => r.id === citation.parent_child_relationship_id)
+    return rel ? `${nameOf(rel.parent_id)}, parent of ${nameOf(rel.child_id)}` : 'Parent-child relationship'
+  }
+  const rel = spousalRels.find(r => r.id === citation.spousal_relationship_id)
+  return rel ? `Partnership of ${nameOf(rel.person1_id)} and ${nameOf(rel.person2_id)}` : 'Partnership'
+}
+
+/**
+ * One-line label for a source ("Parish register of St Finbarr — Cork City Archives")
+ */
+export function formatSourceLabel(source) {
+  if (!source) return 'Unknown source'
+  return [source.title, source.author, source.repository].filter(Boolean).join(' — ')
+}
+
+/**
+ * Trim a source form into database columns; returns an error for a missing title
+ * @returns {{ values: Object, error: string|null }}
+ */
+export function normalizeSourceInput(input) {
+  const clean = (value) => String(value ?? '').trim() || null
+  const values = {
+    title: clean(input.title),
+    author: clean(input.author),
+    repository: clean(input.repository),
+    url: clean(input.url),
+    notes: clean(input.notes)
+  }
+  if (!values.title) return { values, error: 'A source needs a title' }
+  if (values.url && !/^https?:\/\//i.test(values.url)) return { values, error: 'The URL must start with http:// or https://' }
+  return { values, error: null }
+}
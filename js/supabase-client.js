@@ -1,140 +1,940 @@
 import { SUPABASE_CONFIG } from './config.js'
 
-// Initialize Supabase client
+// Initialize Supabase client. Reading a tree needs its code or share token
+// (see can_read_tree() in migrations/011_accounts_roles.sql), so every request
+// carries the one the page was opened with.
 const { createClient } = supabase
-export const supabaseClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey)
+const pageCode = new URLSearchParams(window.location.search).get('code')
+export const supabaseClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey, {
+  global: { headers: pageCode ? { 'x-tree-code': pageCode.toUpperCase() } : {} }
+})
+
+// ==================== ACCESS CHECKS ====================
+
+const EDIT_ROLES = ['owner', 'editor']
+
+// Role of the signed-in person in the open tree. Until setActiveTreeRole() is
+// called (landing page) writes are left to the database policies alone.
+let activeTree = null
+
+/**
+ * Record the current user's role in the tree being worked on
+ * @param {string} treeId
+ * @param {string|null} role - 'owner', 'editor', 'viewer' or null when signed out
+ */
+export function setActiveTreeRole(treeId, role) {
+  activeTree = { treeId, role }
+}
+
+function requireEditAccess() {
+  if (activeTree && !EDIT_ROLES.includes(activeTree.role)) {
+    throw new Error('You have view-only access to this tree')
+  }
+}
+
+function requireOwnerAccess() {
+  if (activeTree && activeTree.role !== 'owner') {
+    throw new Error('Only the owners of this tree can do that')
+  }
+}
 
 // ==================== FAMILY TREE OPERATIONS ====================
 
 /**
- * Create a new family tree with a unique code
+ * Create a new family tree with a unique code
+ */
+export async function createFamilyTree(treeName) {
+  try {
+    // Generate unique tree code
+    const { data: codeData, error: codeError } = await supabaseClient
+      .rpc('generate_tree_code')
+    
+    if (codeError) throw codeError
+    
+    const treeCode = codeData
+    
+    // Insert new tree. The row isn't read back: only members can read trees,
+    // and the creator becomes one in a trigger after the insert.
+    const tree = { id: crypto.randomUUID(), tree_code: treeCode, tree_name: treeName }
+    const { error } = await supabaseClient
+      .from('family_trees')
+      .insert([tree])
+    
+    if (error) throw error
+    
+    return { success: true, data: tree, treeCode }
+  } catch (error) {
+    console.error('Error creating family tree:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get family tree by code
+ * The code can be the tree's own code or one of its share tokens. `link`
+ * describes a share token ({ permission: 'view' | 'edit', label }) and is
+ * null for the tree code. Expired and revoked tokens find nothing.
+ */
+export async function getFamilyTreeByCode(treeCode) {
+  try {
+    const { data, error } = await supabaseClient
+      .rpc('resolve_tree_code', { p_code: treeCode.toUpperCase() })
+    
+    if (error) throw error
+    if (!data) return { success: false, error: 'Tree not found' }
+    
+    const link = data.permission ? { permission: data.permission, label: data.label } : null
+    return { success: true, data: data.tree, link }
+  } catch (error) {
+    console.error('Error fetching family tree:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Update a tree's settings (name, hide_living, ...)
+ */
+export async function updateFamilyTree(treeId, updates) {
+  try {
+    requireOwnerAccess()
+    const { data, error } = await supabaseClient
+      .from('family_trees')
+      .update(updates)
+      .eq('id', treeId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating family tree:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Replace every member, relationship, source and media row of a tree with
+ * the given rows, in one transaction (see migrations/017_atomic_restore.sql)
+ * Used when restoring a backup in "replace" mode; on any error the tree is
+ * left as it was.
+ * rows: { family_members, parent_child_relationships, spousal_relationships, sources, citations }
+ */
+export async function replaceFamilyTreeContents(treeId, rows) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .rpc('replace_tree_contents', { p_tree_id: treeId, p_rows: rows })
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error replacing family tree contents:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== TREE MEMBERSHIP OPERATIONS ====================
+
+/**
+ * Join a tree as the signed-in user and return their role in it
+ * The code is the tree code or share token the tree was opened with.
+ * Existing members keep their role, anyone else joins as a viewer. Joining
+ * with an edit link's token makes them an editor.
+ */
+export async function joinFamilyTree(treeCode) {
+  try {
+    const { data, error } = await supabaseClient
+      .rpc('join_family_tree', { p_code: treeCode.toUpperCase() })
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error joining family tree:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the accounts that have a role in a tree
+ */
+export async function getTreeMembers(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('tree_members')
+      .select('*')
+      .eq('tree_id', treeId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching tree members:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Change someone's role in a tree (owners only)
+ * A role set by hand no longer depends on the edit link it came from.
+ */
+export async function updateTreeMemberRole(membershipId, role) {
+  try {
+    requireOwnerAccess()
+    const { data, error } = await supabaseClient
+      .from('tree_members')
+      .update({ role, share_token_id: null })
+      .eq('id', membershipId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating tree member role:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Remove someone from a tree (owners, or the person themselves)
+ */
+export async function removeTreeMember(membershipId) {
+  try {
+    const { error } = await supabaseClient
+      .from('tree_members')
+      .delete()
+      .eq('id', membershipId)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error removing tree member:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== SHARE TOKEN OPERATIONS ====================
+
+/**
+ * Get the share tokens of a tree (owners only)
+ */
+export async function getShareTokens(treeId) {
+  try {
+    requireOwnerAccess()
+    const { data, error } = await supabaseClient
+      .from('tree_share_tokens')
+      .select('*')
+      .eq('tree_id', treeId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching share tokens:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a share token
+ * @param {string} treeId
+ * @param {Object} record - { token, permission, label, expires_at }
+ */
+export async function createShareToken(treeId, record) {
+  try {
+    requireOwnerAccess()
+    const { data, error } = await supabaseClient
+      .from('tree_share_tokens')
+      .insert([{ ...record, tree_id: treeId }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error creating share token:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Give a share token a new value, keeping its label, permission and expiry
+ */
+export async function rotateShareToken(tokenId, newToken) {
+  try {
+    requireOwnerAccess()
+    const { data, error } = await supabaseClient
+      .from('tree_share_tokens')
+      .update({ token: newToken })
+      .eq('id', tokenId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error rotating share token:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Revoke a share token
+ * Editors who joined through an edit link lose that role with it.
+ */
+export async function deleteShareToken(tokenId) {
+  try {
+    requireOwnerAccess()
+    const { error } = await supabaseClient
+      .from('tree_share_tokens')
+      .delete()
+      .eq('id', tokenId)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error revoking share token:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== FAMILY MEMBER OPERATIONS ====================
+
+/**
+ * Get all family members for a tree
+ */
+export async function getFamilyMembers(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('family_members')
+      .select('*')
+      .eq('tree_id', treeId)
+    
+    if (error) throw error
+    
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching family members:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a new family member
+ * IMPORTANT: If memberData includes an 'id', it will be used as the database ID
+ * This allows us to use the same IDs for chart and database
+ */
+export async function createFamilyMember(memberData) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('family_members')
+      .insert([memberData])
+      .select()
+      .single()
+    
+    if (error) throw error
+    
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error creating family member:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Update family member
+ */
+export async function updateFamilyMember(memberId, updates) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('family_members')
+      .update(updates)
+      .eq('id', memberId)
+      .select()
+      .single()
+    
+    if (error) throw error
+    
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating family member:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Delete family member
+ */
+export async function deleteFamilyMember(memberId) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .from('family_members')
+      .delete()
+      .eq('id', memberId)
+    
+    if (error) throw error
+    
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting family member:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a family member together with their relationships, in one
+ * transaction: if any row fails nothing is saved
+ * Relationship rows without an id are created in the member's tree; rows
+ * with an id are updates (e.g. { id, relationship_type }).
+ * @returns {{ success, data: { member, parent_child, spousal } }}
+ */
+export async function createMemberWithLinks(memberData, { parentChild = [], spousal = [] } = {}) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .rpc('create_member_with_links', { p_member: memberData, p_parent_child: parentChild, p_spousal: spousal })
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error creating family member with relationships:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Update a family member and save relationship rows (as for
+ * createMemberWithLinks) in one transaction
+ * members are { id, ...columns } updates to other people saved with them
+ * (siblings' birth order).
+ * @returns {{ success, data: { member, members, parent_child, spousal } }}
+ */
+export async function updateMemberWithLinks(memberId, updates, { parentChild = [], spousal = [], members = [] } = {}) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .rpc('update_member_with_links', {
+        p_member_id: memberId,
+        p_updates: updates,
+        p_parent_child: parentChild,
+        p_spousal: spousal,
+        p_members: members
+      })
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating family member with relationships:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== RECYCLE BIN OPERATIONS ====================
+
+/**
+ * Set the recycle bin flags (deleted_at, deleted_with) on relationships
+ * table is parent_child_relationships or spousal_relationships
+ */
+export async function updateRelationshipBinFlags(table, relationshipIds, flags) {
+  try {
+    requireEditAccess()
+    if (relationshipIds.length === 0) return { success: true }
+    const { error } = await supabaseClient
+      .from(table)
+      .update({ deleted_at: flags.deleted_at ?? null, deleted_with: flags.deleted_with ?? null })
+      .in('id', relationshipIds)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error updating relationship bin flags:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Move a person and the relationships they are part of to the recycle bin
+ * Links already in the bin (with someone deleted earlier) keep their flags.
+ * Runs as one transaction (see migrations/016_atomic_saves.sql).
+ */
+export async function moveMemberToRecycleBin(memberId, deletedByEmail = null) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .rpc('move_member_to_recycle_bin', { p_member_id: memberId, p_deleted_by_email: deletedByEmail })
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error moving family member to the recycle bin:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Bring a person back from the recycle bin with their links, in one transaction
+ * plan comes from planRestore() in recycle-bin.js
+ */
+export async function restoreMemberFromRecycleBin(memberId, plan) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .rpc('restore_member_from_recycle_bin', {
+        p_member_id: memberId,
+        p_parent_child: plan.parentChild,
+        p_spousal: plan.spousal,
+        p_hand_over: plan.handOver
+      })
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error restoring family member:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Permanently delete people from the recycle bin (their relationships and
+ * citations go with them; media files must be removed separately)
+ * Only binned rows are touched, whatever ids are passed.
+ */
+export async function purgeDeletedMembers(memberIds) {
+  try {
+    requireEditAccess()
+    if (memberIds.length === 0) return { success: true }
+    const { error } = await supabaseClient
+      .from('family_members')
+      .delete()
+      .in('id', memberIds)
+      .not('deleted_at', 'is', null)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error purging deleted family members:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== DUPLICATE OPERATIONS ====================
+
+/**
+ * Get the pairs of people marked as not the same person
+ */
+export async function getDuplicateDismissals(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('duplicate_dismissals')
+      .select('*')
+      .eq('tree_id', treeId)
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching duplicate dismissals:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Mark two people as not the same person, so they aren't suggested again
+ */
+export async function dismissDuplicatePair(treeId, memberId1, memberId2) {
+  try {
+    requireEditAccess()
+    const [member1Id, member2Id] = [memberId1, memberId2].sort()
+    const { data, error } = await supabaseClient
+      .from('duplicate_dismissals')
+      .insert([{ tree_id: treeId, member1_id: member1Id, member2_id: member2Id }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error dismissing duplicate:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Merge one person into another (see planMerge in duplicates.js): the kept
+ * person gets the chosen fields, the other's relationships, citations and
+ * media move to them, links they would have twice are dropped, and the other
+ * person is deleted - all in one transaction
+ */
+export async function mergeFamilyMembers(keepId, otherId, plan) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .rpc('merge_family_members', { p_keep_id: keepId, p_other_id: otherId, p_plan: plan })
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error merging family members:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== CUSTOM FIELD OPERATIONS ====================
+
+/**
+ * Get the custom person field definitions of a tree
+ */
+export async function getCustomFieldDefinitions(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('custom_field_definitions')
+      .select('*')
+      .eq('tree_id', treeId)
+      .order('position', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching custom fields:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a custom field definition
  */
-export async function createFamilyTree(treeName) {
+export async function createCustomFieldDefinition(treeId, definition) {
   try {
-    // Generate unique tree code
-    const { data: codeData, error: codeError } = await supabaseClient
-      .rpc('generate_tree_code')
-    
-    if (codeError) throw codeError
-    
-    const treeCode = codeData
-    
-    // Insert new tree
+    requireEditAccess()
     const { data, error } = await supabaseClient
-      .from('family_trees')
-      .insert([{ tree_code: treeCode, tree_name: treeName }])
+      .from('custom_field_definitions')
+      .insert([{ ...definition, tree_id: treeId }])
       .select()
       .single()
-    
+
     if (error) throw error
-    
-    return { success: true, data, treeCode }
+
+    return { success: true, data }
   } catch (error) {
-    console.error('Error creating family tree:', error)
+    console.error('Error creating custom field:', error)
     return { success: false, error: error.message }
   }
 }
 
 /**
- * Get family tree by code
+ * Update a custom field definition (label, type, options, show_on_card, position)
  */
-export async function getFamilyTreeByCode(treeCode) {
+export async function updateCustomFieldDefinition(definitionId, updates) {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
-      .from('family_trees')
+      .from('custom_field_definitions')
+      .update(updates)
+      .eq('id', definitionId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating custom field:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Delete a custom field definition
+ * Stored values stay in family_members.custom_fields but are no longer shown.
+ */
+export async function deleteCustomFieldDefinition(definitionId) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .from('custom_field_definitions')
+      .delete()
+      .eq('id', definitionId)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting custom field:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== MEDIA OPERATIONS ====================
+
+/**
+ * Get every media record (photos, documents) of a tree
+ */
+export async function getTreeMedia(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('member_media')
       .select('*')
-      .eq('tree_code', treeCode.toUpperCase())
+      .eq('tree_id', treeId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching media:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a media record for an uploaded file
+ */
+export async function createMemberMedia(record) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('member_media')
+      .insert([record])
+      .select()
       .single()
-    
+
     if (error) throw error
-    if (!data) return { success: false, error: 'Tree not found' }
-    
+
     return { success: true, data }
   } catch (error) {
-    console.error('Error fetching family tree:', error)
+    console.error('Error creating media record:', error)
     return { success: false, error: error.message }
   }
 }
 
-// ==================== FAMILY MEMBER OPERATIONS ====================
+/**
+ * Update a media record (caption)
+ */
+export async function updateMemberMedia(mediaId, updates) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('member_media')
+      .update(updates)
+      .eq('id', mediaId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating media record:', error)
+    return { success: false, error: error.message }
+  }
+}
 
 /**
- * Get all family members for a tree
+ * Delete media records; the stored files are removed separately (see media.js)
  */
-export async function getFamilyMembers(treeId) {
+export async function deleteMemberMedia(mediaIds) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .from('member_media')
+      .delete()
+      .in('id', mediaIds)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting media records:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== SOURCE OPERATIONS ====================
+
+/**
+ * Get every source of a tree
+ */
+export async function getSources(treeId) {
   try {
     const { data, error } = await supabaseClient
-      .from('family_members')
+      .from('sources')
       .select('*')
       .eq('tree_id', treeId)
-    
+      .order('created_at', { ascending: true })
+
     if (error) throw error
-    
+
     return { success: true, data: data || [] }
   } catch (error) {
-    console.error('Error fetching family members:', error)
+    console.error('Error fetching sources:', error)
     return { success: false, error: error.message }
   }
 }
 
 /**
- * Create a new family member
- * IMPORTANT: If memberData includes an 'id', it will be used as the database ID
- * This allows us to use the same IDs for chart and database
+ * Create a source
  */
-export async function createFamilyMember(memberData) {
+export async function createSource(treeId, record) {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
-      .from('family_members')
-      .insert([memberData])
+      .from('sources')
+      .insert([{ ...record, tree_id: treeId }])
       .select()
       .single()
-    
+
     if (error) throw error
-    
+
     return { success: true, data }
   } catch (error) {
-    console.error('Error creating family member:', error)
+    console.error('Error creating source:', error)
     return { success: false, error: error.message }
   }
 }
 
 /**
- * Update family member
+ * Update a source (title, author, repository, url, notes)
  */
-export async function updateFamilyMember(memberId, updates) {
+export async function updateSource(sourceId, updates) {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
-      .from('family_members')
+      .from('sources')
       .update(updates)
-      .eq('id', memberId)
+      .eq('id', sourceId)
       .select()
       .single()
-    
+
     if (error) throw error
-    
+
     return { success: true, data }
   } catch (error) {
-    console.error('Error updating family member:', error)
+    console.error('Error updating source:', error)
     return { success: false, error: error.message }
   }
 }
 
 /**
- * Delete family member
+ * Delete sources by id (their citations are removed by the database)
  */
-export async function deleteFamilyMember(memberId) {
+export async function deleteSources(sourceIds) {
   try {
+    requireEditAccess()
     const { error } = await supabaseClient
-      .from('family_members')
+      .from('sources')
       .delete()
-      .eq('id', memberId)
-    
+      .in('id', sourceIds)
+
     if (error) throw error
-    
+
     return { success: true }
   } catch (error) {
-    console.error('Error deleting family member:', error)
+    console.error('Error deleting sources:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get every citation of a tree
+ */
+export async function getCitations(treeId) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('citations')
+      .select('*')
+      .eq('tree_id', treeId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching citations:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Create a citation
+ */
+export async function createCitation(treeId, record) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('citations')
+      .insert([{ ...record, tree_id: treeId }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error creating citation:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Update a citation (detail, confidence)
+ */
+export async function updateCitation(citationId, updates) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('citations')
+      .update(updates)
+      .eq('id', citationId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating citation:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Delete citations by id
+ */
+export async function deleteCitations(citationIds) {
+  try {
+    requireEditAccess()
+    const { error } = await supabaseClient
+      .from('citations')
+      .delete()
+      .in('id', citationIds)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting citations:', error)
     return { success: false, error: error.message }
   }
 }
@@ -181,12 +981,14 @@ export async function getSpousalRelationships(treeId) {
 
 /**
  * Create parent-child relationship
+ * relationshipType is biological, adoptive, step, foster or guardian
  */
-export async function createParentChildRelationship(treeId, parentId, childId) {
+export async function createParentChildRelationship(treeId, parentId, childId, relationshipType = 'biological') {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
       .from('parent_child_relationships')
-      .insert([{ tree_id: treeId, parent_id: parentId, child_id: childId }])
+      .insert([{ tree_id: treeId, parent_id: parentId, child_id: childId, relationship_type: relationshipType }])
       .select()
       .single()
     
@@ -208,16 +1010,19 @@ export async function createParentChildRelationship(treeId, parentId, childId) {
 
 /**
  * Create spousal relationship
+ * details may hold start_date, end_date and place
  */
-export async function createSpousalRelationship(treeId, person1Id, person2Id, relationshipType) {
+export async function createSpousalRelationship(treeId, person1Id, person2Id, relationshipType, details = {}) {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
       .from('spousal_relationships')
       .insert([{ 
         tree_id: treeId, 
         person1_id: person1Id, 
         person2_id: person2Id,
-        relationship_type: relationshipType.toLowerCase()
+        relationship_type: relationshipType.toLowerCase(),
+        ...details
       }])
       .select()
       .single()
@@ -240,12 +1045,14 @@ export async function createSpousalRelationship(treeId, person1Id, person2Id, re
 
 /**
  * Update spousal relationship
+ * details may hold start_date, end_date and place
  */
-export async function updateSpousalRelationship(relationshipId, relationshipType) {
+export async function updateSpousalRelationship(relationshipId, relationshipType, details = {}) {
   try {
+    requireEditAccess()
     const { data, error } = await supabaseClient
       .from('spousal_relationships')
-      .update({ relationship_type: relationshipType.toLowerCase() })
+      .update({ relationship_type: relationshipType.toLowerCase(), ...details })
       .eq('id', relationshipId)
       .select()
       .single()
@@ -259,11 +1066,34 @@ export async function updateSpousalRelationship(relationshipId, relationshipType
   }
 }
 
+/**
+ * Update the type of a parent-child relationship
+ */
+export async function updateParentChildRelationship(relationshipId, relationshipType) {
+  try {
+    requireEditAccess()
+    const { data, error } = await supabaseClient
+      .from('parent_child_relationships')
+      .update({ relationship_type: relationshipType })
+      .eq('id', relationshipId)
+      .select()
+      .single()
+    
+    if (error) throw error
+    
+    return { success: true, data }
+  } catch (error) {
+    console.error('Error updating parent-child relationship:', error)
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Delete parent-child relationship
  */
 export async function deleteParentChildRelationship(parentId, childId) {
   try {
+    requireEditAccess()
     const { error } = await supabaseClient
       .from('parent_child_relationships')
       .delete()
@@ -284,6 +1114,7 @@ export async function deleteParentChildRelationship(parentId, childId) {
  */
 export async function deleteSpousalRelationship(person1Id, person2Id) {
   try {
+    requireEditAccess()
     const { error } = await supabaseClient
       .from('spousal_relationships')
       .delete()
@@ -298,25 +1129,73 @@ export async function deleteSpousalRelationship(person1Id, person2Id) {
   }
 }
 
+/**
+ * Delete relationship rows by id (for clean-ups where the people they join
+ * can't pick the right row: duplicates, or links to someone who is gone)
+ */
+export async function deleteRelationshipsById(table, relationshipIds) {
+  try {
+    requireEditAccess()
+    if (relationshipIds.length === 0) return { success: true }
+    const { error } = await supabaseClient
+      .from(table)
+      .delete()
+      .in('id', relationshipIds)
+
+    if (error) throw error
+
+    return { success: true }
+  } catch (error) {
+    console.error('Error deleting relationships:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// ==================== AUDIT LOG OPERATIONS ====================
+
+/**
+ * Get the changes made to a person and their relationships, newest first
+ * (entries are written by a database trigger, see migrations/013_audit_log.sql)
+ */
+export async function getMemberHistory(treeId, memberId, limit = 50) {
+  try {
+    const { data, error } = await supabaseClient
+      .from('audit_log')
+      .select('*')
+      .eq('tree_id', treeId)
+      .contains('member_ids', [memberId])
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+
+    return { success: true, data: data || [] }
+  } catch (error) {
+    console.error('Error fetching member history:', error)
+    return { success: false, error: error.message }
+  }
+}
+
 // ==================== REAL-TIME SUBSCRIPTIONS ====================
 
 /**
  * Subscribe to family member changes
+ * onStatus gets the channel status ('SUBSCRIBED', 'CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED')
  */
-export function subscribeFamilyMembers(treeId, callback) {
+export function subscribeFamilyMembers(treeId, callback, onStatus) {
   return supabaseClient
     .channel(`family_members:${treeId}`)
     .on('postgres_changes', 
       { event: '*', schema: 'public', table: 'family_members', filter: `tree_id=eq.${treeId}` },
       callback
     )
-    .subscribe()
+    .subscribe(onStatus)
 }
 
 /**
  * Subscribe to relationship changes
  */
-export function subscribeRelationships(treeId, callback) {
+export function subscribeRelationships(treeId, callback, onStatus) {
   const channel = supabaseClient.channel(`relationships:${treeId}`)
   
   channel
@@ -328,7 +1207,20 @@ export function subscribeRelationships(treeId, callback) {
       { event: '*', schema: 'public', table: 'spousal_relationships', filter: `tree_id=eq.${treeId}` },
       callback
     )
-    .subscribe()
+    .subscribe(onStatus)
   
   return channel
 }
+
+/**
+ * Subscribe to custom field definition changes
+ */
+export function subscribeCustomFieldDefinitions(treeId, callback, onStatus) {
+  return supabaseClient
+    .channel(`custom_field_definitions:${treeId}`)
+    .on('postgres_changes',
+      { event: '*', schema: 'public', table: 'custom_field_definitions', filter: `tree_id=eq.${treeId}` },
+      callback
+    )
+    .subscribe(onStatus)
+}
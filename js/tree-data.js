@@ -1,3 +1,137 @@
+import { parseGenealogicalDate, toGedcomDate, getDateYear, formatStoredDate, readStoredDate, compareGenealogicalDates } from './dates.js'
+
+/**
+ * Allowed values for spousal_relationships.relationship_type
+ */
+export const SPOUSAL_RELATIONSHIP_TYPES = ['married', 'partner', 'divorced', 'separated']
+
+/**
+ * Allowed values for parent_child_relationships.relationship_type, in the
+ * order a child's parents are picked for the chart
+ */
+export const PARENT_CHILD_RELATIONSHIP_TYPES = ['biological', 'adoptive', 'step', 'foster', 'guardian']
+
+/**
+ * Relationship type of a parent-child row (rows saved before types existed are biological)
+ */
+export function getParentChildType(rel) {
+  return PARENT_CHILD_RELATIONSHIP_TYPES.includes(rel?.relationship_type) ? rel.relationship_type : 'biological'
+}
+
+/**
+ * How a parent is named from the gender on their record: father, mother or parent
+ */
+export function getParentRole(gender) {
+  if (gender === 'M') return 'father'
+  if (gender === 'F') return 'mother'
+  return 'parent'
+}
+
+// Chart parents are listed father, parent, mother (left to right on the chart)
+const PARENT_ROLE_ORDER = ['father', 'parent', 'mother']
+
+// The chart draws at most two parents above a child
+const MAX_CHART_PARENTS = 2
+
+/**
+ * Turn the birthday / death form values into database columns:
+ * the full date text (birth_date / death_date) plus its year (birthday / death)
+ * Invalid values are treated as blank; validate with parseGenealogicalDate first.
+ */
+export function createDateColumns(formData) {
+  const birth = parseGenealogicalDate(formData['birthday']).date
+  const death = parseGenealogicalDate(formData['death']).date
+  return {
+    birthday: getDateYear(birth),
+    death: getDateYear(death),
+    birth_date: birth ? toGedcomDate(birth) : null,
+    death_date: death ? toGedcomDate(death) : null
+  }
+}
+
+/**
+ * Place form fields -> database columns (blank becomes null)
+ */
+export function createPlaceColumns(formData) {
+  const clean = (value) => (value || '').trim() || null
+  return {
+    birth_place: clean(formData['birth place']),
+    death_place: clean(formData['death place']),
+    burial_place: clean(formData['burial place'])
+  }
+}
+
+/**
+ * Partnership form values -> spousal_relationships columns
+ * @param {{ start: string, end: string, place: string }} values - raw form values
+ */
+export function createPartnershipColumns({ start, end, place }) {
+  const startDate = parseGenealogicalDate(start).date
+  const endDate = parseGenealogicalDate(end).date
+  return {
+    start_date: startDate ? toGedcomDate(startDate) : null,
+    end_date: endDate ? toGedcomDate(endDate) : null,
+    place: (place || '').trim() || null
+  }
+}
+
+/**
+ * Short summary of a partnership's dates and place: "1850–1872, Cork"
+ */
+export function formatPartnershipDetails(details) {
+  if (!details) return ''
+  const start = formatStoredDate(details.start_date)
+  const end = formatStoredDate(details.end_date)
+  let span = start
+  if (end) span = `${start}–${end}`
+  return [span, details.place].filter(Boolean).join(', ')
+}
+
+/**
+ * Sort siblings into birth order
+ * A birth_order set by hand wins; otherwise birth dates decide, with undated
+ * children after the dated ones in their original order. Twins and other
+ * multiple births (same multiple_birth_group) are kept next to each other.
+ * @param {Array} siblings - family_members rows
+ * @returns {Array} the same rows, eldest first
+ */
+export function sortByBirthOrder(siblings) {
+  const byDate = [...siblings].sort((a, b) =>
+    compareGenealogicalDates(readStoredDate(a.birth_date, a.birthday), readStoredDate(b.birth_date, b.birthday))
+  )
+  const position = new Map(byDate.map((member, index) => [member.id, member.birth_order ?? index + 1]))
+  const dateIndex = new Map(byDate.map((member, index) => [member.id, index]))
+  const sorted = byDate.sort((a, b) =>
+    position.get(a.id) - position.get(b.id) ||
+    (a.birth_order == null) - (b.birth_order == null) ||
+    dateIndex.get(a.id) - dateIndex.get(b.id)
+  )
+
+  // Pull each multiple birth together at the place of its eldest member
+  const result = []
+  const emittedGroups = new Set()
+  sorted.forEach(member => {
+    const group = member.multiple_birth_group
+    if (!group) {
+      result.push(member)
+    } else if (!emittedGroups.has(group)) {
+      emittedGroups.add(group)
+      result.push(...sorted.filter(m => m.multiple_birth_group === group))
+    }
+  })
+  return result
+}
+
+const MULTIPLE_BIRTH_LABELS = { 2: 'Twin', 3: 'Triplet', 4: 'Quadruplet', 5: 'Quintuplet' }
+
+/**
+ * Card label for someone born with size - 1 siblings ("Twin", "Triplet", ...)
+ */
+export function getMultipleBirthLabel(size) {
+  if (size < 2) return ''
+  return MULTIPLE_BIRTH_LABELS[size] || 'Multiple birth'
+}
+
 /**
  * Transform database data to family-chart format
  * family-chart expects data in this format:
@@ -7,15 +141,24 @@
  *     data: {
  *       "first name": "John",
  *       "last name": "Doe",
- *       "birthday": "1990",
- *       "death": "2020",
- *       "gender": "M"
+ *       "birthday": "12 Mar 1990",   // display form of birth_date (or the year)
+ *       "death": "abt. 2020",
+ *       "birth place": "Cork, Ireland",
+ *       "residences": [{ place: "Boston", date: "BET 1950 AND 1960" }],
+ *       "custom fields": { occupation: "Blacksmith" },   // keyed by field_key
+ *       "gender": "M",
+ *       "spouse_rels": { spouse_id: "married" },
+ *       "spouse_details": { spouse_id: { start_date, end_date, place } },
+ *       "parent_rels": { parent_id: "adoptive" },   // every parent, not only the chart ones
+ *       "parent_roles": { parent_id: "mother" },    // father, mother or parent (unknown gender)
+ *       "child_rels": { child_id: "adoptive" },
+ *       "multiple_birth": "Twin"                     // blank unless part of a multiple birth
  *     },
  *     rels: {
- *       father: "father_id",
- *       mother: "mother_id",
- *       children: ["child1_id", "child2_id"],
- *       spouses: ["spouse_id"]
+ *       parents: ["parent1_id", "parent2_id"],   // up to two, biological before adoptive, step, ...
+ *                                                // any genders, so two mothers both appear
+ *       children: ["child1_id", "child2_id"],   // in birth order (see sortByBirthOrder)
+ *       spouses: ["spouse_id"]   // ordered by partnership start date
  *     }
  *   }
  * ]
@@ -24,6 +167,13 @@
 export function transformDatabaseToFamilyChart(members, parentChildRels, spousalRels) {
   const familyChartData = []
   
+  const membersById = new Map(members.map(member => [member.id, member]))
+  const multipleBirthSizes = new Map()
+  members.forEach(member => {
+    const group = member.multiple_birth_group
+    if (group) multipleBirthSizes.set(group, (multipleBirthSizes.get(group) || 0) + 1)
+  })
+  
   // Create a map for quick lookups
   const memberMap = new Map()
   members.forEach(member => {
@@ -32,11 +182,20 @@ export function transformDatabaseToFamilyChart(members, parentChildRels, spousal
       data: {
         "first name": member.first_name || '',
         "last name": member.last_name || '',
-        "birthday": member.birthday ? member.birthday.toString() : '',
-        "death": member.death ? member.death.toString() : '',
+        "birthday": formatStoredDate(member.birth_date, member.birthday),
+        "death": formatStoredDate(member.death_date, member.death),
+        "birth place": member.birth_place || '',
+        "death place": member.death_place || '',
+        "burial place": member.burial_place || '',
+        "residences": Array.isArray(member.residences) ? member.residences : [],
+        "custom fields": member.custom_fields && typeof member.custom_fields === 'object' ? member.custom_fields : {},
+        "avatar_media_id": member.avatar_media_id || null,
+        "multiple_birth": getMultipleBirthLabel(multipleBirthSizes.get(member.multiple_birth_group) || 0),
+        "is_private": !!member.is_private,
         "gender": member.gender || ''
       },
       rels: {
+        parents: [],
         children: [],
         spouses: []
       }
@@ -44,19 +203,26 @@ export function transformDatabaseToFamilyChart(members, parentChildRels, spousal
   })
   
   // Process parent-child relationships
+  // Every parent is recorded in parent_rels / parent_roles and lists the child
+  // among their children; the chart's parents are picked afterwards.
+  const parentsByChild = new Map()
   parentChildRels.forEach(rel => {
     const child = memberMap.get(rel.child_id)
     const parent = memberMap.get(rel.parent_id)
     
     if (child && parent) {
-      const parentGender = parent.data.gender
+      const type = getParentChildType(rel)
       
-      // Set father or mother
-      if (parentGender === 'M') {
-        child.rels.father = rel.parent_id
-      } else if (parentGender === 'F') {
-        child.rels.mother = rel.parent_id
+      if (!child.data.parent_rels) child.data.parent_rels = {}
+      if (!child.data.parent_roles) child.data.parent_roles = {}
+      if (!parent.data.child_rels) parent.data.child_rels = {}
+      if (!(rel.parent_id in child.data.parent_rels)) {
+        if (!parentsByChild.has(rel.child_id)) parentsByChild.set(rel.child_id, [])
+        parentsByChild.get(rel.child_id).push(rel.parent_id)
       }
+      child.data.parent_rels[rel.parent_id] = type
+      child.data.parent_roles[rel.parent_id] = getParentRole(parent.data.gender)
+      parent.data.child_rels[rel.child_id] = type
       
       // Add to parent's children list if not already there
       if (!parent.rels.children.includes(rel.child_id)) {
@@ -65,6 +231,25 @@ export function transformDatabaseToFamilyChart(members, parentChildRels, spousal
     }
   })
   
+  // Children in birth order, which is the order the chart lays them out
+  memberMap.forEach(member => {
+    if (member.rels.children.length < 2) return
+    member.rels.children = sortByBirthOrder(member.rels.children.map(id => membersById.get(id))).map(m => m.id)
+  })
+  
+  // Chart parents: the two closest links (biological first, then adoptive, step, ...),
+  // whatever their gender. The other parents still reach the child through their
+  // own children list and are named on the child's card.
+  parentsByChild.forEach((parentIds, childId) => {
+    const child = memberMap.get(childId)
+    const rank = (id) => PARENT_CHILD_RELATIONSHIP_TYPES.indexOf(child.data.parent_rels[id])
+    const roleRank = (id) => PARENT_ROLE_ORDER.indexOf(child.data.parent_roles[id])
+    child.rels.parents = [...parentIds]
+      .sort((a, b) => rank(a) - rank(b))
+      .slice(0, MAX_CHART_PARENTS)
+      .sort((a, b) => roleRank(a) - roleRank(b))
+  })
+  
   // Process spousal relationships
   spousalRels.forEach(rel => {
     const person1 = memberMap.get(rel.person1_id)
@@ -86,9 +271,24 @@ export function transformDatabaseToFamilyChart(members, parentChildRels, spousal
       
       person1.data.spouse_rels[rel.person2_id] = rel.relationship_type
       person2.data.spouse_rels[rel.person1_id] = rel.relationship_type
+
+      const details = { start_date: rel.start_date || null, end_date: rel.end_date || null, place: rel.place || null }
+      if (!person1.data.spouse_details) person1.data.spouse_details = {}
+      if (!person2.data.spouse_details) person2.data.spouse_details = {}
+      person1.data.spouse_details[rel.person2_id] = details
+      person2.data.spouse_details[rel.person1_id] = details
     }
   })
   
+  // Order partners by when the partnership started (undated ones last)
+  memberMap.forEach(member => {
+    if (member.rels.spouses.length < 2) return
+    const startOf = (spouseId) => readStoredDate(member.data.spouse_details?.[spouseId]?.start_date)
+    member.rels.spouses.sort((a, b) => compareGenealogicalDates(startOf(a), startOf(b)))
+    const spouseRels = member.data.spouse_rels
+    member.data.spouse_rels = Object.fromEntries(member.rels.spouses.map(id => [id, spouseRels[id]]))
+  })
+  
   // Convert map to array
   memberMap.forEach(member => {
     familyChartData.push(member)
@@ -97,6 +297,26 @@ export function transformDatabaseToFamilyChart(members, parentChildRels, spousal
   return familyChartData
 }
 
+/**
+ * Bring the chart's data array in line with freshly built data, in place.
+ * People whose card and links are unchanged keep their object, so a remote
+ * edit to one person doesn't replace everyone.
+ * @returns {boolean} Whether anything changed
+ */
+export function patchChartData(current, next) {
+  const currentById = new Map(current.map(datum => [datum.id, datum]))
+  const sameDatum = (a, b) => JSON.stringify([a.data, a.rels]) === JSON.stringify([b.data, b.rels])
+  let changed = current.length !== next.length
+  const patched = next.map(datum => {
+    const existing = currentById.get(datum.id)
+    if (existing && sameDatum(existing, datum)) return existing
+    changed = true
+    return datum
+  })
+  if (changed) current.splice(0, current.length, ...patched)
+  return changed
+}
+
 /**
  * Find the main person (is_main = true) or first person
  */
@@ -116,8 +336,8 @@ export function createMemberData(treeId, formData) {
     tree_id: treeId,
     first_name: formData['first name'] || '',
     last_name: formData['last name'] || '',
-    birthday: formData['birthday'] ? parseInt(formData['birthday']) : null,
-    death: formData['death'] ? parseInt(formData['death']) : null,
+    ...createDateColumns(formData),
+    ...createPlaceColumns(formData),
     gender: formData['gender'] || null,
     is_main: false
   }
@@ -129,8 +349,7 @@ export function createMemberData(treeId, formData) {
 export function extractRelationshipData(datum) {
   return {
     id: datum.id,
-    father: datum.rels?.father,
-    mother: datum.rels?.mother,
+    parents: datum.rels?.parents || [],
     children: datum.rels?.children || [],
     spouses: datum.rels?.spouses || []
   }
@@ -154,8 +373,7 @@ export function getRelationshipType(person1, person2, spousalRels) {
 export function cleanRelationships(rels) {
   const cleaned = {}
   
-  if (rels.father) cleaned.father = rels.father
-  if (rels.mother) cleaned.mother = rels.mother
+  if (rels.parents && rels.parents.length > 0) cleaned.parents = rels.parents
   if (rels.children && rels.children.length > 0) cleaned.children = rels.children
   if (rels.spouses && rels.spouses.length > 0) cleaned.spouses = rels.spouses
   
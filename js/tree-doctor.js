@@ -0,0 +1,219 @@
+import { checkTree } from './validation.js'
+import { formatPersonName } from './names.js'
+
+/**
+ * Tree doctor
+ *
+ * A health report over the live tree:
+ *   { members, parentChildRels, spousalRels }   (recycle bin excluded)
+ * Each finding is
+ *   { severity: 'error' | 'warning' | 'info', code, message, memberIds, fix }
+ * where fix, when there is one, is a change the app can make for you:
+ *   { label, type: 'bin-members', memberIds }
+ *   { label, type: 'delete-links', table, ids }
+ *   { label, type: 'bin-links', table, ids, deletedWith }
+ * Besides the data checks from validation.js it looks for leftovers: blank
+ * "Unknown" people from the old soft delete, people with no name, links to
+ * people who aren't there, duplicate links and parts of the tree that don't
+ * connect to the rest.
+ */
+
+export const DOCTOR_SEVERITIES = {
+  error: 'Problems',
+  warning: 'Worth a look',
+  info: 'Suggestions'
+}
+
+const RELATIONSHIP_TABLES = {
+  parentChild: 'parent_child_relationships',
+  spousal: 'spousal_relationships'
+}
+
+// Names listed in a message before "and N others"
+const NAMES_SHOWN = 3
+
+/**
+ * Whether a member is what deleting someone with relatives used to leave
+ * behind: renamed "Unknown" with every fact cleared
+ */
+export function isLegacyPlaceholder(member) {
+  const isEmpty = (value) => value == null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+  return member.first_name === 'Unknown' &&
+    ['last_name', 'birthday', 'death', 'birth_date', 'death_date', 'birth_place', 'death_place',
+      'burial_place', 'residences', 'custom_fields', 'avatar_media_id', 'other_names']
+      .every(field => isEmpty(member[field]))
+}
+
+/**
+ * Groups of people joined by parent or partner links, largest first
+ */
+export function findConnectedGroups({ members, parentChildRels, spousalRels }) {
+  const neighbours = new Map(members.map(m => [m.id, []]))
+  const join = (a, b) => {
+    if (!neighbours.has(a) || !neighbours.has(b)) return
+    neighbours.get(a).push(b)
+    neighbours.get(b).push(a)
+  }
+  parentChildRels.forEach(rel => join(rel.parent_id, rel.child_id))
+  spousalRels.forEach(rel => join(rel.person1_id, rel.person2_id))
+
+  const seen = new Set()
+  const groups = []
+  members.forEach(member => {
+    if (seen.has(member.id)) return
+    const group = []
+    const stack = [member.id]
+    seen.add(member.id)
+    while (stack.length > 0) {
+      const id = stack.pop()
+      group.push(id)
+      neighbours.get(id).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next)
+          stack.push(next)
+        }
+      })
+    }
+    groups.push(group)
+  })
+  return groups.sort((a, b) => b.length - a.length)
+}
+
+function listNames(ids, name) {
+  const names = ids.slice(0, NAMES_SHOWN).map(name)
+  const rest = ids.length - names.length
+  return rest > 0 ? `${names.join(', ')} and ${rest} other${rest === 1 ? '' : 's'}` : names.join(' and ')
+}
+
+// Links with an end that isn't a live member, and second copies of a link
+function checkLinks(tree, binMembers, name, issues) {
+  const liveIds = new Set(tree.members.map(m => m.id))
+  const binnedIds = new Set(binMembers.map(m => m.id))
+  const kinds = [
+    { table: RELATIONSHIP_TABLES.parentChild, rels: tree.parentChildRels, ends: ['parent_id', 'child_id'], noun: 'parent link' },
+    { table: RELATIONSHIP_TABLES.spousal, rels: tree.spousalRels, ends: ['person1_id', 'person2_id'], noun: 'partnership' }
+  ]
+
+  kinds.forEach(({ table, rels, ends, noun }) => {
+    const byPair = new Map()
+    rels.forEach(rel => {
+      const [a, b] = ends.map(end => rel[end])
+      const missing = [a, b].filter(id => !liveIds.has(id))
+      if (missing.length > 0) {
+        const present = [a, b].filter(id => liveIds.has(id))
+        const binned = missing.find(id => binnedIds.has(id))
+        issues.push({
+          severity: 'error',
+          code: 'missing-member',
+          message: binned && present.length > 0
+            ? `${name(present[0])} still has a ${noun} to ${name(binned)}, who is in the recycle bin`
+            : present.length > 0
+              ? `${name(present[0])} has a ${noun} to someone who isn't in the tree`
+              : `A ${noun} joins two people who aren't in the tree`,
+          memberIds: present,
+          fix: binned && present.length > 0
+            ? { label: 'Move to the recycle bin with them', type: 'bin-links', table, ids: [rel.id], deletedWith: binned }
+            : { label: 'Delete the link', type: 'delete-links', table, ids: [rel.id] }
+        })
+        return
+      }
+
+      // A partnership is the same whichever partner is person1
+      const key = table === RELATIONSHIP_TABLES.spousal ? [a, b].sort().join('|') : `${a}|${b}`
+      byPair.set(key, [...(byPair.get(key) || []), rel])
+    })
+
+    byPair.forEach(copies => {
+      if (copies.length < 2) return
+      const [a, b] = ends.map(end => copies[0][end])
+      issues.push({
+        severity: 'warning',
+        code: 'duplicate-link',
+        message: `${name(a)} and ${name(b)} have the same ${noun} ${copies.length} times`,
+        memberIds: [a, b],
+        fix: { label: `Keep one ${noun}`, type: 'delete-links', table, ids: copies.slice(1).map(rel => rel.id) }
+      })
+    })
+  })
+}
+
+function checkPeople(tree, name, issues) {
+  const linkedIds = new Set([
+    ...tree.parentChildRels.flatMap(rel => [rel.parent_id, rel.child_id]),
+    ...tree.spousalRels.flatMap(rel => [rel.person1_id, rel.person2_id])
+  ])
+
+  const placeholders = tree.members.filter(isLegacyPlaceholder)
+  if (placeholders.length > 0) {
+    const ids = placeholders.map(m => m.id)
+    issues.push({
+      severity: 'warning',
+      code: 'legacy-placeholder',
+      message: `${ids.length} blank "Unknown" ${ids.length === 1 ? 'person was' : 'people were'} left behind by deleting someone with relatives`,
+      memberIds: ids,
+      fix: { label: 'Move to the recycle bin', type: 'bin-members', memberIds: ids }
+    })
+  }
+
+  const placeholderIds = new Set(placeholders.map(m => m.id))
+  tree.members.filter(m => !placeholderIds.has(m.id) && !formatPersonName(m)).forEach(member => {
+    const isAlone = !linkedIds.has(member.id)
+    issues.push({
+      severity: 'warning',
+      code: 'unnamed-person',
+      message: isAlone
+        ? 'Someone with no name isn\'t connected to anyone'
+        : `Someone with no name is linked to ${name(findLinkedId(tree, member.id))}`,
+      memberIds: [member.id],
+      fix: isAlone ? { label: 'Move to the recycle bin', type: 'bin-members', memberIds: [member.id] } : null
+    })
+  })
+}
+
+// Anyone a member is linked to, to say which unnamed person is meant
+function findLinkedId(tree, memberId) {
+  const rel = tree.parentChildRels.find(r => r.parent_id === memberId || r.child_id === memberId)
+  if (rel) return rel.parent_id === memberId ? rel.child_id : rel.parent_id
+  const partnership = tree.spousalRels.find(r => r.person1_id === memberId || r.person2_id === memberId)
+  return partnership.person1_id === memberId ? partnership.person2_id : partnership.person1_id
+}
+
+// People already offered the recycle bin aren't listed again as islands
+function checkGroups(tree, name, issues) {
+  const binSuggested = new Set(issues.flatMap(issue => issue.fix?.type === 'bin-members' ? issue.fix.memberIds : []))
+  const [, ...islands] = findConnectedGroups(tree)
+  islands.filter(ids => !ids.every(id => binSuggested.has(id))).forEach(ids => {
+    issues.push({
+      severity: 'info',
+      code: 'disconnected',
+      message: ids.length === 1
+        ? `${name(ids[0])} isn't connected to anyone else in the tree`
+        : `${listNames(ids, name)} are connected to each other but not to the rest of the tree`,
+      memberIds: ids,
+      fix: null
+    })
+  })
+}
+
+/**
+ * Everything the tree doctor finds, problems first
+ * @param {Object} tree - The live tree
+ * @param {Object} [options]
+ * @param {Array} [options.binMembers] - People in the recycle bin
+ * @param {Function} [options.nameOf] - member id -> display name
+ */
+export function diagnoseTree(tree, { binMembers = [], nameOf = null } = {}) {
+  const membersById = new Map([...binMembers, ...tree.members].map(m => [m.id, m]))
+  const name = nameOf || ((id) => formatPersonName(membersById.get(id)) || 'Unknown')
+  const issues = []
+
+  checkLinks(tree, binMembers, name, issues)
+  checkPeople(tree, name, issues)
+  checkTree(tree, { nameOf: name }).forEach(({ links, ...issue }) => issues.push({ ...issue, fix: null }))
+  checkGroups(tree, name, issues)
+
+  const order = Object.keys(DOCTOR_SEVERITIES)
+  return issues.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity))
+}
@@ -5,20 +5,139 @@ import {
   getSpousalRelationships,
   createFamilyMember,
   updateFamilyMember,
+  createMemberWithLinks,
+  updateMemberWithLinks,
   deleteFamilyMember,
+  moveMemberToRecycleBin,
+  restoreMemberFromRecycleBin,
+  purgeDeletedMembers,
+  updateRelationshipBinFlags,
   createParentChildRelationship,
+  updateParentChildRelationship,
   createSpousalRelationship,
-  updateSpousalRelationship
+  updateSpousalRelationship,
+  deleteParentChildRelationship,
+  deleteSpousalRelationship,
+  deleteRelationshipsById,
+  getDuplicateDismissals,
+  dismissDuplicatePair,
+  mergeFamilyMembers,
+  updateFamilyTree,
+  setActiveTreeRole,
+  getTreeMembers,
+  updateTreeMemberRole,
+  removeTreeMember,
+  getShareTokens,
+  createShareToken,
+  rotateShareToken,
+  deleteShareToken,
+  getCustomFieldDefinitions,
+  createCustomFieldDefinition,
+  updateCustomFieldDefinition,
+  deleteCustomFieldDefinition,
+  getTreeMedia,
+  updateMemberMedia,
+  getSources,
+  createSource,
+  updateSource,
+  deleteSources,
+  getCitations,
+  createCitation,
+  updateCitation,
+  deleteCitations,
+  getMemberHistory
 } from './supabase-client.js'
 
 import {
   transformDatabaseToFamilyChart,
+  patchChartData,
   findMainPersonId,
-  createMemberData
+  createMemberData,
+  createDateColumns,
+  createPlaceColumns,
+  createPartnershipColumns,
+  formatPartnershipDetails,
+  getParentChildType,
+  getParentRole,
+  sortByBirthOrder,
+  SPOUSAL_RELATIONSHIP_TYPES,
+  PARENT_CHILD_RELATIONSHIP_TYPES
 } from './tree-data.js'
 
 import { setupRealtimeSync } from './tree-sync.js'
 
+import {
+  IMPORT_FILE_ACCEPT,
+  BACKUP_FILE_ACCEPT,
+  readImportFile,
+  chooseCsvMapping,
+  renderImportSummary,
+  validateImportPlan,
+  commitImportPlan,
+  commitReplacePlan
+} from './import-plan.js'
+
+import { parseGenealogicalDate, toGedcomDate, formatStoredDate, compareGenealogicalDates, DATE_INPUT_HINT } from './dates.js'
+import {
+  PLACE_ROLES,
+  buildPlaceIndex,
+  buildPlaceRenameUpdates,
+  shortPlaceName
+} from './places.js'
+import {
+  CUSTOM_FIELD_TYPES,
+  createFieldKey,
+  sortFieldDefinitions,
+  readCustomFieldValues,
+  formatCustomFieldValue,
+  customFieldPlaceholder
+} from './custom-fields.js'
+import {
+  MEDIA_ACCEPT,
+  isImageMedia,
+  validateMediaFile,
+  formatFileSize,
+  uploadMemberMedia,
+  deleteMediaItems,
+  removeMediaFiles,
+  resolveMediaUrls
+} from './media.js'
+import {
+  CONFIDENCE_LEVELS,
+  DEFAULT_CONFIDENCE,
+  getMemberCitations,
+  countCitationsByMember,
+  getCitationTargets,
+  describeCitationTarget,
+  describeCitation,
+  formatSourceLabel,
+  normalizeSourceInput
+} from './sources.js'
+import { exportGedcom } from './gedcom.js'
+import { exportCsv } from './csv.js'
+import { createBackupSnapshot, buildRestorePlan } from './backup.js'
+import { NAME_TYPES, DEFAULT_NAME_TYPE, normalizeOtherNames, formatNameHistory, formatPersonName, searchMembersByName } from './names.js'
+import { LIVING_STATUSES, isLiving, maskMember, applyPrivacy } from './privacy.js'
+import { TREE_ROLES, canEditWithRole, getAuth, openSignInDialog } from './auth.js'
+import { getChangedFields, formatHistoryValue, describeHistoryEntry, isRecycleBinEntry, buildRevertAction, hasLaterChanges } from './history.js'
+import {
+  RECYCLE_BIN_PERIODS,
+  DEFAULT_RECYCLE_BIN_DAYS,
+  splitRecycleBin,
+  getPurgeDate,
+  getExpiredMembers,
+  planRestore,
+  countBinnedLinks,
+  formatDeletion
+} from './recycle-bin.js'
+import { createUndoStack, diffSnapshots, getUpdatedColumns } from './undo.js'
+import { validateChanges } from './validation.js'
+import { DOCTOR_SEVERITIES, diagnoseTree } from './tree-doctor.js'
+import { MERGE_FIELDS, findDuplicates, duplicatePairKey, defaultMergeChoices, planMerge } from './duplicates.js'
+import { SHARE_PERMISSIONS, generateShareToken, buildShareUrl, formatShareExpiry, isShareTokenExpired } from './share-links.js'
+import { openModal } from './modal.js'
+import { escapeHtml, pickFile, downloadFile, toFileName } from './dom-utils.js'
+
 const d3 = window.d3;
 
 const FIRST_PERSON_DEFAULT_GENDER = 'M'
@@ -31,6 +150,19 @@ const ADD_LABELS = {
   spouse: 'Add Partner' 
 }
 
+// Add-relative types that create a parent-child link. The button picked only
+// sets the default gender; the link itself is the same whatever gender is saved.
+const CHILD_REL_TYPES = ['son', 'daughter', 'child']
+const PARENT_REL_TYPES = ['father', 'mother', 'parent']
+
+// Card captions for a child's non-biological parents
+const CHILD_LINK_CAPTIONS = {
+  adoptive: 'Adopted by',
+  step: 'Stepchild of',
+  foster: 'Foster child of',
+  guardian: 'In the care of'
+}
+
 const SELECTORS = {
   form: '#familyForm',
 }
@@ -38,11 +170,29 @@ const SELECTORS = {
 const state = {
   treeId: null,
   treeCode: null,
+  treeName: '',
+  tree: null,
   chart: null,
   editApi: null,
   members: [],
   parentChildRels: [],
   spousalRels: [],
+  customFields: [],
+  media: [],
+  mediaUrls: new Map(),
+  sources: [],
+  citations: [],
+  citationCounts: new Map(),
+  // Deleted people, the links hidden with them and their citations (see recycle-bin.js)
+  recycleBin: { members: [], parentChildRels: [], spousalRels: [], citations: [] },
+  // Signed-in user and their role in this tree (no role = read only)
+  access: { user: null, role: null, canEdit: false },
+  // The share link the page was opened with ({ code, permission, label }), null for the tree code
+  link: null,
+  // Session-only: show the tree the way viewers see it
+  previewAsViewer: false,
+  // Session-only: this visitor's edits, for undo/redo
+  undoStack: createUndoStack({ apply: (change) => applyUndoChange(change), onChange: () => renderUndoButtons() }),
   isSaving: false,
 }
 
@@ -63,6 +213,26 @@ function initializePage() {
 
   document.getElementById('copyCodeBtn')?.addEventListener('click', handleCopyTreeCode)
   document.getElementById('showFullTreeBtn')?.addEventListener('click', handleShowFullTree);
+  document.getElementById('importFileBtn')?.addEventListener('click', handleImportFile);
+  document.getElementById('exportGedcomBtn')?.addEventListener('click', handleExportGedcom);
+  document.getElementById('exportCsvBtn')?.addEventListener('click', handleExportCsv);
+  document.getElementById('downloadBackupBtn')?.addEventListener('click', handleDownloadBackup);
+  document.getElementById('restoreBackupBtn')?.addEventListener('click', handleRestoreBackup);
+  document.getElementById('findPersonBtn')?.addEventListener('click', openFindPersonPanel);
+  document.getElementById('placesBtn')?.addEventListener('click', openPlacesPanel);
+  document.getElementById('privacyBtn')?.addEventListener('click', openPrivacyPanel);
+  document.getElementById('membersBtn')?.addEventListener('click', openMembersPanel);
+  document.getElementById('shareLinksBtn')?.addEventListener('click', openShareLinksPanel);
+  document.getElementById('signInBtn')?.addEventListener('click', openSignInDialog);
+  document.getElementById('signOutBtn')?.addEventListener('click', handleSignOut);
+  document.getElementById('customFieldsBtn')?.addEventListener('click', openCustomFieldsPanel);
+  document.getElementById('sourcesBtn')?.addEventListener('click', openSourcesPanel);
+  document.getElementById('recycleBinBtn')?.addEventListener('click', openRecycleBinPanel);
+  document.getElementById('treeDoctorBtn')?.addEventListener('click', openTreeDoctorPanel);
+  document.getElementById('duplicatesBtn')?.addEventListener('click', openDuplicatesPanel);
+  document.getElementById('undoBtn')?.addEventListener('click', () => replayUndo('undo'));
+  document.getElementById('redoBtn')?.addEventListener('click', () => replayUndo('redo'));
+  document.addEventListener('keydown', handleUndoShortcut);
 
   window.addEventListener('load', () => {
     if (window.f3) initializeTree(code)
@@ -83,17 +253,33 @@ async function initializeTree(code) {
 
     const tree = result.data
     state.treeId = tree.id
-    state.treeCode = tree.tree_code
+    // A share token's lookup leaves the tree code out
+    state.treeCode = tree.tree_code || null
+    state.treeName = tree.tree_name
+    state.tree = tree
+    state.link = result.link ? { ...result.link, code: code.toUpperCase() } : null
 
     const nameEl = document.querySelector('#treeName span:last-child');
     if (nameEl) nameEl.textContent = tree.tree_name;
     
-    document.getElementById('treeCodeDisplay').textContent = tree.tree_code
+    document.getElementById('treeCodeDisplay').textContent = state.treeCode || ''
+
+    await loadAccess()
+    getAuth().onChange(async () => {
+      await loadAccess()
+      state.undoStack.clear()
+      state.editApi?.closeForm()
+      refreshChartUI()
+    })
 
     await loadTreeData()
-    setupRealtimeSync(state.treeId, () => {
-      // Only reload if we aren't currently editing/saving to prevent jumps
-      if (!state.isSaving) loadTreeData()
+    await purgeExpiredFromRecycleBin()
+    setupRealtimeSync(state.treeId, {
+      getRows: getSyncedRows,
+      applyRows: applySyncedRows,
+      resync: loadTreeData,
+      // Others' changes wait until our own save is done, to prevent jumps
+      isBusy: () => state.isSaving
     })
   } catch (error) {
     console.error('Init error:', error)
@@ -102,17 +288,50 @@ async function initializeTree(code) {
   }
 }
 
+// Who is signed in and what they may do in this tree
+async function loadAccess() {
+  const auth = getAuth();
+  const user = await auth.getUser();
+  let role = null;
+  // A view-only link shows the tree read-only, whoever opens it
+  if (user && state.link?.permission !== 'view') {
+    const res = await auth.getTreeRole(state.link ? state.link.code : state.treeCode);
+    if (res.success) role = res.data;
+    else console.error('Role lookup error:', res.error);
+  }
+
+  state.access = { user, role, canEdit: canEditWithRole(role) };
+  setActiveTreeRole(state.treeId, role);
+  renderAccountStatus();
+}
+
 async function loadTreeData() {
   try {
-    const [memberRes, pcRes, spRes] = await Promise.all([
+    const [memberRes, pcRes, spRes, fieldRes, mediaRes, sourceRes, citationRes] = await Promise.all([
       getFamilyMembers(state.treeId),
       getParentChildRelationships(state.treeId),
-      getSpousalRelationships(state.treeId)
+      getSpousalRelationships(state.treeId),
+      getCustomFieldDefinitions(state.treeId),
+      getTreeMedia(state.treeId),
+      getSources(state.treeId),
+      getCitations(state.treeId)
     ])
 
-    state.members = memberRes.data || []
-    state.parentChildRels = pcRes.data || []
-    state.spousalRels = spRes.data || []
+    const { live, bin } = splitRecycleBin({
+      members: memberRes.data || [],
+      parentChildRels: pcRes.data || [],
+      spousalRels: spRes.data || [],
+      citations: citationRes.data || []
+    })
+    state.members = live.members
+    state.parentChildRels = live.parentChildRels
+    state.spousalRels = live.spousalRels
+    state.citations = live.citations
+    state.recycleBin = bin
+    state.customFields = sortFieldDefinitions(fieldRes.data || [])
+    state.media = mediaRes.data || []
+    state.sources = sourceRes.data || []
+    state.mediaUrls = await resolveMediaUrls(state.media)
 
     refreshChartUI();
   } catch (error) {
@@ -120,15 +339,50 @@ async function loadTreeData() {
   }
 }
 
+// The rows real-time changes apply to: live and recycle bin together, since
+// deleting or restoring someone only flags them
+function getSyncedRows() {
+  return {
+    members: [...state.members, ...state.recycleBin.members],
+    parentChildRels: [...state.parentChildRels, ...state.recycleBin.parentChildRels],
+    spousalRels: [...state.spousalRels, ...state.recycleBin.spousalRels],
+    customFields: state.customFields
+  }
+}
+
+function applySyncedRows(rows, tables) {
+  const { live, bin } = splitRecycleBin({
+    members: rows.members,
+    parentChildRels: rows.parentChildRels,
+    spousalRels: rows.spousalRels,
+    citations: [...state.citations, ...state.recycleBin.citations]
+  })
+  state.members = live.members
+  state.parentChildRels = live.parentChildRels
+  state.spousalRels = live.spousalRels
+  state.citations = live.citations
+  state.recycleBin = bin
+
+  if (tables.has('customFields')) {
+    // New fields change every card, and the form
+    state.customFields = sortFieldDefinitions(rows.customFields)
+    refreshChartUI()
+  } else {
+    patchChartUI()
+  }
+}
+
 // -----------------------------------------------------------------------------
 // Chart Logic
 // -----------------------------------------------------------------------------
 
 function refreshChartUI() {
+  const visible = getVisibleTree();
+  state.citationCounts = countCitationsByMember(visible.citations, state.parentChildRels, visible.spousalRels);
   const chartData = transformDatabaseToFamilyChart(
-    state.members,
+    visible.members,
     state.parentChildRels,
-    state.spousalRels
+    visible.spousalRels
   );
   
   const safeData = sanitizeChartData(chartData);
@@ -138,20 +392,37 @@ function refreshChartUI() {
     window.f3Chart = state.chart
   } else {
     state.chart.updateData(safeData)
-    
-    // Ensure main ID is valid
-    const currentMainId = state.chart.store.getMainId()
-    const currentMainExists = safeData.find(d => d.id === currentMainId)
-    
-    if (!currentMainId || !currentMainExists) {
-      const bestMainId = findYoungestDescendantId(state.members, state.parentChildRels) || findMainPersonId(state.members)
-      if (bestMainId) state.chart.updateMainId(bestMainId)
-    }
-    
+    ensureMainId(safeData)
     state.chart.updateTree({ initial: false })
   }
 }
 
+// Like refreshChartUI, but only people whose card or links changed are
+// replaced in the chart, and nothing is redrawn if no one's did
+function patchChartUI() {
+  if (!state.chart) return refreshChartUI();
+  const visible = getVisibleTree();
+  state.citationCounts = countCitationsByMember(visible.citations, state.parentChildRels, visible.spousalRels);
+  const safeData = sanitizeChartData(transformDatabaseToFamilyChart(
+    visible.members,
+    state.parentChildRels,
+    visible.spousalRels
+  ));
+  if (!patchChartData(state.chart.store.getData(), safeData)) return;
+  ensureMainId(safeData);
+  state.chart.updateTree({ initial: false });
+}
+
+function ensureMainId(safeData) {
+  const currentMainId = state.chart.store.getMainId()
+  const currentMainExists = safeData.find(d => d.id === currentMainId)
+
+  if (!currentMainId || !currentMainExists) {
+    const bestMainId = findYoungestDescendantId(state.members, state.parentChildRels) || findMainPersonId(state.members)
+    if (bestMainId) state.chart.updateMainId(bestMainId)
+  }
+}
+
 function cleanupGhostNodes() {
   if (!state.chart || !state.chart.store) return;
   const data = state.chart.store.getData();
@@ -178,12 +449,13 @@ function sanitizeChartData(chartData) {
   if (!Array.isArray(chartData)) return [];
   const cleanData = chartData.filter(d => d && d.id && d.rels);
 
+  const ids = new Set(cleanData.map(d => d.id));
+
   cleanData.forEach(child => {
     if (!child.rels) return;
-    const parents = child.rels.parents || [];
-    
-    if (child.rels.father && !parents.includes(child.rels.father)) parents.push(child.rels.father);
-    if (child.rels.mother && !parents.includes(child.rels.mother)) parents.push(child.rels.mother);
+    // Parents are a gender-neutral list; drop ids that are not in the data
+    const parents = (child.rels.parents || []).filter(id => ids.has(id));
+    child.rels.parents = parents;
 
     if (parents.length === 2) {
       const p1Id = parents[0];
@@ -231,39 +503,72 @@ function createChartInstance(chartData) {
     .setCardHtml()
     .setCardDisplay([
       ['first name', 'last name'],
+      (d) => {
+        const history = formatNameHistory(visibleMember(d.id));
+        return history ? `<div class="card-name-history">${escapeHtml(history)}</div>` : '';
+      },
       (d) => {
         const birth = d.data['birthday'] || ''
         const death = d.data['death'] || ''
-        if (birth && death) return `${birth} - ${death}`
-        if (birth) return birth
-        if (death) return `- ${death}`
-        return ''
+        let range = ''
+        if (birth && death) range = `${birth} - ${death}`
+        else if (birth) range = birth
+        else if (death) range = `- ${death}`
+        const place = shortPlaceName(d.data['birth place'] || d.data['death place'])
+        return [range, escapeHtml(place)].filter(Boolean).join(' · ')
+      },
+      (d) => {
+        const values = d.data['custom fields'] || {};
+        const lines = state.customFields
+          .filter(field => field.show_on_card)
+          .map(field => {
+            const value = formatCustomFieldValue(field, values[field.field_key]);
+            return value ? `${escapeHtml(field.label)}: ${escapeHtml(value)}` : '';
+          })
+          .filter(Boolean);
+        if (lines.length === 0) return '';
+        return `<div class="card-custom-fields">${lines.join('<br>')}</div>`;
       },
       (d) => {
         const spouseRels = d.data['spouse_rels'];
         if (!spouseRels) return '';
         const relationshipStrings = [];
+        // spouse_rels is already ordered by partnership start date
         Object.entries(spouseRels).forEach(([spouseId, type]) => {
-          const spouse = state.members.find(m => m.id === spouseId);
+          const spouse = visibleMember(spouseId);
           if (spouse && type) {
             const spouseName = `${spouse.first_name || ''} ${spouse.last_name || ''}`.trim();
             const typeCap = type.charAt(0).toUpperCase() + type.slice(1);
             let preposition = (type === 'divorced' || type === 'separated') ? "from" : "to";
-            relationshipStrings.push(`${typeCap} ${preposition} ${spouseName}`);
+            const details = formatPartnershipDetails(d.data['spouse_details']?.[spouseId]);
+            const suffix = details ? ` (${escapeHtml(details)})` : '';
+            relationshipStrings.push(`${typeCap} ${preposition} ${escapeHtml(spouseName)}${suffix}`);
           }
         });
         if (relationshipStrings.length === 0) return '';
         return `<div style="font-size: 10px; font-style: italic; margin-top: 5px; opacity: 0.9; line-height: 1.2;">${relationshipStrings.join('<br>')}</div>`;
-      }
+      },
+      (d) => {
+        // Non-biological parents may not be among the chart's parents, so name them
+        const lines = Object.entries(d.data['parent_rels'] || {})
+          .filter(([, type]) => type !== 'biological')
+          .map(([parentId, type]) => `${CHILD_LINK_CAPTIONS[type]} ${escapeHtml(memberName(parentId))}`);
+        if (lines.length === 0) return '';
+        return `<div class="card-parent-links">${lines.join('<br>')}</div>`;
+      },
+      (d) => d.data['multiple_birth'] ? `<div class="card-multiple-birth">${d.data['multiple_birth']}</div>` : ''
     ])
     .setOnCardUpdate(function(d) {
       const cardInner = this.querySelector('.card-inner');
       if (d.data.data.is_god_node) cardInner.classList.add('god-mode-card');
       if (d.data.data.is_spacer) cardInner.classList.add('spacer-card');
+      cardInner.classList.toggle('private-card', !!d.data.data.is_private);
+      updateCardAvatar(cardInner, d.data.data.avatar_media_id);
+      updateCitationBadge(cardInner, d.data.id);
     });
 
   state.editApi = chart.editTree()
-    .setFields(['first name', 'last name', 'birthday', 'death'])
+    .setFields(['first name', 'last name', 'birthday', 'birth place', 'death', 'death place', 'burial place'])
     .setEditFirst(true) 
     .setOnFormCreation((props) => {
       const { cont, form_creator } = props; 
@@ -278,6 +583,7 @@ function createChartInstance(chartData) {
       
       const oldId = datum.id;
       let memberId = oldId;
+      let snapshot = null;
       
       try {
         state.isSaving = true;
@@ -287,116 +593,48 @@ function createChartInstance(chartData) {
         const formData = new FormData(form);
         const formProps = Object.fromEntries(formData);
         
-        if (!validateYearFields(form)) {
+        if (!validateDateFields(form)) {
           toggleLoading(false);
           return;
         }
 
         const existingMember = state.members.find(m => m.id === memberId);
-        let newlyCreatedRelPersonId = null;
-
-        // 1. DATABASE OPERATIONS
-        if (!existingMember) {
-          // --- CREATE NEW MEMBER ---
-          const memberData = createMemberData(state.treeId, formProps);
-          memberData.gender = formProps.gender || datum.data.gender;
-
-          const res = await createFamilyMember(memberData);
-          if (!res.success) throw new Error("Failed to create member: " + res.error);
-          
-          memberId = res.data.id; 
-          
-          state.members.push(res.data);
-
-          if (datum._new_rel_data) {
-            const relType = datum._new_rel_data.rel_type;
-            const relatedId = datum._new_rel_data.rel_id;
-            newlyCreatedRelPersonId = relatedId;
-            
-            if (relType === 'spouse') {
-              const relSelect = form.querySelector('.relationship-type-select-existing'); 
-              const type = relSelect ? relSelect.value : 'married';
-              
-              const relRes = await createSpousalRelationship(state.treeId, relatedId, memberId, type);
-              if(relRes.success && relRes.data) state.spousalRels.push(relRes.data);
-
-            } else if (relType === 'son' || relType === 'daughter') {
-              const pcRes1 = await createParentChildRelationship(state.treeId, relatedId, memberId);
-              if(pcRes1.success && pcRes1.data) state.parentChildRels.push(pcRes1.data);
-
-              if (datum._new_rel_data.other_parent_id) {
-                const pcRes2 = await createParentChildRelationship(state.treeId, datum._new_rel_data.other_parent_id, memberId);
-                if(pcRes2.success && pcRes2.data) state.parentChildRels.push(pcRes2.data);
-              }
-            } else if (relType === 'father' || relType === 'mother') {
-              const pcRes = await createParentChildRelationship(state.treeId, memberId, relatedId); 
-              if(pcRes.success && pcRes.data) state.parentChildRels.push(pcRes.data);
-            }
-          } 
-          // Placeholder Card case
-          else {
-            if (datum.rels.children && datum.rels.children.length > 0) {
-              for (const childId of datum.rels.children) {
-                if (childId && childId.length > 10) {
-                  const pcRes = await createParentChildRelationship(state.treeId, memberId, childId);
-                  if (pcRes.success && pcRes.data) state.parentChildRels.push(pcRes.data);
-                }
-              }
-            }
-            if (datum.rels.spouses && datum.rels.spouses.length > 0) {
-              for (const spouseId of datum.rels.spouses) {
-                if (spouseId && spouseId.length > 10) {
-                  const spRes = await createSpousalRelationship(state.treeId, memberId, spouseId, 'married');
-                  if (spRes.success && spRes.data) state.spousalRels.push(spRes.data);
-                }
-              }
-            }
-          }
-        } else {
-          // --- UPDATE EXISTING MEMBER ---
-          const updates = {
-            first_name: formProps['first name'],
-            last_name: formProps['last name'],
-            birthday: formProps['birthday'] || null,
-            death: formProps['death'] || null,
-            gender: formProps['gender']
-          };
-          const res = await updateFamilyMember(memberId, updates);
-          if (!res.success) throw new Error("Failed to update member");
-          
-          const memIndex = state.members.findIndex(m => m.id === memberId);
-          if (memIndex >= 0) state.members[memIndex] = { ...state.members[memIndex], ...updates };
+        const customFields = readCustomFieldsFromForm(form, existingMember);
+        if (!customFields) {
+          toggleLoading(false);
+          return;
         }
-
-        // --- HANDLE RELATIONSHIPS ---
-        const relSelects = form.querySelectorAll('.relationship-type-select-existing');
-        for (const select of relSelects) {
-          const relId = select.dataset.relId;
-          const spouseId = select.dataset.spouseId;
-          const newType = select.value;
-          
-          if (spouseId === newlyCreatedRelPersonId && !existingMember) continue;
-
-          if (!datum.data.spouse_rels) datum.data.spouse_rels = {};
-          datum.data.spouse_rels[spouseId] = newType;
-
-          if (relId && relId !== 'undefined' && relId !== 'null') {
-            const dbRel = state.spousalRels.find(r => r.id === relId);
-            if (dbRel && dbRel.relationship_type !== newType) {
-              await updateSpousalRelationship(relId, newType);
-              if(dbRel) dbRel.relationship_type = newType;
-            }
-          } else if (existingMember && spouseId) {
-            const existingRel = state.spousalRels.find(r => 
-              (r.person1_id === memberId && r.person2_id === spouseId) ||
-              (r.person1_id === spouseId && r.person2_id === memberId)
-            );
-            if (existingRel && existingRel.relationship_type !== newType) {
-              await updateSpousalRelationship(existingRel.id, newType);
-              existingRel.relationship_type = newType;
-            }
-          }
+        const memberValues = existingMember
+          ? readMemberUpdates(form, formProps, customFields)
+          : readNewMember(form, formProps, datum, customFields);
+        const links = readFormLinks(form, datum, existingMember);
+        const proposedMember = existingMember ? { ...existingMember, ...memberValues } : { ...memberValues, id: memberId };
+        if (!checkFormChanges(form, proposedMember, links)) {
+          toggleLoading(false);
+          return;
         }
+        const newlyCreatedRelPersonId = (!existingMember && datum._new_rel_data?.rel_id) || null;
+        if (!existingMember) memberId = crypto.randomUUID();
+        const linkRows = toSavedLinkRows(links, oldId, memberId);
+        linkRows.spousal.push(...readPartnershipChanges(form, datum, memberId, newlyCreatedRelPersonId));
+        // Birth order touches siblings too; the person's own change joins their update
+        const birthOrderRows = existingMember ? readBirthOrderChanges(form, memberId) : [];
+        birthOrderRows.filter(row => row.id === memberId).forEach(({ id, ...columns }) => Object.assign(memberValues, columns));
+        linkRows.members = birthOrderRows.filter(row => row.id !== memberId);
+        snapshot = takeTreeSnapshot();
+
+        // 1. DATABASE OPERATIONS - the person, their links and their siblings'
+        // birth order are saved in one transaction, so a failure leaves nothing
+        // half-written
+        const res = existingMember
+          ? await updateMemberWithLinks(memberId, memberValues, linkRows)
+          : await createMemberWithLinks({ ...memberValues, id: memberId }, linkRows);
+        if (!res.success) throw new Error(`Failed to ${existingMember ? 'update' : 'create'} member: ${res.error}`);
+
+        upsertById(state.members, res.data.member);
+        (res.data.members || []).forEach(row => upsertById(state.members, row));
+        res.data.parent_child.forEach(rel => upsertById(state.parentChildRels, rel));
+        res.data.spousal.forEach(rel => upsertById(state.spousalRels, rel));
 
         postSubmit();
         refreshChartUI();
@@ -422,51 +660,34 @@ function createChartInstance(chartData) {
         console.error("Save error details:", err);
         alert("Failed to save changes. Please try again.");
       } finally {
+        // Whatever was saved, even if the rest failed
+        if (snapshot) recordUndo(`${snapshot.family_members.some(m => m.id === memberId) ? 'Edit' : 'Add'} ${memberName(memberId)}`, snapshot);
         toggleLoading(false);
         state.isSaving = false;
       }
     })
-    .setOnDelete(async (datum, deletePerson, postSubmit) => {
+    .setOnDelete(async (datum) => {
       const id = datum.id;
-      if(!confirm("Are you sure you want to delete this person?")) return;
-      
+      const label = `Delete ${memberName(id)}`;
+      const days = getRecycleBinDays();
+      const keptFor = days ? `for ${RECYCLE_BIN_PERIODS[days] || `${days} days`}` : 'until the bin is emptied';
+      if (!confirm(`Move ${memberName(id)} to the recycle bin? They can be restored, with their relationships, ${keptFor}.`)) return;
+      const snapshot = takeTreeSnapshot();
+
       try {
         state.isSaving = true;
         toggleLoading(true, "Deleting...");
 
-        const hasDependents = checkDependents(id);
+        const res = await moveMemberToRecycleBin(id, state.access.user?.email || null);
+        if (!res.success) throw new Error(res.error);
 
-        if (hasDependents) {
-          // Soft Delete
-          const updates = { first_name: "Unknown", last_name: "", birthday: null, death: null };
-          await updateFamilyMember(id, updates);
-          const memIndex = state.members.findIndex(m => m.id === id);
-          if (memIndex >= 0) state.members[memIndex] = { ...state.members[memIndex], ...updates };
-          
-          state.editApi.closeForm();
-          refreshChartUI();
-        } else {
-          // Hard Delete
-          await deleteFamilyMember(id);
-          deletePerson();
-          
-          state.members = state.members.filter(m => m.id !== id);
-          state.parentChildRels = state.parentChildRels.filter(r => r.parent_id !== id && r.child_id !== id);
-          state.spousalRels = state.spousalRels.filter(r => r.person1_id !== id && r.person2_id !== id);
-
-          const store = state.chart.store;
-          if (store.getMainId() === id) {
-             const newMain = state.members.length > 0 ? state.members[0].id : null;
-             if (newMain) store.updateMainId(newMain);
-          }
-          
-          postSubmit({ delete: true }); 
-          handleShowFullTree();
-        }
+        state.editApi.closeForm();
+        await loadTreeData();
       } catch (err) {
         console.error("Delete failed", err);
         alert("Failed to delete person.");
       } finally {
+        recordUndo(label, snapshot);
         toggleLoading(false);
         state.isSaving = false;
       }
@@ -486,6 +707,12 @@ function createChartInstance(chartData) {
 
     if (isGodMode) refreshChartUI();
 
+    // Viewers can move around the tree but not edit, add or delete people
+    if (!canEditTree()) {
+      f3Card.onCardClickDefault(e, d);
+      return;
+    }
+
     const currentDatum = state.chart.store.getDatum(d.data.id);
     if (currentDatum) {
         state.editApi.open(currentDatum);
@@ -504,23 +731,6 @@ function createChartInstance(chartData) {
   return chart;
 }
 
-function checkDependents(id) {
-  const hasChildren = state.parentChildRels.some(r => r.parent_id === id);
-  const mySpouseRels = state.spousalRels.filter(r => r.person1_id === id || r.person2_id === id);
-  
-  const hasUntetheredSpouse = mySpouseRels.some(rel => {
-      const spouseId = rel.person1_id === id ? rel.person2_id : rel.person1_id;
-      const spouseHasParents = state.parentChildRels.some(r => r.child_id === spouseId);
-      const spouseHasChildren = state.parentChildRels.some(r => r.parent_id === spouseId);
-      const spouseHasOtherSpouses = state.spousalRels.some(r => 
-        (r.person1_id === spouseId || r.person2_id === spouseId) && r.id !== rel.id
-      );
-      return !spouseHasParents && !spouseHasChildren && !spouseHasOtherSpouses;
-  });
-
-  return hasChildren || hasUntetheredSpouse;
-}
-
 /**
  * =========================================================================
  * CUSTOM PATH & STYLE UPDATER
@@ -550,15 +760,17 @@ function updateRelationshipStyles() {
   links.each(function(d) {
     const linkEl = d3.select(this);
     
-    // Safety check for god/ghost nodes
-    if (!d.source.data || !d.target.data) return;
-    if (d.source.data.id === 'GOD_NODE_TEMP' || d.target.data.id === 'GOD_NODE_TEMP') {
+    // Safety check for god/ghost nodes (child links may join a pair of parents)
+    const endNodes = [].concat(d.source, d.target);
+    if (endNodes.some(node => !node?.data)) return;
+    if (endNodes.some(node => node.data.id === 'GOD_NODE_TEMP')) {
       linkEl.style('opacity', 0).style('pointer-events', 'none');
       return;
     }
 
     linkEl.style('opacity', 1).style('pointer-events', 'auto');
     linkEl.classed('link-married link-partner link-divorced link-separated', false);
+    linkEl.classed(PARENT_CHILD_RELATIONSHIP_TYPES.map(type => `link-child-${type}`).join(' '), false);
 
     // ----------------------------------------------------
     // 1. HANDLE SPOUSE LINKS (Horizontal)
@@ -606,6 +818,10 @@ function updateRelationshipStyles() {
     // 2. HANDLE CHILD LINKS (Vertical)
     // ----------------------------------------------------
     else {
+      // Adopted, step, foster and guardian links get their own style
+      const childType = getChildLinkType(d);
+      if (childType !== 'biological') linkEl.classed(`link-child-${childType}`, true);
+
       // Parents are in d.source (Array or Object)
       let parents = Array.isArray(d.source) ? d.source : [d.source];
       
@@ -682,6 +898,19 @@ function getRelationshipType(id1, id2) {
   return 'married';
 }
 
+// Type of a child link: the first non-biological type among the parents it joins.
+// Ancestry links run from the child up to its parents, the others the other way round.
+function getChildLinkType(link) {
+  const childEnd = link.is_ancestry ? link.source : link.target;
+  const parentEnd = link.is_ancestry ? link.target : link.source;
+  const child = Array.isArray(childEnd) ? childEnd[0] : childEnd;
+  const parentIds = [...new Set([].concat(parentEnd).map(node => node.data.id))];
+  const types = parentIds.map(parentId => getParentChildType(
+    state.parentChildRels.find(r => r.parent_id === parentId && r.child_id === child.data.id)
+  ));
+  return types.find(type => type !== 'biological') || 'biological';
+}
+
 function applyAddButtonLabels(editApi) {
   if (!editApi) return;
   if (typeof editApi.setAddRelLabels === 'function') {
@@ -697,8 +926,16 @@ function configureForm(form, datumId) {
   configureFormInputs(form);
   configureGenderField(form);
   hideRemoveRelationship(form);
+  ensureNameEditor(form, datumId);
+  ensureLivingStatusField(form, datumId);
   ensureRelationshipTypeSelector(form, datumId);
-  renameYearLabels(form);
+  ensureResidenceEditor(form, datumId);
+  ensureBirthOrderEditor(form, datumId);
+  ensureCustomFieldInputs(form, datumId);
+  ensureMediaGallery(form, datumId);
+  ensureSourcesSection(form, datumId);
+  ensureHistorySection(form, datumId);
+  renameFieldLabels(form);
   applyDefaultGenderIfNeeded(form);
   form.dataset.prepared = 'true';
 }
@@ -719,12 +956,8 @@ function configureFormInputs(form) {
     const name = input.getAttribute('name');
     if (name === 'birthday' || name === 'death') {
       input.type = 'text';
-      input.maxLength = 4;
-      input.placeholder = 'YYYY';
-      input.pattern = '[0-9]{4}';
-      input.addEventListener('input', (event) => {
-        event.target.value = event.target.value.replace(/[^0-9]/g, '');
-      });
+      input.placeholder = DATE_INPUT_HINT;
+      input.title = DATE_INPUT_HINT;
     }
   });
 }
@@ -761,12 +994,27 @@ function ensureRelationshipTypeSelector(form, datumId) {
     if (!form.querySelector('.relationship-type-selector-new')) {
       const originPerson = chartData.find(p => p.id === datum._new_rel_data.rel_id);
       const originName = (originPerson?.data['first name'] || '').trim() || 'Relative';
-      const wrapper = createRelationshipDropdown('relationship-type-selector-new', 'relationship_type', `${originName} and this person are`, 'married', null, null);
+      const wrapper = createRelationshipDropdown('relationship-type-selector-new', 'relationship_type', `${originName} and this person are`, 'married', null, null, {});
       anchorElement.parentNode.insertBefore(wrapper, anchorElement);
       configureFormInputs(form); 
     }
   }
 
+  const newRelType = datum._new_rel_data?.rel_type;
+  if ([...CHILD_REL_TYPES, ...PARENT_REL_TYPES].includes(newRelType) && !form.querySelector('.parent-type-selector-new')) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'f3-form-field parent-type-selector-new';
+    const labelEl = document.createElement('label');
+    labelEl.textContent = `Relationship to ${memberName(datum._new_rel_data.rel_id)}`;
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(createParentTypeSelect('biological'));
+    anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+    configureFormInputs(form);
+  }
+  if (!datum._new_rel_data && state.members.some(m => m.id === datum.id)) {
+    ensureParentLinkEditor(form, datum.id, anchorElement);
+  }
+
   const spouseIds = datum.rels?.spouses || [];
   if (spouseIds.length === 0 || datum._new_rel_data) return;
 
@@ -787,13 +1035,13 @@ function ensureRelationshipTypeSelector(form, datumId) {
 
     const personAName = `${datum.data['first name'] || ''} ${datum.data['last name'] || ''}`.trim() || 'Unknown';
     const personBName = `${spouse.data['first name'] || ''} ${spouse.data['last name'] || ''}`.trim() || 'Unknown';
-    const wrapper = createRelationshipDropdown(`relationship-type-selector-existing`, selectorName, `${personAName} and ${personBName} are`, currentType, spouseId, rel ? rel.id : null);
+    const wrapper = createRelationshipDropdown(`relationship-type-selector-existing`, selectorName, `${personAName} and ${personBName} are`, currentType, spouseId, rel ? rel.id : null, rel || {});
     anchorElement.parentNode.insertBefore(wrapper, anchorElement);
   });
   configureFormInputs(form); 
 }
 
-function createRelationshipDropdown(wrapperClass, name, label, currentType, spouseId, relId) {
+function createRelationshipDropdown(wrapperClass, name, label, currentType, spouseId, relId, details = {}) {
   const wrapper = document.createElement('div');
   wrapper.className = `f3-form-field ${wrapperClass}`;
   const select = document.createElement('select');
@@ -802,7 +1050,7 @@ function createRelationshipDropdown(wrapperClass, name, label, currentType, spou
   if (spouseId) select.setAttribute('data-spouse-id', spouseId);
   if (relId) select.setAttribute('data-rel-id', relId);
 
-  ['married', 'partner', 'divorced', 'separated'].forEach(opt => {
+  SPOUSAL_RELATIONSHIP_TYPES.forEach(opt => {
     const option = document.createElement('option');
     option.value = opt;
     option.textContent = opt.charAt(0).toUpperCase() + opt.slice(1);
@@ -814,12 +1062,699 @@ function createRelationshipDropdown(wrapperClass, name, label, currentType, spou
   labelEl.textContent = label;
   wrapper.appendChild(labelEl);
   wrapper.appendChild(select);
+  wrapper.appendChild(createPartnershipDetailInputs(name, details));
   return wrapper;
 }
 
-function renameYearLabels(form) {
-  setFieldLabel(form, 'birthday', 'Year of birth');
-  setFieldLabel(form, 'death', 'Year of death');
+function createParentTypeSelect(currentType) {
+  const select = document.createElement('select');
+  select.className = 'parent-type-select';
+  PARENT_CHILD_RELATIONSHIP_TYPES.forEach(opt => {
+    const option = document.createElement('option');
+    option.value = opt;
+    option.textContent = opt.charAt(0).toUpperCase() + opt.slice(1);
+    if (opt === currentType) option.selected = true;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+// A saved member's parent links with their types. Extra parents (an adoptive
+// father next to the birth father) are linked here, as the chart only offers
+// "Add Father" / "Add Mother" while the child has no parent of that gender.
+function ensureParentLinkEditor(form, memberId, anchorElement) {
+  if (form.querySelector('.parent-link-editor')) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field parent-link-editor';
+  const label = document.createElement('label');
+  label.textContent = 'Parents';
+  const list = document.createElement('div');
+  list.className = 'parent-link-list';
+
+  state.parentChildRels.filter(r => r.child_id === memberId).forEach(rel => {
+    const row = document.createElement('div');
+    row.className = 'parent-link-row';
+    const name = document.createElement('span');
+    name.className = 'parent-link-name';
+    const role = getParentRole(state.members.find(m => m.id === rel.parent_id)?.gender);
+    name.textContent = `${role.charAt(0).toUpperCase() + role.slice(1)}: ${memberName(rel.parent_id)}`;
+    const select = createParentTypeSelect(getParentChildType(rel));
+    select.classList.add('parent-type-select-existing');
+    select.dataset.relId = rel.id;
+    row.appendChild(name);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+
+  const candidates = getParentCandidates(memberId);
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'parent-link-add-btn';
+  addBtn.textContent = '+ Link another parent';
+  addBtn.addEventListener('click', () => list.appendChild(createNewParentLinkRow(candidates)));
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(list);
+  if (candidates.length > 0) wrapper.appendChild(addBtn);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+// Everyone who could become a parent of the member: not themselves, not a
+// current parent and not one of their own descendants
+function getParentCandidates(memberId) {
+  const excluded = new Set([memberId]);
+  state.parentChildRels.filter(r => r.child_id === memberId).forEach(r => excluded.add(r.parent_id));
+  const queue = [memberId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    state.parentChildRels.filter(r => r.parent_id === id && !excluded.has(r.child_id)).forEach(r => {
+      excluded.add(r.child_id);
+      queue.push(r.child_id);
+    });
+  }
+  return state.members
+    .filter(m => !excluded.has(m.id))
+    .map(m => ({ id: m.id, name: memberName(m.id) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function createNewParentLinkRow(candidates) {
+  const row = document.createElement('div');
+  row.className = 'parent-link-row parent-link-new';
+
+  const personSelect = document.createElement('select');
+  personSelect.className = 'parent-link-person';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Choose a person…';
+  personSelect.appendChild(placeholder);
+  candidates.forEach(candidate => {
+    const option = document.createElement('option');
+    option.value = candidate.id;
+    option.textContent = candidate.name;
+    personSelect.appendChild(option);
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'parent-link-remove-btn';
+  removeBtn.title = 'Remove';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(personSelect);
+  row.appendChild(createParentTypeSelect('adoptive'));
+  row.appendChild(removeBtn);
+  return row;
+}
+
+// The parent and partner links the form will save, as rows: new ones, and
+// existing parent links whose type changed (these keep their id). A new member
+// is still datum.id here; toSavedLinkRows swaps in the saved id.
+function readFormLinks(form, datum, existingMember) {
+  const memberId = datum.id;
+  const links = { parentChildRels: [], spousalRels: [] };
+  const addParentLink = (parentId, childId, type = 'biological') => {
+    links.parentChildRels.push({ parent_id: parentId, child_id: childId, relationship_type: type });
+  };
+
+  if (existingMember) {
+    form.querySelectorAll('.parent-type-select-existing').forEach(select => {
+      const rel = state.parentChildRels.find(r => r.id === select.dataset.relId);
+      if (rel && getParentChildType(rel) !== select.value) links.parentChildRels.push({ ...rel, relationship_type: select.value });
+    });
+    form.querySelectorAll('.parent-link-new').forEach(row => {
+      const parentId = row.querySelector('.parent-link-person').value;
+      if (!parentId || state.parentChildRels.some(r => r.parent_id === parentId && r.child_id === memberId)) return;
+      addParentLink(parentId, memberId, row.querySelector('.parent-type-select').value);
+    });
+  } else if (datum._new_rel_data) {
+    const { rel_type: relType, rel_id: relatedId, other_parent_id: otherParentId } = datum._new_rel_data;
+    const parentChildType = form.querySelector('.parent-type-selector-new select')?.value || 'biological';
+    if (relType === 'spouse') {
+      const relSelect = form.querySelector('.relationship-type-select-existing');
+      links.spousalRels.push({
+        person1_id: relatedId,
+        person2_id: memberId,
+        relationship_type: relSelect ? relSelect.value : 'married',
+        ...(relSelect ? readPartnershipDetails(relSelect) : {})
+      });
+    } else if (CHILD_REL_TYPES.includes(relType)) {
+      addParentLink(relatedId, memberId, parentChildType);
+      if (otherParentId) addParentLink(otherParentId, memberId, parentChildType);
+    } else if (PARENT_REL_TYPES.includes(relType)) {
+      addParentLink(memberId, relatedId, parentChildType);
+    }
+  } else {
+    // Placeholder card: the new person takes its place next to real members
+    (datum.rels.children || []).filter(id => id && id.length > 10).forEach(childId => addParentLink(memberId, childId));
+    (datum.rels.spouses || []).filter(id => id && id.length > 10).forEach(spouseId => {
+      links.spousalRels.push({ person1_id: memberId, person2_id: spouseId, relationship_type: 'married' });
+    });
+  }
+  return links;
+}
+
+// The rows createMemberWithLinks / updateMemberWithLinks save: type changes
+// by id, and new links with the new member's id in place of datum.id
+function toSavedLinkRows(links, oldId, memberId) {
+  const savedId = (id) => id === oldId ? memberId : id;
+  const parentChild = [];
+  links.parentChildRels.forEach(rel => {
+    if (rel.id) {
+      parentChild.push({ id: rel.id, relationship_type: rel.relationship_type });
+      return;
+    }
+    const parentId = savedId(rel.parent_id);
+    const childId = savedId(rel.child_id);
+    if (state.parentChildRels.some(r => r.parent_id === parentId && r.child_id === childId)) return;
+    parentChild.push({ parent_id: parentId, child_id: childId, relationship_type: rel.relationship_type });
+  });
+
+  const spousal = links.spousalRels.map(({ person1_id: person1Id, person2_id: person2Id, relationship_type: type, ...details }) => ({
+    person1_id: savedId(person1Id),
+    person2_id: savedId(person2Id),
+    relationship_type: type.toLowerCase(),
+    ...details
+  }));
+  return { parentChild, spousal };
+}
+
+// Edits to partnerships the member already has, as { id, relationship_type,
+// start_date, end_date, place } rows. The partnership with the person a new
+// member is added next to is a new link, read by readFormLinks.
+function readPartnershipChanges(form, datum, memberId, newlyCreatedRelPersonId) {
+  const changes = [];
+  form.querySelectorAll('.relationship-type-select-existing').forEach(select => {
+    const relId = select.dataset.relId;
+    const spouseId = select.dataset.spouseId;
+    const newType = select.value;
+    const details = readPartnershipDetails(select);
+
+    if (newlyCreatedRelPersonId && spouseId === newlyCreatedRelPersonId) return;
+
+    if (!datum.data.spouse_rels) datum.data.spouse_rels = {};
+    datum.data.spouse_rels[spouseId] = newType;
+
+    const rel = relId && relId !== 'undefined' && relId !== 'null'
+      ? state.spousalRels.find(r => r.id === relId)
+      : spouseId && state.spousalRels.find(r =>
+        (r.person1_id === memberId && r.person2_id === spouseId) ||
+        (r.person1_id === spouseId && r.person2_id === memberId)
+      );
+    if (rel && partnershipChanged(rel, newType, details)) changes.push({ id: rel.id, relationship_type: newType, ...details });
+  });
+  return changes;
+}
+
+function upsertById(rows, row) {
+  const index = rows.findIndex(r => r.id === row.id);
+  if (index >= 0) rows[index] = row;
+  else rows.push(row);
+}
+
+// Start/end dates and place shown under each relationship dropdown
+function createPartnershipDetailInputs(name, details) {
+  const row = document.createElement('div');
+  row.className = 'relationship-details';
+  const fields = [
+    { key: 'start', placeholder: 'From (e.g. 12 Jun 1850)', value: formatStoredDate(details.start_date), isDate: true },
+    { key: 'end', placeholder: 'Until', value: formatStoredDate(details.end_date), isDate: true },
+    { key: 'place', placeholder: 'Place', value: details.place || '', isDate: false }
+  ];
+  fields.forEach(field => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = `${name}_${field.key}`;
+    input.className = `relationship-detail-input relationship-${field.key}-input`;
+    input.placeholder = field.placeholder;
+    input.value = field.value;
+    if (field.isDate) input.title = DATE_INPUT_HINT;
+    row.appendChild(input);
+  });
+  return row;
+}
+
+function readPartnershipDetails(select) {
+  const wrapper = select.closest('.f3-form-field');
+  const value = (key) => wrapper?.querySelector(`.relationship-${key}-input`)?.value || '';
+  return createPartnershipColumns({ start: value('start'), end: value('end'), place: value('place') });
+}
+
+function partnershipChanged(rel, type, details) {
+  return rel.relationship_type !== type ||
+    (rel.start_date || null) !== details.start_date ||
+    (rel.end_date || null) !== details.end_date ||
+    (rel.place || null) !== details.place;
+}
+
+function renameFieldLabels(form) {
+  setFieldLabel(form, 'birthday', 'Date of birth');
+  setFieldLabel(form, 'death', 'Date of death');
+  setFieldLabel(form, 'birth place', 'Place of birth');
+  setFieldLabel(form, 'death place', 'Place of death');
+  setFieldLabel(form, 'burial place', 'Place of burial');
+}
+
+// Residences are a repeatable list, so they are edited outside family-chart's fields
+function ensureResidenceEditor(form, datumId) {
+  if (form.querySelector('.residence-editor')) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const datum = state.chart.store.getData().find(d => d.id === datumId);
+  const residences = datum?.data?.residences || [];
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field residence-editor';
+  const label = document.createElement('label');
+  label.textContent = 'Residences';
+  const list = document.createElement('div');
+  list.className = 'residence-list';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'residence-add-btn';
+  addBtn.textContent = '+ Add residence';
+  addBtn.addEventListener('click', () => list.appendChild(createResidenceRow()));
+
+  residences.forEach(residence => list.appendChild(createResidenceRow(residence)));
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(list);
+  wrapper.appendChild(addBtn);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+function createResidenceRow(residence = {}) {
+  const row = document.createElement('div');
+  row.className = 'residence-row';
+
+  const placeInput = document.createElement('input');
+  placeInput.type = 'text';
+  placeInput.name = 'residence_place';
+  placeInput.placeholder = 'Place';
+  placeInput.value = residence.place || '';
+
+  const dateInput = document.createElement('input');
+  dateInput.type = 'text';
+  dateInput.name = 'residence_date';
+  dateInput.placeholder = 'When (e.g. 1950–1962)';
+  dateInput.title = DATE_INPUT_HINT;
+  dateInput.value = residence.date ? formatStoredDate(residence.date) : '';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'residence-remove-btn';
+  removeBtn.title = 'Remove residence';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(placeInput);
+  row.appendChild(dateInput);
+  row.appendChild(removeBtn);
+  return row;
+}
+
+function readResidences(form) {
+  return Array.from(form.querySelectorAll('.residence-row'))
+    .map(row => {
+      const place = row.querySelector('input[name="residence_place"]').value.trim();
+      const { date } = parseGenealogicalDate(row.querySelector('input[name="residence_date"]').value);
+      return { place, date: date ? toGedcomDate(date) : null };
+    })
+    .filter(residence => residence.place);
+}
+
+// Other names (maiden, married, aliases, ...) sit under the primary name fields
+function ensureNameEditor(form, datumId) {
+  if (form.querySelector('.name-editor')) return;
+  const lastNameField = form.querySelector('input[name="last name"]')?.closest('.f3-form-field');
+  const anchorElement = lastNameField?.nextSibling || form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const member = state.members.find(m => m.id === datumId);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field name-editor';
+  const typeLabel = document.createElement('label');
+  typeLabel.textContent = 'This name is the';
+  const typeSelect = createNameTypeSelect(member?.name_type || DEFAULT_NAME_TYPE);
+  typeSelect.classList.add('primary-name-type');
+  const otherLabel = document.createElement('label');
+  otherLabel.textContent = 'Other names';
+  const list = document.createElement('div');
+  list.className = 'other-name-list';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'other-name-add-btn';
+  addBtn.textContent = '+ Add name';
+  addBtn.addEventListener('click', () => list.appendChild(createOtherNameRow(form)));
+
+  normalizeOtherNames(member?.other_names).forEach(name => list.appendChild(createOtherNameRow(form, name)));
+
+  wrapper.appendChild(typeLabel);
+  wrapper.appendChild(typeSelect);
+  wrapper.appendChild(otherLabel);
+  wrapper.appendChild(list);
+  wrapper.appendChild(addBtn);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+function createNameTypeSelect(currentType) {
+  const select = document.createElement('select');
+  select.className = 'name-type-select';
+  Object.entries(NAME_TYPES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    if (value === currentType) option.selected = true;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function createOtherNameRow(form, name = { type: 'married', first_name: '', last_name: '' }) {
+  const row = document.createElement('div');
+  row.className = 'other-name-row';
+
+  const typeSelect = createNameTypeSelect(name.type);
+  const firstInput = document.createElement('input');
+  firstInput.type = 'text';
+  firstInput.className = 'other-name-first';
+  firstInput.placeholder = 'First name';
+  firstInput.value = name.first_name || '';
+  const lastInput = document.createElement('input');
+  lastInput.type = 'text';
+  lastInput.className = 'other-name-last';
+  lastInput.placeholder = 'Last name';
+  lastInput.value = name.last_name || '';
+
+  // Swap this name with the primary one shown on the card
+  const primaryBtn = document.createElement('button');
+  primaryBtn.type = 'button';
+  primaryBtn.className = 'other-name-primary-btn';
+  primaryBtn.title = 'Show this name on the card';
+  primaryBtn.textContent = '★';
+  primaryBtn.addEventListener('click', () => {
+    const primaryFirst = form.querySelector('input[name="first name"]');
+    const primaryLast = form.querySelector('input[name="last name"]');
+    const primaryType = form.querySelector('.primary-name-type');
+    if (!primaryFirst || !primaryLast || !primaryType) return;
+    [primaryFirst.value, firstInput.value] = [firstInput.value, primaryFirst.value];
+    [primaryLast.value, lastInput.value] = [lastInput.value, primaryLast.value];
+    [primaryType.value, typeSelect.value] = [typeSelect.value, primaryType.value];
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'other-name-remove-btn';
+  removeBtn.title = 'Remove name';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(typeSelect);
+  row.appendChild(firstInput);
+  row.appendChild(lastInput);
+  row.appendChild(primaryBtn);
+  row.appendChild(removeBtn);
+  return row;
+}
+
+function readNameHistory(form) {
+  const otherNames = Array.from(form.querySelectorAll('.other-name-row')).map(row => ({
+    type: row.querySelector('.name-type-select').value,
+    first_name: row.querySelector('.other-name-first').value,
+    last_name: row.querySelector('.other-name-last').value
+  }));
+  return {
+    name_type: form.querySelector('.primary-name-type')?.value || DEFAULT_NAME_TYPE,
+    other_names: normalizeOtherNames(otherNames)
+  };
+}
+
+// Left blank, whether someone is living is worked out from their dates
+function ensureLivingStatusField(form, datumId) {
+  if (form.querySelector('.living-status-field')) return;
+  const deathField = form.querySelector('input[name="death"]')?.closest('.f3-form-field');
+  const anchorElement = deathField?.nextSibling || form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const member = state.members.find(m => m.id === datumId);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field living-status-field';
+  const label = document.createElement('label');
+  label.textContent = 'Living status';
+  const select = document.createElement('select');
+  select.className = 'living-status-select';
+
+  const inferred = member ? ` (${isLiving({ ...member, living_status: null }) ? 'living' : 'deceased'})` : '';
+  const autoOption = document.createElement('option');
+  autoOption.value = '';
+  autoOption.textContent = `Work out from dates${inferred}`;
+  select.appendChild(autoOption);
+  Object.entries(LIVING_STATUSES).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = member?.living_status || '';
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(select);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+function readLivingStatus(form) {
+  return form.querySelector('.living-status-select')?.value || null;
+}
+
+// Everyone who shares at least one parent with the member (half siblings included)
+function getSiblingRows(memberId) {
+  const parentIds = state.parentChildRels.filter(r => r.child_id === memberId).map(r => r.parent_id);
+  const siblingIds = new Set(state.parentChildRels
+    .filter(r => parentIds.includes(r.parent_id))
+    .map(r => r.child_id));
+  siblingIds.add(memberId);
+  return sortByBirthOrder(state.members.filter(m => siblingIds.has(m.id)));
+}
+
+// Sibling order (drag or the arrow buttons) and twins, saved with the form
+function ensureBirthOrderEditor(form, datumId) {
+  if (form.querySelector('.birth-order-editor')) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode || !state.members.some(m => m.id === datumId)) return;
+
+  const siblings = getSiblingRows(datumId);
+  if (siblings.length < 2) return;
+  const member = siblings.find(m => m.id === datumId);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field birth-order-editor';
+  const label = document.createElement('label');
+  label.textContent = 'Birth order';
+  const list = document.createElement('ol');
+  list.className = 'birth-order-list';
+  siblings.forEach(sibling => list.appendChild(createBirthOrderItem(sibling, sibling.id === datumId)));
+  enableBirthOrderDrag(list);
+
+  const hint = document.createElement('div');
+  hint.className = 'birth-order-hint';
+  hint.textContent = 'Drag to reorder. Without a manual order, birth dates decide.';
+
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'birth-order-reset-btn';
+  resetBtn.textContent = 'Use birth dates';
+  resetBtn.addEventListener('click', () => {
+    const byDate = sortByBirthOrder(siblings.map(m => ({ ...m, birth_order: null })));
+    byDate.forEach(sibling => list.appendChild(list.querySelector(`[data-member-id="${sibling.id}"]`)));
+    list.dataset.mode = 'dates';
+  });
+
+  const twinLabel = document.createElement('label');
+  twinLabel.textContent = 'Born together with (twins, triplets, ...)';
+  const twinSelect = document.createElement('select');
+  twinSelect.className = 'multiple-birth-select';
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = '—';
+  twinSelect.appendChild(none);
+  siblings.filter(m => m.id !== datumId).forEach(sibling => {
+    const option = document.createElement('option');
+    option.value = sibling.id;
+    option.textContent = memberName(sibling.id);
+    if (member.multiple_birth_group && sibling.multiple_birth_group === member.multiple_birth_group && !twinSelect.value) {
+      option.selected = true;
+    }
+    twinSelect.appendChild(option);
+  });
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(list);
+  wrapper.appendChild(hint);
+  wrapper.appendChild(resetBtn);
+  wrapper.appendChild(twinLabel);
+  wrapper.appendChild(twinSelect);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+function createBirthOrderItem(sibling, isSelf) {
+  const item = document.createElement('li');
+  item.className = `birth-order-item${isSelf ? ' is-self' : ''}`;
+  item.draggable = true;
+  item.dataset.memberId = sibling.id;
+
+  const name = document.createElement('span');
+  name.className = 'birth-order-name';
+  const born = formatStoredDate(sibling.birth_date, sibling.birthday);
+  name.textContent = born ? `${memberName(sibling.id)} (${born})` : memberName(sibling.id);
+  item.appendChild(name);
+
+  [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(([text, step, title]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'birth-order-move-btn';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', () => {
+      const list = item.parentNode;
+      if (step < 0 && item.previousElementSibling) list.insertBefore(item, item.previousElementSibling);
+      if (step > 0 && item.nextElementSibling) list.insertBefore(item.nextElementSibling, item);
+      list.dataset.mode = 'manual';
+    });
+    item.appendChild(btn);
+  });
+  return item;
+}
+
+function enableBirthOrderDrag(list) {
+  let dragged = null;
+  list.addEventListener('dragstart', (event) => {
+    dragged = event.target.closest('.birth-order-item');
+    if (dragged) dragged.classList.add('dragging');
+  });
+  list.addEventListener('dragend', () => {
+    if (dragged) dragged.classList.remove('dragging');
+    dragged = null;
+  });
+  list.addEventListener('dragover', (event) => {
+    if (!dragged) return;
+    event.preventDefault();
+    const after = Array.from(list.querySelectorAll('.birth-order-item:not(.dragging)'))
+      .find(item => event.clientY < item.getBoundingClientRect().top + item.offsetHeight / 2);
+    list.insertBefore(dragged, after || null);
+    list.dataset.mode = 'manual';
+  });
+}
+
+// Birth order and multiple-birth changes the form makes, as { id, ...columns }
+// rows for the person and their siblings
+function readBirthOrderChanges(form, memberId) {
+  const list = form.querySelector('.birth-order-list');
+  if (!list) return [];
+  const changes = new Map();
+  const change = (id, columns) => changes.set(id, { ...changes.get(id), ...columns });
+
+  // A manual order numbers every sibling, so it also holds for undated ones
+  if (list.dataset.mode) {
+    const order = Array.from(list.querySelectorAll('.birth-order-item')).map(item => item.dataset.memberId);
+    order.forEach((id, index) => {
+      const row = state.members.find(m => m.id === id);
+      const birthOrder = list.dataset.mode === 'manual' ? index + 1 : null;
+      if (row && (row.birth_order ?? null) !== birthOrder) change(id, { birth_order: birthOrder });
+    });
+  }
+
+  const member = state.members.find(m => m.id === memberId);
+  if (member) {
+    const twin = state.members.find(m => m.id === form.querySelector('.multiple-birth-select')?.value);
+    const oldGroup = member.multiple_birth_group || null;
+    const group = twin ? (twin.multiple_birth_group || oldGroup || crypto.randomUUID()) : null;
+
+    if (twin && twin.multiple_birth_group !== group) change(twin.id, { multiple_birth_group: group });
+    if (oldGroup !== group) change(member.id, { multiple_birth_group: group });
+
+    // A "multiple birth" of one is just a birth
+    if (oldGroup && group !== oldGroup) {
+      const left = state.members.filter(m => m.id !== member.id && m.multiple_birth_group === oldGroup);
+      if (left.length === 1) change(left[0].id, { multiple_birth_group: null });
+    }
+  }
+
+  return [...changes].map(([id, columns]) => ({ id, ...columns }));
+}
+
+// Custom fields are defined per tree, so their inputs are added here rather than through setFields
+function ensureCustomFieldInputs(form, datumId) {
+  if (state.customFields.length === 0 || form.querySelector('.custom-field')) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const datum = state.chart.store.getData().find(d => d.id === datumId);
+  const values = datum?.data?.['custom fields'] || {};
+
+  state.customFields.forEach(field => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'f3-form-field custom-field';
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const input = createCustomFieldInput(field, formatCustomFieldValue(field, values[field.field_key]));
+    input.id = `custom-field-${field.field_key}`;
+    label.htmlFor = input.id;
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+  });
+}
+
+function createCustomFieldInput(field, value) {
+  let input;
+  if (field.field_type === 'long_text') {
+    input = document.createElement('textarea');
+    input.rows = 3;
+  } else if (field.field_type === 'select') {
+    input = document.createElement('select');
+    const options = ['', ...(field.options || [])];
+    if (value && !options.includes(value)) options.push(value);
+    options.forEach(opt => {
+      const option = document.createElement('option');
+      option.value = opt;
+      option.textContent = opt || '—';
+      input.appendChild(option);
+    });
+  } else {
+    input = document.createElement('input');
+    input.type = field.field_type === 'number' ? 'number' : 'text';
+    if (field.field_type === 'number') input.step = 'any';
+    input.placeholder = customFieldPlaceholder(field);
+    if (input.placeholder) input.title = input.placeholder;
+  }
+  input.dataset.fieldKey = field.field_key;
+  input.value = value;
+  return input;
+}
+
+/**
+ * Read and validate the custom field inputs
+ * Returns the custom_fields column value, or null after alerting about an invalid value.
+ */
+function readCustomFieldsFromForm(form, existingMember) {
+  const rawValues = {};
+  form.querySelectorAll('.custom-field [data-field-key]').forEach(input => {
+    rawValues[input.dataset.fieldKey] = input.value;
+  });
+  // Fields whose inputs are missing keep their stored value
+  const definitions = state.customFields.filter(field => field.field_key in rawValues);
+  const { values, errors } = readCustomFieldValues(definitions, rawValues, existingMember?.custom_fields);
+  if (errors.length > 0) {
+    alert(errors[0].message);
+    form.querySelector(`[data-field-key="${errors[0].key}"]`)?.focus();
+    return null;
+  }
+  return values;
 }
 
 function setFieldLabel(form, fieldName, labelText) {
@@ -841,23 +1776,97 @@ function applyDefaultGenderIfNeeded(form) {
   if (genderText) genderText.value = FIRST_PERSON_DEFAULT_GENDER;
 }
 
-function validateYearFields(form) {
+function validateDateFields(form) {
   const birthdayInput = form.querySelector('input[name="birthday"]');
   const deathInput = form.querySelector('input[name="death"]');
   const validate = (input, name) => {
     if (!input || !input.value) return true;
-    if (!/^\d{4}$/.test(input.value.trim())) {
-      alert(`${name} must be exactly 4 digits`);
+    const { error } = parseGenealogicalDate(input.value);
+    if (error) {
+      alert(`${name}: ${error}`);
       input.focus();
       return false;
     }
     return true;
   };
-  if (!validate(birthdayInput, 'Year of birth')) return false;
-  if (!validate(deathInput, 'Year of death')) return false;
+  if (!validate(birthdayInput, 'Date of birth')) return false;
+  if (!validate(deathInput, 'Date of death')) return false;
+  for (const input of form.querySelectorAll('input[name="residence_date"]')) {
+    if (!validate(input, 'Residence date')) return false;
+  }
+  for (const row of form.querySelectorAll('.relationship-details')) {
+    const startInput = row.querySelector('.relationship-start-input');
+    const endInput = row.querySelector('.relationship-end-input');
+    if (!validate(startInput, 'Partnership start')) return false;
+    if (!validate(endInput, 'Partnership end')) return false;
+    const start = parseGenealogicalDate(startInput.value).date;
+    const end = parseGenealogicalDate(endInput.value).date;
+    if (start && end && compareGenealogicalDates(end, start) < 0) {
+      alert('A partnership cannot end before it starts.');
+      endInput.focus();
+      return false;
+    }
+  }
   return true;
 }
 
+function readNewMember(form, formProps, datum, customFields) {
+  const memberData = createMemberData(state.treeId, formProps);
+  memberData.gender = formProps.gender || datum.data.gender;
+  memberData.residences = readResidences(form);
+  Object.assign(memberData, readNameHistory(form));
+  memberData.living_status = readLivingStatus(form);
+  memberData.custom_fields = customFields;
+  return memberData;
+}
+
+function readMemberUpdates(form, formProps, customFields) {
+  return {
+    first_name: formProps['first name'],
+    last_name: formProps['last name'],
+    ...createDateColumns(formProps),
+    ...createPlaceColumns(formProps),
+    ...readNameHistory(form),
+    living_status: readLivingStatus(form),
+    residences: readResidences(form),
+    custom_fields: customFields,
+    gender: formProps['gender']
+  };
+}
+
+// Relationship and date checks on the tree as the form would leave it. Errors
+// stop the save; warnings stop it once, and saving again with the same
+// warnings goes ahead.
+function checkFormChanges(form, member, links) {
+  const { errors, warnings } = validateChanges(
+    getLiveTree(),
+    { members: [member], ...links },
+    { nameOf: (id) => id === member.id ? formatPersonName(member) || 'This person' : memberName(id) }
+  );
+  const warningKey = warnings.map(w => w.message).join('\n');
+  const proceed = errors.length === 0 && (warnings.length === 0 || form.dataset.acceptedWarnings === warningKey);
+  form.dataset.acceptedWarnings = errors.length === 0 ? warningKey : '';
+
+  form.querySelector('.validation-messages')?.remove();
+  if (proceed) return true;
+
+  const box = document.createElement('div');
+  box.className = 'validation-messages';
+  box.innerHTML = `
+    <ul>
+      ${errors.map(issue => `<li class="validation-error">${escapeHtml(issue.message)}</li>`).join('')}
+      ${warnings.map(issue => `<li class="validation-warning">${escapeHtml(issue.message)}</li>`).join('')}
+    </ul>
+    <p class="validation-note">${errors.length > 0
+      ? 'Fix the problems above to save.'
+      : 'These look unlikely. Save again to keep them.'}</p>
+  `;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  anchorElement.parentNode.insertBefore(box, anchorElement);
+  box.scrollIntoView({ block: 'nearest' });
+  return false;
+}
+
 // -----------------------------------------------------------------------------
 // Full Tree & God Mode Logic
 // -----------------------------------------------------------------------------
@@ -872,10 +1881,11 @@ function handleShowFullTree() {
   }
   state.editApi.closeForm();
 
+  const visible = getVisibleTree();
   const sourceMembers = transformDatabaseToFamilyChart(
-    state.members,
+    visible.members,
     state.parentChildRels,
-    state.spousalRels
+    visible.spousalRels
   );
 
   const { levelMap, minLevel } = calculateStructuralLevels(sourceMembers);
@@ -945,7 +1955,13 @@ function buildStrictTreeData(members, levelMap, globalMinLevel) {
   const outputNodesMap = new Map();
   outputNodesMap.set(godId, godNode);
 
-  let roots = members.filter(m => !m.rels.parents || m.rels.parents.length === 0);
+  // People without parents start a branch, unless they married into the tree:
+  // those are drawn next to their partner instead of on a branch of their own
+  const hasParents = (m) => m.rels.parents && m.rels.parents.length > 0;
+  const membersById = new Map(members.map(m => [m.id, m]));
+  let roots = members.filter(m =>
+    !hasParents(m) && !(m.rels.spouses || []).some(sid => membersById.get(sid) && hasParents(membersById.get(sid)))
+  );
   roots.sort((a, b) => (b.rels.children?.length || 0) - (a.rels.children?.length || 0));
 
   const queue = [];
@@ -1000,6 +2016,7 @@ function buildStrictTreeData(members, levelMap, globalMinLevel) {
     const parent = queue.shift();
     if (!parent.rels.children) continue;
 
+    // Already in birth order (see transformDatabaseToFamilyChart), which is kept here
     const realChildrenIds = parent.rels.children;
     parent.rels.children = []; 
 
@@ -1030,17 +2047,1973 @@ function buildStrictTreeData(members, levelMap, globalMinLevel) {
 }
 
 // -----------------------------------------------------------------------------
-// Utilities
+// Find person (searches every name, not only the one on the card)
 // -----------------------------------------------------------------------------
 
-function findYoungestDescendantId(members, relationships) {
-  if (!members || members.length === 0) return null;
-  const depths = {};
-  members.forEach(m => depths[m.id] = 0);
-  let changed = true;
-  let iterations = 0;
-  while (changed && iterations < 100) {
-    changed = false;
+function openFindPersonPanel() {
+  const container = document.createElement('div');
+  container.className = 'find-person';
+  container.innerHTML = `
+    <input type="text" class="find-person-search" placeholder="Name, maiden name, alias...">
+    <ul class="find-person-results"></ul>
+  `;
+  const searchInput = container.querySelector('.find-person-search');
+  const resultsEl = container.querySelector('.find-person-results');
+
+  const render = () => {
+    const query = searchInput.value.trim();
+    if (!query) {
+      resultsEl.innerHTML = '';
+      return;
+    }
+    const results = searchMembersByName(getVisibleTree().members.filter(m => !m.is_private), query);
+    if (results.length === 0) {
+      resultsEl.innerHTML = '<li class="find-person-empty">Nobody in this tree goes by that name.</li>';
+      return;
+    }
+    resultsEl.innerHTML = results.map(({ member, name }) => {
+      const born = formatStoredDate(member.birth_date, member.birthday);
+      const matched = name.primary ? '' : ` <span class="find-person-matched">${escapeHtml(NAME_TYPES[name.type])}: ${escapeHtml(formatPersonName(name))}</span>`;
+      return `<li><a href="#" data-member-id="${escapeHtml(member.id)}">${escapeHtml(memberName(member.id))}</a>${born ? ` <span class="find-person-born">b. ${escapeHtml(born)}</span>` : ''}${matched}</li>`;
+    }).join('');
+  };
+
+  resultsEl.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-member-id]');
+    if (!link) return;
+    e.preventDefault();
+    modal.close();
+    focusPerson(link.dataset.memberId);
+  });
+  searchInput.addEventListener('input', render);
+
+  const modal = openModal({ title: 'Find Person', body: container, actions: [{ label: 'Close', value: null }] });
+  searchInput.focus();
+}
+
+// -----------------------------------------------------------------------------
+// Accounts & roles
+// -----------------------------------------------------------------------------
+
+// Viewers (and anyone signed out) get the chart without edit controls
+function renderAccountStatus() {
+  const { user, role, canEdit } = state.access;
+  const viewLink = state.link?.permission === 'view';
+  document.body.classList.toggle('read-only', !canEdit);
+  document.body.classList.toggle('is-owner', role === 'owner');
+
+  // People who came in through a share link never get the tree code, which
+  // would outlast the link
+  const codeGroup = document.querySelector('.tree-code-container');
+  if (codeGroup) codeGroup.hidden = !!state.link;
+  const codeHelper = document.querySelector('.tree-code-helper');
+  if (codeHelper) codeHelper.hidden = !!state.link;
+
+  const statusEl = document.getElementById('accountStatus');
+  if (statusEl) {
+    statusEl.textContent = user
+      ? `${user.email} · ${role ? TREE_ROLES[role] : 'No access'}`
+      : 'Not signed in';
+  }
+  const signInBtn = document.getElementById('signInBtn');
+  if (signInBtn) signInBtn.hidden = !!user || viewLink;
+  const signOutBtn = document.getElementById('signOutBtn');
+  if (signOutBtn) signOutBtn.hidden = !user;
+  const membersBtn = document.getElementById('membersBtn');
+  if (membersBtn) membersBtn.hidden = !role;
+
+  const instructionEl = document.querySelector('.instruction-text');
+  if (instructionEl) {
+    if (canEdit) instructionEl.textContent = 'Click on a member to build or edit your tree';
+    else if (viewLink) instructionEl.textContent = 'This is a read-only link: you can look around the tree but not change it.';
+    else if (state.link?.permission === 'edit' && !user) instructionEl.textContent = 'This link lets you edit the tree. Sign in to start.';
+    else if (user) instructionEl.textContent = 'You can view this tree. Ask one of its owners for edit access.';
+    else instructionEl.textContent = 'You are viewing this tree. Sign in to help build it.';
+  }
+}
+
+async function handleSignOut() {
+  const res = await getAuth().signOut();
+  if (!res.success) alert('Could not sign out: ' + res.error);
+}
+
+async function openMembersPanel() {
+  const container = document.createElement('div');
+  container.className = 'tree-members';
+
+  const render = async () => {
+    const res = await getTreeMembers(state.treeId);
+    if (!res.success) {
+      container.innerHTML = `<p class="tree-members-hint">Could not load the members of this tree: ${escapeHtml(res.error)}</p>`;
+      return;
+    }
+    const isOwner = state.access.role === 'owner';
+    const rows = res.data.map(membership => {
+      const isSelf = membership.user_id === state.access.user?.id;
+      const email = `${escapeHtml(membership.email || 'Unknown')}${isSelf ? ' (you)' : ''}`;
+      const roleControl = isOwner
+        ? `<select class="tree-member-role" data-membership-id="${escapeHtml(membership.id)}">${Object.entries(TREE_ROLES)
+            .map(([value, label]) => `<option value="${value}"${value === membership.role ? ' selected' : ''}>${label}</option>`)
+            .join('')}</select>`
+        : `<span class="tree-member-role-label">${TREE_ROLES[membership.role]}</span>`;
+      const removeBtn = isOwner && !isSelf
+        ? `<button type="button" class="tree-member-remove" data-membership-id="${escapeHtml(membership.id)}">Remove</button>`
+        : '';
+      return `<li class="tree-member"${isSelf ? ' data-self="true"' : ''}><span class="tree-member-email">${email}</span>${roleControl}${removeBtn}</li>`;
+    }).join('');
+
+    container.innerHTML = `
+      <p class="tree-members-hint">People join as viewers when they open this tree while signed in.
+        ${isOwner ? 'Make them editors to let them change it, or owners to let them manage members too.' : 'Owners can change roles.'}</p>
+      <ul class="tree-members-list">${rows}</ul>
+    `;
+  };
+
+  container.addEventListener('change', async (e) => {
+    const select = e.target.closest('.tree-member-role');
+    if (!select) return;
+    const res = await updateTreeMemberRole(select.dataset.membershipId, select.value);
+    if (!res.success) alert('Could not change the role: ' + res.error);
+    // Changing your own role changes what this page lets you do
+    if (res.success && select.closest('.tree-member').dataset.self) {
+      await loadAccess();
+      state.editApi?.closeForm();
+      refreshChartUI();
+    }
+    await render();
+  });
+
+  container.addEventListener('click', async (e) => {
+    const removeBtn = e.target.closest('.tree-member-remove');
+    if (!removeBtn) return;
+    if (!confirm('Remove this person from the tree? They can still view it with the tree code.')) return;
+    const res = await removeTreeMember(removeBtn.dataset.membershipId);
+    if (!res.success) alert('Could not remove them: ' + res.error);
+    await render();
+  });
+
+  openModal({ title: 'Members', body: container, actions: [{ label: 'Close', value: null }] });
+  await render();
+}
+
+// Share links: view-only or edit tokens that can be rotated or revoked one by one
+async function openShareLinksPanel() {
+  const container = document.createElement('div');
+  container.className = 'share-links';
+  container.innerHTML = `
+    <p class="share-links-hint">${state.treeCode ? `The tree code <strong>${escapeHtml(state.treeCode)}</strong> lets anyone view the tree
+      and join it as a viewer. ` : ''}Share links can be limited to viewing, can expire, and can be revoked without affecting each other.</p>
+    <ul class="share-link-list"></ul>
+    <div class="share-link-new">
+      <label for="shareLinkLabel">New link</label>
+      <input type="text" id="shareLinkLabel" placeholder="Label, e.g. cousins WhatsApp group" maxlength="100">
+      <div class="share-link-new-row">
+        <select id="shareLinkPermission">${Object.entries(SHARE_PERMISSIONS)
+          .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('')}</select>
+        <input type="date" id="shareLinkExpiry" title="Expires at the end of this day (optional)">
+        <button type="button" class="share-link-create">Create link</button>
+      </div>
+    </div>
+  `;
+  const listEl = container.querySelector('.share-link-list');
+
+  const render = async () => {
+    const res = await getShareTokens(state.treeId);
+    if (!res.success) {
+      listEl.innerHTML = `<li class="share-link-empty">Could not load share links: ${escapeHtml(res.error)}</li>`;
+      return;
+    }
+    if (res.data.length === 0) {
+      listEl.innerHTML = '<li class="share-link-empty">No share links yet.</li>';
+      return;
+    }
+    listEl.innerHTML = res.data.map(token => `
+      <li class="share-link${isShareTokenExpired(token) ? ' share-link-expired' : ''}" data-token-id="${escapeHtml(token.id)}">
+        <div class="share-link-title">
+          <strong>${escapeHtml(token.label || 'Untitled link')}</strong>
+          <span class="share-link-meta">${escapeHtml(SHARE_PERMISSIONS[token.permission])} · ${escapeHtml(formatShareExpiry(token))}</span>
+        </div>
+        <div class="share-link-row">
+          <input type="text" class="share-link-url" readonly value="${escapeHtml(buildShareUrl(token.token))}">
+          <button type="button" class="share-link-copy">Copy</button>
+          <button type="button" class="share-link-rotate" title="Replace the link; the old address stops working">Rotate</button>
+          <button type="button" class="share-link-revoke">Revoke</button>
+        </div>
+      </li>
+    `).join('');
+  };
+
+  container.querySelector('.share-link-create').addEventListener('click', async () => {
+    const expiry = container.querySelector('#shareLinkExpiry').value;
+    const res = await createShareToken(state.treeId, {
+      token: generateShareToken(),
+      permission: container.querySelector('#shareLinkPermission').value,
+      label: container.querySelector('#shareLinkLabel').value.trim() || null,
+      expires_at: expiry ? new Date(`${expiry}T23:59:59`).toISOString() : null
+    });
+    if (!res.success) {
+      alert('Could not create the link: ' + res.error);
+      return;
+    }
+    container.querySelector('#shareLinkLabel').value = '';
+    container.querySelector('#shareLinkExpiry').value = '';
+    await render();
+  });
+
+  listEl.addEventListener('click', async (e) => {
+    const item = e.target.closest('.share-link');
+    if (!item) return;
+    const tokenId = item.dataset.tokenId;
+
+    if (e.target.closest('.share-link-copy')) {
+      navigator.clipboard.writeText(item.querySelector('.share-link-url').value);
+      e.target.textContent = 'Copied';
+      setTimeout(() => { e.target.textContent = 'Copy'; }, 1500);
+    } else if (e.target.closest('.share-link-rotate')) {
+      if (!confirm('Replace this link with a new one? The current address stops working; people who already joined through it keep their access.')) return;
+      const res = await rotateShareToken(tokenId, generateShareToken());
+      if (!res.success) alert('Could not rotate the link: ' + res.error);
+      await render();
+    } else if (e.target.closest('.share-link-revoke')) {
+      if (!confirm('Revoke this link? It stops working, and anyone who became an editor through it loses edit access.')) return;
+      const res = await deleteShareToken(tokenId);
+      if (!res.success) alert('Could not revoke the link: ' + res.error);
+      await render();
+    }
+  });
+
+  openModal({ title: 'Share links', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+  await render();
+}
+
+// -----------------------------------------------------------------------------
+// Living people & privacy
+// -----------------------------------------------------------------------------
+
+function canEditTree() {
+  return state.access.canEdit && !state.previewAsViewer;
+}
+
+function hidesLivingPeople() {
+  return !!state.tree?.hide_living && !canEditTree();
+}
+
+// People and links outside the recycle bin, unmasked, for checking edits against
+function getLiveTree() {
+  return { members: state.members, parentChildRels: state.parentChildRels, spousalRels: state.spousalRels };
+}
+
+// The tree as the current viewer may see it; used for the chart and every export
+function getVisibleTree() {
+  return applyPrivacy(
+    {
+      members: state.members,
+      parentChildRels: state.parentChildRels,
+      spousalRels: state.spousalRels,
+      citations: state.citations
+    },
+    { hideLiving: !!state.tree?.hide_living, canSeeLiving: canEditTree() }
+  );
+}
+
+function visibleMember(memberId) {
+  const member = state.members.find(m => m.id === memberId);
+  return member && hidesLivingPeople() && isLiving(member) ? maskMember(member) : member;
+}
+
+function openPrivacyPanel() {
+  const container = document.createElement('div');
+  container.className = 'privacy-settings';
+  container.innerHTML = `
+    <label class="privacy-option">
+      <input type="checkbox" class="privacy-hide-living"${state.tree?.hide_living ? ' checked' : ''}${state.access.role === 'owner' ? '' : ' disabled'}>
+      Hide living people from viewers
+    </label>
+    <p class="privacy-hint">Only owners can change this. Anyone without edit access sees living people as "Private", on the chart and in GEDCOM, CSV and backup exports.
+      People count as living when no death or burial is recorded and they were born in the last 100 years, or have no birth date.
+      Set "Living status" in the edit form to override this.</p>
+    <label class="privacy-option">
+      <input type="checkbox" class="privacy-preview"${state.previewAsViewer ? ' checked' : ''}>
+      Preview the tree as a viewer
+    </label>
+  `;
+  const hideLivingInput = container.querySelector('.privacy-hide-living');
+  const previewInput = container.querySelector('.privacy-preview');
+
+  hideLivingInput.addEventListener('change', async () => {
+    hideLivingInput.disabled = true;
+    const res = await updateFamilyTree(state.treeId, { hide_living: hideLivingInput.checked });
+    hideLivingInput.disabled = false;
+    if (!res.success) {
+      hideLivingInput.checked = !hideLivingInput.checked;
+      alert('Could not save the privacy setting: ' + res.error);
+      return;
+    }
+    state.tree = res.data;
+    refreshChartUI();
+  });
+
+  previewInput.addEventListener('change', () => {
+    state.previewAsViewer = previewInput.checked;
+    state.editApi?.closeForm();
+    document.getElementById('privacyBtn')?.classList.toggle('btn-action-active', state.previewAsViewer);
+    refreshChartUI();
+  });
+
+  openModal({
+    title: 'Privacy',
+    body: container,
+    actions: [{ label: 'Close', value: null }]
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Place index
+// -----------------------------------------------------------------------------
+
+function openPlacesPanel() {
+  const container = document.createElement('div');
+  container.className = 'place-index';
+  container.innerHTML = `
+    <input type="text" class="place-index-search" placeholder="Filter places...">
+    <div class="place-index-list"></div>
+  `;
+  const listEl = container.querySelector('.place-index-list');
+  const searchInput = container.querySelector('.place-index-search');
+
+  const render = () => {
+    const filter = searchInput.value.trim().toLowerCase();
+    const places = buildPlaceIndex(getVisibleTree().members)
+      .filter(place => !filter || place.variants.some(v => v.spelling.toLowerCase().includes(filter)));
+
+    if (places.length === 0) {
+      listEl.innerHTML = '<p class="place-index-empty">No places recorded yet. Add birth, death, burial or residence places in the edit form.</p>';
+      return;
+    }
+
+    listEl.innerHTML = places.map(place => {
+      const people = place.people.map(entry => {
+        const member = state.members.find(m => m.id === entry.memberId);
+        const name = member ? `${member.first_name || ''} ${member.last_name || ''}`.trim() || 'Unknown' : 'Unknown';
+        const when = entry.date ? ` (${formatStoredDate(entry.date)})` : '';
+        return `<li><span class="place-index-role">${PLACE_ROLES[entry.role]}${escapeHtml(when)}</span>
+          <a href="#" data-member-id="${escapeHtml(entry.memberId)}">${escapeHtml(name)}</a></li>`;
+      }).join('');
+      const otherSpellings = place.variants.slice(1).map(v => escapeHtml(v.spelling)).join(', ');
+      const standardize = place.variants.length > 1 && canEditTree()
+        ? `<p class="place-index-variants">Also written: ${otherSpellings}
+             <button type="button" class="place-index-standardize" data-place-key="${escapeHtml(place.key)}">Use "${escapeHtml(place.name)}" everywhere</button></p>`
+        : '';
+      return `<details class="place-index-item">
+          <summary>${escapeHtml(place.name)} <span class="place-index-count">${place.people.length}</span></summary>
+          ${standardize}
+          <ul>${people}</ul>
+        </details>`;
+    }).join('');
+  };
+
+  listEl.addEventListener('click', async (e) => {
+    const link = e.target.closest('a[data-member-id]');
+    if (link) {
+      e.preventDefault();
+      modal.close();
+      focusPerson(link.dataset.memberId);
+      return;
+    }
+    const standardizeBtn = e.target.closest('.place-index-standardize');
+    if (standardizeBtn) {
+      const place = buildPlaceIndex(state.members).find(p => p.key === standardizeBtn.dataset.placeKey);
+      if (place) {
+        await standardizePlaceSpelling(place);
+        render();
+      }
+    }
+  });
+  searchInput.addEventListener('input', render);
+
+  render();
+  const modal = openModal({ title: 'Places', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+}
+
+async function standardizePlaceSpelling(place) {
+  const spellings = place.variants.map(v => v.spelling);
+  const memberIds = [...new Set(place.people.map(entry => entry.memberId))];
+
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Updating places...");
+
+    for (const memberId of memberIds) {
+      const member = state.members.find(m => m.id === memberId);
+      const updates = member && buildPlaceRenameUpdates(member, spellings, place.name);
+      if (!updates) continue;
+
+      const res = await updateFamilyMember(memberId, updates);
+      if (!res.success) throw new Error(res.error);
+      Object.assign(member, updates);
+    }
+    refreshChartUI();
+  } catch (err) {
+    console.error('Place update failed', err);
+    alert('Failed to update some places. Please try again.');
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Media (photos & documents)
+// -----------------------------------------------------------------------------
+
+function updateCardAvatar(cardInner, avatarMediaId) {
+  const url = avatarMediaId ? state.mediaUrls.get(avatarMediaId) : null;
+  let img = cardInner.querySelector('.card-avatar');
+  if (!url) {
+    img?.remove();
+    cardInner.classList.remove('has-avatar');
+    return;
+  }
+  if (!img) {
+    img = document.createElement('img');
+    img.className = 'card-avatar';
+    img.alt = '';
+    cardInner.prepend(img);
+  }
+  if (img.getAttribute('src') !== url) img.src = url;
+  cardInner.classList.add('has-avatar');
+}
+
+// The gallery saves immediately, so it is only offered once the person exists
+function ensureMediaGallery(form, datumId) {
+  if (form.querySelector('.media-gallery')) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field media-gallery';
+  const label = document.createElement('label');
+  label.textContent = 'Photos & documents';
+  wrapper.appendChild(label);
+
+  if (!state.members.some(m => m.id === datumId)) {
+    const note = document.createElement('p');
+    note.className = 'media-empty';
+    note.textContent = 'Save this person first to attach photos and documents.';
+    wrapper.appendChild(note);
+    anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+    return;
+  }
+
+  const grid = document.createElement('div');
+  grid.className = 'media-grid';
+  grid.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button) handleMediaAction(grid, datumId, button.closest('.media-tile').dataset.mediaId, button.dataset.action);
+  });
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'media-add-btn';
+  addBtn.textContent = '+ Add photo or document';
+  addBtn.addEventListener('click', () => handleMediaUpload(grid, datumId));
+
+  wrapper.appendChild(grid);
+  wrapper.appendChild(addBtn);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+  renderMediaGrid(grid, datumId);
+}
+
+function renderMediaGrid(grid, memberId) {
+  const member = state.members.find(m => m.id === memberId);
+  const items = state.media.filter(item => item.member_id === memberId);
+  if (items.length === 0) {
+    grid.innerHTML = '<p class="media-empty">No files attached yet.</p>';
+    return;
+  }
+
+  grid.innerHTML = items.map(item => {
+    const url = state.mediaUrls.get(item.id) || '';
+    const isAvatar = member?.avatar_media_id === item.id;
+    let preview = '<span class="media-file-icon">PDF</span>';
+    if (!url) preview = '<span class="media-file-icon" title="This file is not available in this browser">?</span>';
+    else if (isImageMedia(item)) preview = `<img src="${escapeHtml(url)}" alt="${escapeHtml(item.caption || item.file_name)}">`;
+    const avatarBtn = isImageMedia(item)
+      ? `<button type="button" data-action="avatar">${isAvatar ? 'Portrait ✓' : 'Use as portrait'}</button>`
+      : '';
+    return `<div class="media-tile${isAvatar ? ' is-avatar' : ''}" data-media-id="${escapeHtml(item.id)}">
+        <a class="media-preview" href="${escapeHtml(url)}" target="_blank" rel="noopener">${preview}</a>
+        <span class="media-name" title="${escapeHtml(`${item.file_name} (${formatFileSize(item.size_bytes)})`)}">${escapeHtml(item.caption || item.file_name)}</span>
+        <div class="media-actions">
+          ${avatarBtn}
+          <button type="button" data-action="caption">Caption</button>
+          <button type="button" data-action="delete" class="media-delete-btn" title="Delete file">×</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+async function handleMediaUpload(grid, memberId) {
+  const file = await pickFile(MEDIA_ACCEPT);
+  if (!file) return;
+  const error = validateMediaFile(file);
+  if (error) {
+    alert(error);
+    return;
+  }
+
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Uploading...");
+
+    const res = await uploadMemberMedia(state.treeId, memberId, file);
+    if (!res.success) throw new Error(res.error);
+    state.media.push(res.data);
+    const urls = await resolveMediaUrls([res.data]);
+    urls.forEach((url, id) => state.mediaUrls.set(id, url));
+
+    // The first photo becomes the portrait automatically
+    const member = state.members.find(m => m.id === memberId);
+    if (member && !member.avatar_media_id && isImageMedia(res.data)) {
+      await setMemberAvatar(member, res.data.id);
+    }
+    renderMediaGrid(grid, memberId);
+  } catch (err) {
+    console.error('Upload failed', err);
+    alert('Failed to upload the file. Please try again.');
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+async function handleMediaAction(grid, memberId, mediaId, action) {
+  const item = state.media.find(m => m.id === mediaId);
+  const member = state.members.find(m => m.id === memberId);
+  if (!item || !member) return;
+
+  try {
+    state.isSaving = true;
+
+    if (action === 'avatar') {
+      await setMemberAvatar(member, member.avatar_media_id === item.id ? null : item.id);
+    } else if (action === 'caption') {
+      const caption = prompt('Caption for this file:', item.caption || '');
+      if (caption === null) return;
+      const res = await updateMemberMedia(item.id, { caption: caption.trim() || null });
+      if (!res.success) throw new Error(res.error);
+      item.caption = res.data.caption;
+    } else if (action === 'delete') {
+      if (!confirm(`Delete "${item.caption || item.file_name}"?`)) return;
+      toggleLoading(true, "Deleting...");
+      const res = await deleteMediaItems([item]);
+      if (!res.success) throw new Error(res.error);
+      state.media = state.media.filter(m => m.id !== item.id);
+      state.mediaUrls.delete(item.id);
+      // The database clears avatar_media_id on delete; mirror that locally
+      if (member.avatar_media_id === item.id) {
+        member.avatar_media_id = null;
+        refreshChartUI();
+      }
+    }
+    renderMediaGrid(grid, memberId);
+  } catch (err) {
+    console.error('Media update failed', err);
+    alert('Failed to update the file. Please try again.');
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+async function setMemberAvatar(member, mediaId) {
+  const res = await updateFamilyMember(member.id, { avatar_media_id: mediaId });
+  if (!res.success) throw new Error(res.error);
+  member.avatar_media_id = mediaId;
+  refreshChartUI();
+}
+
+// -----------------------------------------------------------------------------
+// Sources & citations
+// -----------------------------------------------------------------------------
+
+function updateCitationBadge(cardInner, memberId) {
+  const count = state.citationCounts.get(memberId) || 0;
+  let badge = cardInner.querySelector('.card-citation-badge');
+  if (count === 0) {
+    badge?.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'card-citation-badge';
+    cardInner.appendChild(badge);
+  }
+  badge.textContent = count;
+  badge.title = `${count} source citation${count === 1 ? '' : 's'}`;
+}
+
+// Editors also see the names of people in the recycle bin (in history, for example)
+function memberName(memberId) {
+  const member = visibleMember(memberId) ||
+    (canEditTree() ? state.recycleBin.members.find(m => m.id === memberId) : null);
+  return member ? `${member.first_name || ''} ${member.last_name || ''}`.trim() || 'Unknown' : 'Unknown';
+}
+
+// Citations are saved immediately, so like the gallery they need a saved person
+function ensureSourcesSection(form, datumId) {
+  if (form.querySelector('.sources-section')) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'f3-form-field sources-section';
+  const label = document.createElement('label');
+  label.textContent = 'Sources';
+  wrapper.appendChild(label);
+
+  if (!state.members.some(m => m.id === datumId)) {
+    const note = document.createElement('p');
+    note.className = 'citation-empty';
+    note.textContent = 'Save this person first to cite sources.';
+    wrapper.appendChild(note);
+    anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+    return;
+  }
+
+  const list = document.createElement('div');
+  list.className = 'citation-list';
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="delete"]');
+    if (!button) return;
+    const citation = state.citations.find(c => c.id === button.closest('.citation-row').dataset.citationId);
+    if (!citation || !confirm('Remove this citation?')) return;
+
+    const res = await deleteCitations([citation.id]);
+    if (!res.success) {
+      alert('Failed to remove the citation. Please try again.');
+      return;
+    }
+    state.citations = state.citations.filter(c => c.id !== citation.id);
+    renderCitationList(list, datumId);
+    refreshChartUI();
+  });
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'citation-add-btn';
+  addBtn.textContent = '+ Cite a source';
+  addBtn.addEventListener('click', async () => {
+    const citation = await openCitationDialog(datumId);
+    if (!citation) return;
+    renderCitationList(list, datumId);
+    refreshChartUI();
+  });
+
+  wrapper.appendChild(list);
+  wrapper.appendChild(addBtn);
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+  renderCitationList(list, datumId);
+}
+
+function renderCitationList(list, memberId) {
+  const citations = getMemberCitations(state.citations, memberId, state.parentChildRels, state.spousalRels);
+  if (citations.length === 0) {
+    list.innerHTML = '<p class="citation-empty">No sources cited yet.</p>';
+    return;
+  }
+
+  list.innerHTML = citations.map(citation => {
+    const source = state.sources.find(src => src.id === citation.source_id);
+    const target = describeCitationTarget(citation, memberId, state.parentChildRels, state.spousalRels, memberName);
+    const confidence = CONFIDENCE_LEVELS[citation.confidence] || CONFIDENCE_LEVELS[DEFAULT_CONFIDENCE];
+    const detail = citation.detail ? `, ${escapeHtml(citation.detail)}` : '';
+    return `<div class="citation-row" data-citation-id="${escapeHtml(citation.id)}">
+        <span class="citation-target">${escapeHtml(target)}</span>
+        <span class="citation-source">${escapeHtml(formatSourceLabel(source))}${detail}</span>
+        <span class="citation-confidence confidence-${escapeHtml(citation.confidence)}">${confidence.label}</span>
+        <button type="button" data-action="delete" title="Remove citation">×</button>
+      </div>`;
+  }).join('');
+}
+
+function sourceFieldsHtml(source = {}) {
+  return `
+    <label for="sourceTitle">Title</label>
+    <input type="text" id="sourceTitle" name="title" value="${escapeHtml(source.title || '')}" placeholder="e.g. Baptism register, St Finbarr's, Cork">
+    <label for="sourceAuthor">Author</label>
+    <input type="text" id="sourceAuthor" name="author" value="${escapeHtml(source.author || '')}">
+    <label for="sourceRepository">Repository</label>
+    <input type="text" id="sourceRepository" name="repository" value="${escapeHtml(source.repository || '')}" placeholder="Archive or library holding it">
+    <label for="sourceUrl">URL</label>
+    <input type="text" id="sourceUrl" name="url" value="${escapeHtml(source.url || '')}" placeholder="https://...">
+    <label for="sourceNotes">Notes</label>
+    <textarea id="sourceNotes" name="notes" rows="3">${escapeHtml(source.notes || '')}</textarea>
+  `;
+}
+
+function readSourceFields(container) {
+  const value = (name) => container.querySelector(`[name="${name}"]`)?.value;
+  return normalizeSourceInput({
+    title: value('title'),
+    author: value('author'),
+    repository: value('repository'),
+    url: value('url'),
+    notes: value('notes')
+  });
+}
+
+/**
+ * Ask for a citation of one member and save it
+ * A new source can be created on the fly. Resolves with the saved citation or null.
+ */
+async function openCitationDialog(memberId) {
+  const NEW_SOURCE = '__new__';
+  const targets = getCitationTargets(memberId, state.parentChildRels, state.spousalRels, memberName);
+  const sourceOptions = state.sources
+    .map(src => `<option value="${escapeHtml(src.id)}">${escapeHtml(formatSourceLabel(src))}</option>`).join('');
+  const confidenceOptions = Object.entries(CONFIDENCE_LEVELS)
+    .map(([value, level]) => `<option value="${value}"${value === DEFAULT_CONFIDENCE ? ' selected' : ''}>${level.label}</option>`).join('');
+
+  const container = document.createElement('div');
+  container.innerHTML = `
+    <label for="citationSource">Source</label>
+    <select id="citationSource" name="source_id">
+      ${sourceOptions}
+      <option value="${NEW_SOURCE}">+ New source...</option>
+    </select>
+    <div class="citation-new-source">${sourceFieldsHtml()}</div>
+    <label for="citationTarget">Supports</label>
+    <select id="citationTarget" name="target">
+      ${targets.map(t => `<option value="${escapeHtml(t.value)}">${escapeHtml(t.label)}</option>`).join('')}
+    </select>
+    <label for="citationDetail">Page / entry</label>
+    <input type="text" id="citationDetail" name="detail" placeholder="e.g. p. 42, entry 117">
+    <label for="citationConfidence">Confidence</label>
+    <select id="citationConfidence" name="confidence">${confidenceOptions}</select>
+  `;
+  const sourceSelect = container.querySelector('select[name="source_id"]');
+  const newSourceFields = container.querySelector('.citation-new-source');
+  const syncNewSource = () => {
+    newSourceFields.style.display = sourceSelect.value === NEW_SOURCE ? '' : 'none';
+  };
+  sourceSelect.addEventListener('change', syncNewSource);
+  syncNewSource();
+
+  let newSource = null;
+  const { result } = openModal({
+    title: `Cite a source for ${memberName(memberId)}`,
+    body: container,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Save', value: 'save', variant: 'primary' }
+    ],
+    onAction: (value) => {
+      if (value !== 'save' || sourceSelect.value !== NEW_SOURCE) return true;
+      const { values, error } = readSourceFields(newSourceFields);
+      if (error) {
+        alert(error);
+        return false;
+      }
+      newSource = values;
+      return true;
+    }
+  });
+  if (await result !== 'save') return null;
+
+  const target = targets.find(t => t.value === container.querySelector('select[name="target"]').value);
+  if (!target) return null;
+
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Saving citation...");
+
+    let sourceId = sourceSelect.value;
+    if (newSource) {
+      const sourceRes = await createSource(state.treeId, newSource);
+      if (!sourceRes.success) throw new Error(sourceRes.error);
+      state.sources.push(sourceRes.data);
+      sourceId = sourceRes.data.id;
+    }
+
+    const res = await createCitation(state.treeId, {
+      source_id: sourceId,
+      ...target.target,
+      detail: container.querySelector('input[name="detail"]').value.trim() || null,
+      confidence: container.querySelector('select[name="confidence"]').value
+    });
+    if (!res.success) throw new Error(res.error);
+    state.citations.push(res.data);
+    return res.data;
+  } catch (err) {
+    console.error('Citation save failed', err);
+    alert('Failed to save the citation. Please try again.');
+    return null;
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+/**
+ * Create or edit a source. Resolves with the saved source or null.
+ */
+async function openSourceDialog(source = null) {
+  let values = null;
+  const { result } = openModal({
+    title: source ? 'Edit source' : 'New source',
+    body: sourceFieldsHtml(source || {}),
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Save', value: 'save', variant: 'primary' }
+    ],
+    onAction: (value, body) => {
+      if (value !== 'save') return true;
+      const parsed = readSourceFields(body);
+      if (parsed.error) {
+        alert(parsed.error);
+        return false;
+      }
+      values = parsed.values;
+      return true;
+    }
+  });
+  if (await result !== 'save') return null;
+
+  const res = source ? await updateSource(source.id, values) : await createSource(state.treeId, values);
+  if (!res.success) {
+    alert('Failed to save the source. Please try again.');
+    return null;
+  }
+  if (source) state.sources = state.sources.map(src => (src.id === source.id ? res.data : src));
+  else state.sources.push(res.data);
+  return res.data;
+}
+
+function openSourcesPanel() {
+  const container = document.createElement('div');
+  container.className = 'source-list-panel';
+  container.innerHTML = `
+    <div class="source-list"></div>
+    <button type="button" class="app-modal-btn app-modal-btn-secondary source-add-btn">+ New source</button>
+  `;
+  const listEl = container.querySelector('.source-list');
+
+  const render = () => {
+    if (state.sources.length === 0) {
+      listEl.innerHTML = '<p class="citation-empty">No sources yet. Add one here or cite one from a person\'s edit form.</p>';
+      return;
+    }
+    const sorted = [...state.sources].sort((a, b) => a.title.localeCompare(b.title));
+    listEl.innerHTML = sorted.map(source => {
+      const citations = state.citations.filter(c => c.source_id === source.id);
+      const items = citations.map(citation => {
+        const personId = citation.member_id
+          || state.parentChildRels.find(r => r.id === citation.parent_child_relationship_id)?.child_id
+          || state.spousalRels.find(r => r.id === citation.spousal_relationship_id)?.person1_id;
+        const text = describeCitation(citation, state.parentChildRels, state.spousalRels, memberName);
+        const detail = citation.detail ? ` (${escapeHtml(citation.detail)})` : '';
+        const link = personId ? `<a href="#" data-member-id="${escapeHtml(personId)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+        return `<li>${link}${detail} <span class="citation-confidence confidence-${escapeHtml(citation.confidence)}">${(CONFIDENCE_LEVELS[citation.confidence] || CONFIDENCE_LEVELS[DEFAULT_CONFIDENCE]).label}</span></li>`;
+      }).join('');
+      const url = source.url ? `<p class="source-meta"><a href="${escapeHtml(source.url)}" target="_blank" rel="noopener">${escapeHtml(source.url)}</a></p>` : '';
+      const notes = source.notes ? `<p class="source-meta">${escapeHtml(source.notes)}</p>` : '';
+      return `<details class="source-item" data-source-id="${escapeHtml(source.id)}">
+          <summary>${escapeHtml(formatSourceLabel(source))} <span class="place-index-count">${citations.length}</span></summary>
+          ${url}${notes}
+          <ul>${items}</ul>
+          <div class="source-item-actions">
+            <button type="button" data-action="edit">Edit</button>
+            <button type="button" data-action="delete" class="source-delete-btn">Delete</button>
+          </div>
+        </details>`;
+    }).join('');
+  };
+
+  listEl.addEventListener('click', async (e) => {
+    const link = e.target.closest('a[data-member-id]');
+    if (link) {
+      e.preventDefault();
+      modal.close();
+      focusPerson(link.dataset.memberId);
+      return;
+    }
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const source = state.sources.find(src => src.id === button.closest('.source-item').dataset.sourceId);
+    if (!source) return;
+
+    if (button.dataset.action === 'edit') {
+      if (await openSourceDialog(source)) render();
+    } else if (button.dataset.action === 'delete') {
+      const count = state.citations.filter(c => c.source_id === source.id).length;
+      const citationNote = count > 0 ? ` Its ${count} citation(s) will be removed too.` : '';
+      if (!confirm(`Delete the source "${source.title}"?${citationNote}`)) return;
+      const res = await deleteSources([source.id]);
+      if (!res.success) {
+        alert('Failed to delete the source. Please try again.');
+        return;
+      }
+      state.sources = state.sources.filter(src => src.id !== source.id);
+      state.citations = state.citations.filter(c => c.source_id !== source.id);
+      render();
+      refreshChartUI();
+    }
+  });
+
+  container.querySelector('.source-add-btn').addEventListener('click', async () => {
+    if (await openSourceDialog()) render();
+  });
+
+  render();
+  const modal = openModal({ title: 'Sources', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+}
+
+// -----------------------------------------------------------------------------
+// Change history
+// -----------------------------------------------------------------------------
+
+// Collapsed by default and only fetched once opened; only owners and editors
+// can read the history
+function ensureHistorySection(form, datumId) {
+  if (!canEditTree()) return;
+  if (form.querySelector('.history-section')) return;
+  if (!state.members.some(m => m.id === datumId)) return;
+  const anchorElement = form.querySelector('.f3-form-buttons');
+  if (!anchorElement?.parentNode) return;
+
+  const wrapper = document.createElement('details');
+  wrapper.className = 'f3-form-field history-section';
+  wrapper.innerHTML = '<summary>History</summary><div class="history-list"></div>';
+  const list = wrapper.querySelector('.history-list');
+  let entries = [];
+
+  wrapper.addEventListener('toggle', async () => {
+    if (!wrapper.open) return;
+    list.innerHTML = '<p class="citation-empty">Loading...</p>';
+    const res = await getMemberHistory(state.treeId, datumId);
+    if (!res.success) {
+      list.innerHTML = `<p class="citation-empty">Could not load the history: ${escapeHtml(res.error)}</p>`;
+      return;
+    }
+    entries = res.data;
+    renderHistoryList(list, datumId, entries);
+  });
+
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="revert"]');
+    if (!button) return;
+    const entry = entries.find(item => String(item.id) === button.closest('.history-entry').dataset.entryId);
+    if (!entry) return;
+
+    button.disabled = true;
+    if (!await revertHistoryEntry(entry, datumId)) {
+      button.disabled = false;
+      return;
+    }
+    state.editApi.closeForm();
+    await loadTreeData();
+    focusPerson(datumId);
+  });
+
+  anchorElement.parentNode.insertBefore(wrapper, anchorElement);
+}
+
+function renderHistoryList(list, memberId, entries) {
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="citation-empty">No changes recorded yet.</p>';
+    return;
+  }
+
+  list.innerHTML = entries.map(entry => {
+    // A move to or from the bin says all there is to say in its summary
+    const fields = isRecycleBinEntry(entry) ? [] : getChangedFields(entry);
+    const changes = fields.map(({ field, label, before, after }) => {
+      const value = entry.action === 'create'
+        ? formatHistoryValue(field, after)
+        : `${formatHistoryValue(field, before)} → ${formatHistoryValue(field, after)}`;
+      return `<li><span class="history-field">${escapeHtml(label)}:</span> ${escapeHtml(value)}</li>`;
+    }).join('');
+    const when = new Date(entry.created_at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    return `<div class="history-entry" data-entry-id="${escapeHtml(String(entry.id))}">
+        <div class="history-head">
+          <span class="history-summary">${escapeHtml(describeHistoryEntry(entry, memberId, memberName))}</span>
+          ${buildRevertAction(entry) ? '<button type="button" data-action="revert" title="Undo this change">Revert</button>' : ''}
+        </div>
+        <div class="history-meta">${escapeHtml(when)} · ${escapeHtml(entry.actor_email || 'Unknown user')}</div>
+        ${changes ? `<ul class="history-changes">${changes}</ul>` : ''}
+      </div>`;
+  }).join('');
+}
+
+function findCurrentRow(table, id) {
+  const rows = {
+    family_members: state.members,
+    parent_child_relationships: state.parentChildRels,
+    spousal_relationships: state.spousalRels
+  }[table] || [];
+  return rows.find(row => row.id === id) || null;
+}
+
+/**
+ * Undo one history entry through the usual save functions (so the undo is
+ * itself logged). Resolves true once reverted.
+ */
+async function revertHistoryEntry(entry, memberId) {
+  const action = buildRevertAction(entry);
+  if (!action) return false;
+
+  const currentRow = action.type === 'update' ? findCurrentRow(action.table, action.id) : null;
+  if (action.type === 'update' && !currentRow) {
+    alert('This record has since been deleted, so the change cannot be reverted.');
+    return false;
+  }
+  if (action.type === 'create') {
+    const ends = [action.row.parent_id, action.row.child_id, action.row.person1_id, action.row.person2_id].filter(Boolean);
+    if (!ends.every(id => state.members.some(m => m.id === id))) {
+      alert('One of these people has since been deleted, so the relationship cannot be restored.');
+      return false;
+    }
+  }
+
+  const question = hasLaterChanges(action, currentRow)
+    ? 'These fields have been changed again since. Revert them anyway?'
+    : `Revert "${describeHistoryEntry(entry, memberId, memberName)}"?`;
+  if (!confirm(question)) return false;
+
+  const res = await applyRevertAction(action, currentRow);
+  if (!res.success) {
+    alert('Could not revert the change: ' + res.error);
+    return false;
+  }
+  return true;
+}
+
+function applyRevertAction({ type, table, id, values, row }, currentRow) {
+  if (table === 'family_members') return updateFamilyMember(id, values);
+
+  if (table === 'parent_child_relationships') {
+    if (type === 'update') return updateParentChildRelationship(id, values.relationship_type ?? currentRow.relationship_type);
+    if (type === 'delete') return deleteParentChildRelationship(row.parent_id, row.child_id);
+    return createParentChildRelationship(state.treeId, row.parent_id, row.child_id, row.relationship_type);
+  }
+
+  const restored = { ...currentRow, ...values, ...row };
+  const details = { start_date: restored.start_date ?? null, end_date: restored.end_date ?? null, place: restored.place ?? null };
+  if (type === 'update') return updateSpousalRelationship(id, restored.relationship_type, details);
+  if (type === 'delete') return deleteSpousalRelationship(row.person1_id, row.person2_id);
+  return createSpousalRelationship(state.treeId, row.person1_id, row.person2_id, row.relationship_type, details);
+}
+
+// -----------------------------------------------------------------------------
+// Recycle bin
+// -----------------------------------------------------------------------------
+
+// Days a deleted person is kept (null = until the bin is emptied)
+function getRecycleBinDays() {
+  return state.tree?.recycle_bin_days === undefined ? DEFAULT_RECYCLE_BIN_DAYS : state.tree.recycle_bin_days;
+}
+
+// Files are not covered by the database cascade, so remove them explicitly
+async function purgeMembers(members) {
+  const ids = new Set(members.map(m => m.id));
+  const media = state.media.filter(item => ids.has(item.member_id));
+  // Their media rows go with them; the files only once that has worked, so a
+  // failed purge leaves them restorable with their photos
+  const res = await purgeDeletedMembers([...ids]);
+  if (res.success) await removeMediaFiles(media);
+  return res;
+}
+
+// Nothing runs on a schedule, so the bin is emptied of expired people whenever an editor opens the tree
+async function purgeExpiredFromRecycleBin() {
+  if (!canEditTree()) return;
+  const expired = getExpiredMembers(state.recycleBin.members, getRecycleBinDays());
+  if (expired.length === 0) return;
+
+  const res = await purgeMembers(expired);
+  if (!res.success) {
+    console.error('Recycle bin purge error:', res.error);
+    return;
+  }
+  await loadTreeData();
+}
+
+function openRecycleBinPanel() {
+  const container = document.createElement('div');
+  container.className = 'recycle-bin';
+  const isOwner = state.access.role === 'owner';
+
+  const render = () => {
+    const days = getRecycleBinDays();
+    const periods = { ...RECYCLE_BIN_PERIODS };
+    if (days && !periods[days]) periods[days] = `${days} days`;
+    const periodOptions = Object.entries(periods)
+      .map(([value, label]) => `<option value="${value}"${value === String(days ?? 'never') ? ' selected' : ''}>${label}</option>`)
+      .join('');
+
+    const members = [...state.recycleBin.members].sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+    const rows = members.map(member => {
+      const links = countBinnedLinks(member.id, state.recycleBin);
+      const purgeDate = getPurgeDate(member, days);
+      const details = [
+        formatDeletion(member),
+        links > 0 ? `${links} relationship${links === 1 ? '' : 's'}` : '',
+        purgeDate ? `purged after ${purgeDate.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}` : ''
+      ].filter(Boolean).join(' · ');
+      return `<li class="recycle-bin-item" data-member-id="${escapeHtml(member.id)}">
+          <div class="recycle-bin-person">
+            <strong>${escapeHtml(formatPersonName(member) || 'Unknown')}</strong>
+            <span class="recycle-bin-meta">${escapeHtml(details)}</span>
+          </div>
+          <button type="button" data-action="restore">Restore</button>
+          <button type="button" data-action="purge">Delete forever</button>
+        </li>`;
+    }).join('');
+
+    container.innerHTML = `
+      <label class="recycle-bin-period">Keep deleted people
+        <select class="recycle-bin-days"${isOwner ? '' : ' disabled'}>${periodOptions}</select>
+      </label>
+      <p class="recycle-bin-hint">Restoring someone brings back their relationships too.${isOwner ? '' : ' Only owners can change how long people are kept.'}</p>
+      ${rows
+        ? `<ul class="recycle-bin-list">${rows}</ul>
+           <button type="button" class="recycle-bin-empty-btn">Empty recycle bin</button>`
+        : '<p class="citation-empty">The recycle bin is empty.</p>'}
+    `;
+  };
+
+  container.addEventListener('change', async (e) => {
+    const select = e.target.closest('.recycle-bin-days');
+    if (!select) return;
+    const res = await updateFamilyTree(state.treeId, { recycle_bin_days: select.value === 'never' ? null : Number(select.value) });
+    if (res.success) state.tree = res.data;
+    else alert('Could not change the setting: ' + res.error);
+    render();
+  });
+
+  container.addEventListener('click', async (e) => {
+    const emptyBtn = e.target.closest('.recycle-bin-empty-btn');
+    const button = e.target.closest('button[data-action]');
+    if (!emptyBtn && !button) return;
+
+    if (emptyBtn) {
+      const count = state.recycleBin.members.length;
+      if (!confirm(`Permanently delete the ${count} ${count === 1 ? 'person' : 'people'} in the recycle bin? This cannot be undone.`)) return;
+      await runRecycleBinAction("Emptying recycle bin...", () => purgeMembers(state.recycleBin.members));
+      render();
+      return;
+    }
+
+    const member = state.recycleBin.members.find(m => m.id === button.closest('.recycle-bin-item').dataset.memberId);
+    if (!member) return;
+    const name = formatPersonName(member) || 'Unknown';
+
+    if (button.dataset.action === 'restore') {
+      const snapshot = takeTreeSnapshot();
+      await runRecycleBinAction("Restoring...", () => restoreMemberFromRecycleBin(member.id, planRestore(member.id, state.recycleBin)));
+      recordUndo(`Restore ${name}`, snapshot);
+    } else {
+      if (!confirm(`Permanently delete ${name}? This cannot be undone.`)) return;
+      await runRecycleBinAction("Deleting...", () => purgeMembers([member]));
+    }
+    render();
+  });
+
+  render();
+  openModal({ title: 'Recycle Bin', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+}
+
+async function runRecycleBinAction(message, action) {
+  try {
+    state.isSaving = true;
+    toggleLoading(true, message);
+    const res = await action();
+    if (!res.success) alert('Something went wrong: ' + res.error);
+    state.editApi?.closeForm();
+    await loadTreeData();
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Tree health
+// -----------------------------------------------------------------------------
+
+function openTreeDoctorPanel() {
+  const container = document.createElement('div');
+  container.className = 'tree-doctor';
+  let issues = [];
+
+  const render = () => {
+    issues = diagnoseTree(getLiveTree(), { binMembers: state.recycleBin.members, nameOf: memberName });
+    if (issues.length === 0) {
+      container.innerHTML = '<p class="citation-empty">Nothing to fix. The tree looks healthy.</p>';
+      return;
+    }
+    container.innerHTML = Object.entries(DOCTOR_SEVERITIES).map(([severity, title]) => {
+      const rows = issues
+        .map((issue, index) => ({ issue, index }))
+        .filter(({ issue }) => issue.severity === severity)
+        .map(({ issue, index }) => `<li class="tree-doctor-issue" data-index="${index}">
+            <span class="tree-doctor-message">${escapeHtml(issue.message)}</span>
+            ${issue.memberIds.length > 0 ? '<button type="button" data-action="show">Show</button>' : ''}
+            ${issue.fix ? `<button type="button" data-action="fix">${escapeHtml(issue.fix.label)}</button>` : ''}
+          </li>`);
+      if (rows.length === 0) return '';
+      return `<h4 class="tree-doctor-heading tree-doctor-${severity}">${escapeHtml(title)} (${rows.length})</h4>
+        <ul class="tree-doctor-list">${rows.join('')}</ul>`;
+    }).join('');
+  };
+
+  container.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const issue = issues[Number(button.closest('.tree-doctor-issue').dataset.index)];
+
+    if (button.dataset.action === 'show') {
+      modal.close();
+      focusPerson(issue.memberIds[0]);
+      return;
+    }
+
+    const { fix } = issue;
+    const count = fix.memberIds?.length || 0;
+    const question = fix.type === 'delete-links'
+      ? `${issue.message}. Delete ${fix.ids.length === 1 ? 'this link' : `${fix.ids.length} links`}? This cannot be undone.`
+      : fix.type === 'bin-members'
+        ? `Move ${count === 1 ? memberName(fix.memberIds[0]) : `${count} people`} to the recycle bin, with their relationships?`
+        : null;
+    if (question && !confirm(question)) return;
+    await applyTreeDoctorFix(fix);
+    render();
+  });
+
+  render();
+  const modal = openModal({ title: 'Tree Health', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+}
+
+async function applyTreeDoctorFix(fix) {
+  const snapshot = takeTreeSnapshot();
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Fixing...");
+    const res = await runTreeDoctorFix(fix);
+    if (!res.success) alert('Something went wrong: ' + res.error);
+    state.editApi?.closeForm();
+    await loadTreeData();
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+  // A deleted link can't be undone: it pointed at someone who is gone, or
+  // was a copy that undo can't tell apart from the one kept
+  if (fix.type !== 'delete-links') recordUndo(fix.label, snapshot);
+}
+
+async function runTreeDoctorFix(fix) {
+  if (fix.type === 'bin-members') {
+    for (const memberId of fix.memberIds) {
+      const res = await moveMemberToRecycleBin(memberId, state.access.user?.email || null);
+      if (!res.success) return res;
+    }
+    return { success: true };
+  }
+  if (fix.type === 'bin-links') {
+    // Hidden as if deleted along with that person, so restoring them brings the link back
+    const member = state.recycleBin.members.find(m => m.id === fix.deletedWith);
+    return updateRelationshipBinFlags(fix.table, fix.ids, { deleted_at: member?.deleted_at || new Date().toISOString(), deleted_with: fix.deletedWith });
+  }
+  return deleteRelationshipsById(fix.table, fix.ids);
+}
+
+// -----------------------------------------------------------------------------
+// Duplicate people
+// -----------------------------------------------------------------------------
+
+async function openDuplicatesPanel() {
+  const container = document.createElement('div');
+  container.className = 'duplicates';
+  container.innerHTML = '<p class="citation-empty">Looking for duplicates...</p>';
+  const modal = openModal({ title: 'Duplicate People', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+
+  const dismissRes = await getDuplicateDismissals(state.treeId);
+  const dismissed = new Set((dismissRes.data || []).map(row => duplicatePairKey(row.member1_id, row.member2_id)));
+  let suggestions = [];
+
+  const describe = (member) => {
+    const born = formatStoredDate(member.birth_date, member.birthday);
+    const died = formatStoredDate(member.death_date, member.death);
+    return [born && `b. ${born}`, died && `d. ${died}`].filter(Boolean).join(', ');
+  };
+
+  const render = () => {
+    suggestions = findDuplicates(getLiveTree(), { dismissed });
+    if (suggestions.length === 0) {
+      container.innerHTML = '<p class="citation-empty">No likely duplicates found.</p>';
+      return;
+    }
+    container.innerHTML = `
+      <p class="duplicates-hint">People who may have been added twice, most likely first.</p>
+      <ul class="duplicates-list">${suggestions.map((suggestion, index) => {
+        const people = suggestion.ids.map(id => state.members.find(m => m.id === id));
+        return `<li class="duplicates-item" data-index="${index}">
+            <div class="duplicates-pair">
+              ${people.map(member => `<span class="duplicates-person"><strong>${escapeHtml(memberName(member.id))}</strong> ${escapeHtml(describe(member))}</span>`).join('<span class="duplicates-and">and</span>')}
+              <span class="duplicates-reasons">${escapeHtml(suggestion.reasons.join(' · '))}</span>
+            </div>
+            <button type="button" data-action="merge">Compare</button>
+            <button type="button" data-action="dismiss">Not the same person</button>
+          </li>`;
+      }).join('')}</ul>
+    `;
+  };
+
+  container.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const suggestion = suggestions[Number(button.closest('.duplicates-item').dataset.index)];
+    const [id1, id2] = suggestion.ids;
+
+    if (button.dataset.action === 'dismiss') {
+      const res = await dismissDuplicatePair(state.treeId, id1, id2);
+      if (!res.success) {
+        alert('Could not save this: ' + res.error);
+        return;
+      }
+      dismissed.add(duplicatePairKey(id1, id2));
+      render();
+      return;
+    }
+
+    const keptId = await openMergeDialog(id1, id2);
+    if (!keptId) return;
+    modal.close();
+    focusPerson(keptId);
+  });
+
+  render();
+}
+
+function describeMergeField(field, member) {
+  switch (field.key) {
+    case 'name': return formatPersonName(member);
+    case 'gender': return { M: 'Male', F: 'Female' }[member.gender] || '';
+    case 'birth': return formatStoredDate(member.birth_date, member.birthday);
+    case 'death': return formatStoredDate(member.death_date, member.death);
+    case 'living_status': return LIVING_STATUSES[member.living_status] || '';
+    case 'avatar': return member.avatar_media_id ? 'Has a portrait' : '';
+    case 'birth_order': return member.birth_order ? `#${member.birth_order}` : '';
+    default: return member[field.columns[0]] || '';
+  }
+}
+
+// Pick who is kept and where each field comes from, then merge
+// Resolves with the id of the person kept, or null if cancelled.
+async function openMergeDialog(id1, id2) {
+  const people = [id1, id2].map(id => state.members.find(m => m.id === id));
+  const linkCount = (id) =>
+    state.parentChildRels.filter(r => r.parent_id === id || r.child_id === id).length +
+    state.spousalRels.filter(r => r.person1_id === id || r.person2_id === id).length;
+  // The better-connected record is kept by default
+  let keep = linkCount(id2) > linkCount(id1) ? people[1] : people[0];
+  let other = keep === people[0] ? people[1] : people[0];
+
+  const container = document.createElement('div');
+  container.className = 'merge-people';
+
+  const render = () => {
+    const choices = defaultMergeChoices(keep, other);
+    const radio = (name, member, checked) =>
+      `<input type="radio" name="${name}" value="${escapeHtml(member.id)}"${checked ? ' checked' : ''}>`;
+    const rows = MERGE_FIELDS.map(field => {
+      const values = people.map(member => describeMergeField(field, member));
+      if (!values[0] && !values[1]) return '';
+      const disabled = values[0] === values[1];
+      return `<tr data-field="${field.key}">
+          <th>${escapeHtml(field.label)}</th>
+          ${people.map((member, i) => `<td><label>${disabled ? '' : radio(`merge-${field.key}`, member, (choices[field.key] === 'keep') === (member === keep))} ${escapeHtml(values[i] || '—')}</label></td>`).join('')}
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <table class="merge-table">
+        <thead>
+          <tr>
+            <th>Keep</th>
+            ${people.map(member => `<th><label>${radio('merge-keep', member, member === keep)} ${escapeHtml(memberName(member.id))}</label></th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="merge-hint">Other names, residences, custom fields, sources, photos and every relationship from both are kept.
+      A relationship they both have is kept once.</p>
+    `;
+  };
+
+  container.addEventListener('change', (e) => {
+    if (e.target.name !== 'merge-keep') return;
+    keep = people.find(m => m.id === e.target.value);
+    other = keep === people[0] ? people[1] : people[0];
+    render();
+  });
+
+  render();
+  let choices = null;
+  const { result } = openModal({
+    title: 'Merge Duplicate People',
+    body: container,
+    wide: true,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Merge', value: 'merge', variant: 'primary' }
+    ],
+    onAction: (value, body) => {
+      if (value !== 'merge') return true;
+      choices = defaultMergeChoices(keep, other);
+      body.querySelectorAll('tr[data-field] input:checked').forEach(input => {
+        choices[input.closest('tr').dataset.field] = input.value === keep.id ? 'keep' : 'other';
+      });
+      return true;
+    }
+  });
+  if (await result !== 'merge') return null;
+
+  // Links in the recycle bin move too, or deleting the other person would take them
+  const plan = planMerge({
+    parentChildRels: [...state.parentChildRels, ...state.recycleBin.parentChildRels],
+    spousalRels: [...state.spousalRels, ...state.recycleBin.spousalRels]
+  }, keep, other, choices);
+  const name = memberName(keep.id);
+  const snapshot = takeTreeSnapshot();
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Merging...");
+    const res = await mergeFamilyMembers(keep.id, other.id, plan);
+    if (!res.success) alert('Could not merge: ' + res.error);
+    state.editApi?.closeForm();
+    await loadTreeData();
+  } finally {
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+  // Undo puts back the person, their fields and links; photos stay with the person kept
+  recordUndo(`Merge ${name}`, snapshot);
+  return keep.id;
+}
+
+// -----------------------------------------------------------------------------
+// Undo / redo
+// -----------------------------------------------------------------------------
+
+// The recycle bin is included, so deleting and restoring show up as flag changes
+function takeTreeSnapshot() {
+  const bin = state.recycleBin;
+  return structuredClone({
+    family_members: [...state.members, ...bin.members],
+    parent_child_relationships: [...state.parentChildRels, ...bin.parentChildRels],
+    spousal_relationships: [...state.spousalRels, ...bin.spousalRels],
+    citations: [...state.citations, ...bin.citations]
+  });
+}
+
+// Record everything that changed since the snapshot as one undoable edit
+function recordUndo(label, snapshot) {
+  state.undoStack.record(label, diffSnapshots(snapshot, takeTreeSnapshot()));
+}
+
+function renderUndoButtons() {
+  const buttons = [
+    { id: 'undoBtn', verb: 'Undo', label: state.undoStack.undoLabel(), keys: 'Ctrl+Z' },
+    { id: 'redoBtn', verb: 'Redo', label: state.undoStack.redoLabel(), keys: 'Ctrl+Shift+Z' }
+  ];
+  buttons.forEach(({ id, verb, label, keys }) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.disabled = !label;
+    btn.title = label ? `${verb} "${label}" (${keys})` : `Nothing to ${verb.toLowerCase()}`;
+  });
+}
+
+function handleUndoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  // Text fields keep their own undo, and dialogs have their own work in progress
+  if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.app-modal')) return;
+  e.preventDefault();
+  replayUndo(e.shiftKey ? 'redo' : 'undo');
+}
+
+/**
+ * Undo or redo the last edit, then reload the tree
+ * @param {'undo'|'redo'} direction
+ */
+async function replayUndo(direction) {
+  const label = direction === 'undo' ? state.undoStack.undoLabel() : state.undoStack.redoLabel();
+  if (!label || !canEditTree() || state.isSaving) return;
+  const verb = direction === 'undo' ? 'Undo' : 'Redo';
+
+  let res = null;
+  try {
+    state.isSaving = true;
+    toggleLoading(true, `${verb === 'Undo' ? 'Undoing' : 'Redoing'} ${label}...`);
+    res = await state.undoStack[direction]({
+      current: takeTreeSnapshot(),
+      confirmOverwrite: async () => confirm(`Some of these people have been changed since "${label}". ${verb} it anyway?`)
+    });
+    if (!res.success && !res.cancelled) alert(`Could not ${direction} "${label}": ${res.error}`);
+  } catch (err) {
+    console.error(`${verb} failed`, err);
+    alert(`Could not ${direction} "${label}". Please try again.`);
+  } finally {
+    if (!res?.cancelled) {
+      state.editApi?.closeForm();
+      await loadTreeData();
+    }
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+// Portraits whose file has since been deleted can't be put back
+function withExistingAvatar(columns) {
+  if (!columns.avatar_media_id || state.media.some(item => item.id === columns.avatar_media_id)) return columns;
+  return { ...columns, avatar_media_id: null };
+}
+
+// Writes one undo/redo step through the usual save functions
+async function applyUndoChange(change) {
+  const { table, before, after } = change;
+
+  if (table === 'family_members') {
+    if (!before) return createFamilyMember(withExistingAvatar(after));
+    if (!after) return deleteFamilyMember(before.id);
+    return updateFamilyMember(after.id, withExistingAvatar(getUpdatedColumns(change)));
+  }
+
+  if (table === 'citations') {
+    if (!before) return createCitation(state.treeId, after);
+    if (!after) return deleteCitations([before.id]);
+    return updateCitation(after.id, getUpdatedColumns(change));
+  }
+
+  if (!before) {
+    return table === 'parent_child_relationships'
+      ? createParentChildRelationship(state.treeId, after.parent_id, after.child_id, after.relationship_type)
+      : createSpousalRelationship(state.treeId, after.person1_id, after.person2_id, after.relationship_type, partnershipDetails(after));
+  }
+  if (!after) {
+    return table === 'parent_child_relationships'
+      ? deleteParentChildRelationship(before.parent_id, before.child_id)
+      : deleteSpousalRelationship(before.person1_id, before.person2_id);
+  }
+
+  const rel = findRelationshipRow(table, after);
+  if (!rel) return { success: false, error: 'The relationship no longer exists' };
+  const columns = getUpdatedColumns(change);
+  let res = { success: true };
+  if ('deleted_at' in columns || 'deleted_with' in columns) {
+    res = await updateRelationshipBinFlags(table, [rel.id], after);
+    if (!res.success) return res;
+  }
+  if (['relationship_type', 'start_date', 'end_date', 'place'].some(column => column in columns)) {
+    res = table === 'parent_child_relationships'
+      ? await updateParentChildRelationship(rel.id, after.relationship_type)
+      : await updateSpousalRelationship(rel.id, after.relationship_type, partnershipDetails(after));
+  }
+  return res;
+}
+
+function partnershipDetails(rel) {
+  return { start_date: rel.start_date ?? null, end_date: rel.end_date ?? null, place: rel.place ?? null };
+}
+
+// A relationship by the people it joins, in the tree or the recycle bin
+function findRelationshipRow(table, row) {
+  if (table === 'parent_child_relationships') {
+    return [...state.parentChildRels, ...state.recycleBin.parentChildRels]
+      .find(r => r.parent_id === row.parent_id && r.child_id === row.child_id);
+  }
+  return [...state.spousalRels, ...state.recycleBin.spousalRels].find(r =>
+    (r.person1_id === row.person1_id && r.person2_id === row.person2_id) ||
+    (r.person1_id === row.person2_id && r.person2_id === row.person1_id)
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Custom fields
+// -----------------------------------------------------------------------------
+
+function openCustomFieldsPanel() {
+  const typeOptions = Object.entries(CUSTOM_FIELD_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+  const container = document.createElement('div');
+  container.className = 'custom-fields-panel';
+  container.innerHTML = `
+    <p class="custom-fields-intro">Extra fields appear in everyone's edit form in this tree.</p>
+    <div class="custom-fields-list"></div>
+    <form class="custom-fields-form">
+      <h4 class="custom-fields-form-title">Add a field</h4>
+      <label for="customFieldLabel">Name</label>
+      <input type="text" id="customFieldLabel" name="label" placeholder="e.g. Occupation" required>
+      <label for="customFieldType">Type</label>
+      <select id="customFieldType" name="field_type">${typeOptions}</select>
+      <div class="custom-fields-options">
+        <label for="customFieldOptions">Choices (comma separated)</label>
+        <input type="text" id="customFieldOptions" name="options" placeholder="e.g. Catholic, Protestant, Jewish">
+      </div>
+      <label class="custom-fields-checkbox"><input type="checkbox" name="show_on_card"> Show on card</label>
+      <div class="custom-fields-form-buttons">
+        <button type="button" class="app-modal-btn app-modal-btn-secondary custom-fields-cancel">Cancel edit</button>
+        <button type="submit" class="app-modal-btn app-modal-btn-primary custom-fields-submit">Add field</button>
+      </div>
+    </form>
+  `;
+  const listEl = container.querySelector('.custom-fields-list');
+  const formEl = container.querySelector('.custom-fields-form');
+  const typeSelect = formEl.elements['field_type'];
+  const optionsRow = container.querySelector('.custom-fields-options');
+  const cancelBtn = container.querySelector('.custom-fields-cancel');
+  let editingId = null;
+
+  const syncOptionsRow = () => {
+    optionsRow.style.display = typeSelect.value === 'select' ? '' : 'none';
+  };
+
+  const resetForm = () => {
+    editingId = null;
+    formEl.reset();
+    formEl.querySelector('.custom-fields-form-title').textContent = 'Add a field';
+    formEl.querySelector('.custom-fields-submit').textContent = 'Add field';
+    cancelBtn.style.display = 'none';
+    syncOptionsRow();
+  };
+
+  const startEditing = (field) => {
+    editingId = field.id;
+    formEl.elements['label'].value = field.label;
+    typeSelect.value = field.field_type;
+    formEl.elements['options'].value = (field.options || []).join(', ');
+    formEl.elements['show_on_card'].checked = !!field.show_on_card;
+    formEl.querySelector('.custom-fields-form-title').textContent = `Edit "${field.label}"`;
+    formEl.querySelector('.custom-fields-submit').textContent = 'Save field';
+    cancelBtn.style.display = '';
+    syncOptionsRow();
+    formEl.elements['label'].focus();
+  };
+
+  const render = () => {
+    if (state.customFields.length === 0) {
+      listEl.innerHTML = '<p class="custom-fields-empty">No custom fields yet.</p>';
+      return;
+    }
+    listEl.innerHTML = state.customFields.map((field, index) => `
+      <div class="custom-fields-row" data-field-id="${escapeHtml(field.id)}">
+        <span class="custom-fields-name">${escapeHtml(field.label)}</span>
+        <span class="custom-fields-meta">${CUSTOM_FIELD_TYPES[field.field_type] || field.field_type}${field.show_on_card ? ' · on card' : ''}</span>
+        <button type="button" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+        <button type="button" data-action="down" title="Move down"${index === state.customFields.length - 1 ? ' disabled' : ''}>↓</button>
+        <button type="button" data-action="edit">Edit</button>
+        <button type="button" data-action="delete" class="custom-fields-delete">Delete</button>
+      </div>
+    `).join('');
+  };
+
+  const afterChange = () => {
+    state.customFields = sortFieldDefinitions(state.customFields);
+    render();
+    refreshChartUI();
+  };
+
+  listEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const index = state.customFields.findIndex(f => f.id === button.closest('.custom-fields-row').dataset.fieldId);
+    const field = state.customFields[index];
+    if (!field) return;
+
+    if (button.dataset.action === 'edit') {
+      startEditing(field);
+    } else if (button.dataset.action === 'delete') {
+      if (!confirm(`Delete the field "${field.label}"? Values already entered are kept but no longer shown.`)) return;
+      const res = await deleteCustomFieldDefinition(field.id);
+      if (!res.success) {
+        alert('Failed to delete the field. Please try again.');
+        return;
+      }
+      state.customFields = state.customFields.filter(f => f.id !== field.id);
+      if (editingId === field.id) resetForm();
+      afterChange();
+    } else {
+      await moveCustomField(index, button.dataset.action === 'up' ? -1 : 1);
+      afterChange();
+    }
+  });
+
+  formEl.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const label = formEl.elements['label'].value.trim();
+    const fieldType = typeSelect.value;
+    const options = fieldType === 'select'
+      ? [...new Set(formEl.elements['options'].value.split(',').map(o => o.trim()).filter(Boolean))]
+      : [];
+    if (!label) return;
+    if (fieldType === 'select' && options.length === 0) {
+      alert('Add at least one choice for a choice list.');
+      return;
+    }
+
+    const values = { label, field_type: fieldType, options, show_on_card: formEl.elements['show_on_card'].checked };
+    let res;
+    if (editingId) {
+      res = await updateCustomFieldDefinition(editingId, values);
+      if (res.success) state.customFields = state.customFields.map(f => (f.id === editingId ? res.data : f));
+    } else {
+      const keys = state.customFields.map(f => f.field_key);
+      const position = state.customFields.reduce((max, f) => Math.max(max, (f.position ?? 0) + 1), 0);
+      res = await createCustomFieldDefinition(state.treeId, { ...values, field_key: createFieldKey(label, keys), position });
+      if (res.success) state.customFields.push(res.data);
+    }
+
+    if (!res.success) {
+      alert('Failed to save the field. Please try again.');
+      return;
+    }
+    resetForm();
+    afterChange();
+  });
+
+  cancelBtn.addEventListener('click', resetForm);
+  typeSelect.addEventListener('change', syncOptionsRow);
+
+  resetForm();
+  render();
+  openModal({ title: 'Custom fields', body: container, wide: true, actions: [{ label: 'Close', value: null }] });
+}
+
+// Renumbers every field so positions stay distinct even after imports
+async function moveCustomField(index, offset) {
+  const order = [...state.customFields];
+  const target = index + offset;
+  if (target < 0 || target >= order.length) return;
+  [order[index], order[target]] = [order[target], order[index]];
+
+  for (const [position, field] of order.entries()) {
+    if (field.position === position) continue;
+    const res = await updateCustomFieldDefinition(field.id, { position });
+    if (!res.success) {
+      alert('Failed to reorder the fields. Please try again.');
+      return;
+    }
+    field.position = position;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Import & Export
+// -----------------------------------------------------------------------------
+
+function handleExportGedcom() {
+  if (state.members.length === 0) {
+    alert('There is nobody in this tree to export yet.');
+    return;
+  }
+
+  const visible = getVisibleTree();
+  const gedcom = exportGedcom({
+    treeName: state.treeName,
+    members: visible.members,
+    parentChildRels: state.parentChildRels,
+    spousalRels: visible.spousalRels
+  });
+  downloadFile(`${toFileName(state.treeName)}.ged`, gedcom, 'text/plain');
+}
+
+async function handleImportFile() {
+  const file = await pickFile(IMPORT_FILE_ACCEPT);
+  if (!file) return;
+
+  let plan = await readPlanFromFile(file);
+  if (!plan) return;
+
+  // Backups get the dedicated replace/merge flow
+  if (plan.snapshot) {
+    await restoreSnapshot(plan.snapshot);
+    return;
+  }
+
+  if (plan.csv) {
+    plan = await chooseCsvMapping(plan);
+    if (!plan) return;
+  }
+
+  if (plan.members.length === 0) {
+    alert('No people were found in this file.');
+    return;
+  }
+  plan = validateImportPlan(plan, getLiveTree());
+
+  const { result } = openModal({
+    title: `Import ${file.name} into this tree (dry run)`,
+    body: renderImportSummary(plan),
+    wide: true,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Import', value: 'import', variant: 'primary' }
+    ]
+  });
+  if (await result !== 'import') return;
+
+  await runImport(plan);
+}
+
+function handleExportCsv() {
+  if (state.members.length === 0) {
+    alert('There is nobody in this tree to export yet.');
+    return;
+  }
+
+  const visible = getVisibleTree();
+  const csv = exportCsv({
+    members: visible.members,
+    parentChildRels: state.parentChildRels,
+    spousalRels: visible.spousalRels
+  });
+  downloadFile(`${toFileName(state.treeName)}.csv`, csv, 'text/csv');
+}
+
+function handleDownloadBackup() {
+  const visible = getVisibleTree();
+  const snapshot = createBackupSnapshot({
+    tree: state.tree,
+    members: visible.members,
+    parentChildRels: state.parentChildRels,
+    spousalRels: visible.spousalRels,
+    customFields: state.customFields,
+    sources: state.sources,
+    citations: visible.citations
+  });
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`${toFileName(state.treeName)}-backup-${date}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+}
+
+async function handleRestoreBackup() {
+  const file = await pickFile(BACKUP_FILE_ACCEPT);
+  if (!file) return;
+
+  const plan = await readPlanFromFile(file);
+  if (!plan) return;
+
+  if (!plan.snapshot) {
+    alert('This file is not a family tree backup.');
+    return;
+  }
+  await restoreSnapshot(plan.snapshot);
+}
+
+async function restoreSnapshot(snapshot) {
+  const mergePlan = validateImportPlan(buildRestorePlan(snapshot, {
+    members: state.members,
+    parentChildRels: state.parentChildRels,
+    spousalRels: state.spousalRels,
+    sources: state.sources,
+    citations: state.citations
+  }), getLiveTree());
+  const replacePlan = validateImportPlan(buildRestorePlan(snapshot));
+  const backupName = snapshot.tree?.tree_name || 'Unnamed tree';
+  const backupDate = snapshot.exported_at ? new Date(snapshot.exported_at).toLocaleString() : 'an unknown date';
+
+  const { result } = openModal({
+    title: 'Restore from backup',
+    wide: true,
+    body: `
+      <p>Backup of <strong>${escapeHtml(backupName)}</strong> taken ${escapeHtml(backupDate)}.</p>
+      <p><strong>Merge</strong> adds the people and relationships that are missing from this tree and keeps everything else.
+      <strong>Replace</strong> deletes everyone currently in this tree, recycle bin included, and restores the backup exactly.</p>
+      <p>If merged:</p>
+      ${renderImportSummary(mergePlan)}
+    `,
+    actions: [
+      { label: 'Cancel', value: null },
+      { label: 'Replace', value: 'replace', variant: 'danger' },
+      { label: 'Merge', value: 'merge', variant: 'primary' }
+    ]
+  });
+  const choice = await result;
+
+  if (choice === 'merge') {
+    await runImport(mergePlan);
+  } else if (choice === 'replace') {
+    // Backups leave the recycle bin out, so its people are lost as well
+    const binned = state.recycleBin.members.length;
+    const binNote = binned ? ` (and the ${binned} in the recycle bin)` : '';
+    const confirmed = confirm(`This permanently deletes the ${state.members.length} people currently in this tree${binNote} and restores ${replacePlan.members.length} people from the backup. Continue?`);
+    if (!confirmed) return;
+    await runImport(replacePlan, { replace: true, mainKey: replacePlan.mainKey });
+  }
+}
+
+async function readPlanFromFile(file) {
+  try {
+    return await readImportFile(file);
+  } catch (err) {
+    console.error('Import read error:', err);
+    alert(err.message || 'Could not read this file.');
+    return null;
+  }
+}
+
+async function runImport(plan, { replace = false, mainKey = null } = {}) {
+  try {
+    state.isSaving = true;
+    toggleLoading(true, "Importing...");
+
+    // Replacing clears and refills the tree in one transaction; the old photos'
+    // files are removed only once that has succeeded
+    const oldMedia = state.media;
+    const res = replace
+      ? await commitReplacePlan(state.treeId, plan, { mainKey })
+      : await commitImportPlan(state.treeId, plan, {
+        mainKey,
+        onProgress: (done, total) => toggleLoading(true, `Importing... ${done}/${total}`)
+      });
+    if (replace && res.success) await removeMediaFiles(oldMedia);
+
+    await loadTreeData();
+
+    if (!res.success && replace) {
+      console.error('Restore errors:', res.errors);
+      alert(`The backup could not be restored, so the tree was left as it was.\n\n${res.errors.join('\n')}`);
+    } else if (!res.success) {
+      console.error('Import errors:', res.errors);
+      alert(`Import finished with ${res.errors.length} error(s). See the console for details.`);
+    }
+  } catch (err) {
+    console.error('Import failed', err);
+    alert('Import failed. Please try again.');
+  } finally {
+    // Imports are too big to step back through; earlier edits may no longer apply
+    state.undoStack.clear();
+    toggleLoading(false);
+    state.isSaving = false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Utilities
+// -----------------------------------------------------------------------------
+
+function findYoungestDescendantId(members, relationships) {
+  if (!members || members.length === 0) return null;
+  const depths = {};
+  members.forEach(m => depths[m.id] = 0);
+  let changed = true;
+  let iterations = 0;
+  while (changed && iterations < 100) {
+    changed = false;
     relationships.forEach(rel => {
       const pDepth = depths[rel.parent_id] || 0;
       const cDepth = depths[rel.child_id] || 0;
@@ -1062,8 +4035,23 @@ function findYoungestDescendantId(members, relationships) {
   return maxId;
 }
 
+// Center the chart on a person and, for editors, open their edit form
+function focusPerson(memberId) {
+  if (!state.chart || !state.editApi) return;
+
+  const isGodMode = state.chart.store.getData().some(node => node.id === 'GOD_NODE_TEMP');
+  if (isGodMode) refreshChartUI();
+
+  const datum = state.chart.store.getDatum(memberId);
+  if (!datum) return;
+
+  state.chart.updateMainId(memberId);
+  state.chart.updateTree({ initial: false, tree_position: 'main_to_middle', transition_time: 750 });
+  if (canEditTree()) state.editApi.open(datum);
+}
+
 function handleCopyTreeCode() {
-  if (!state.treeCode) return;
+  if (!state.treeCode || state.link) return;
   navigator.clipboard.writeText(state.treeCode);
   const btn = document.getElementById('copyCodeBtn');
   if (!btn) return;
@@ -1,57 +1,199 @@
-import { subscribeFamilyMembers, subscribeRelationships } from './supabase-client.js'
+import { subscribeFamilyMembers, subscribeRelationships, subscribeCustomFieldDefinitions } from './supabase-client.js'
+
+/**
+ * Real-time sync
+ *
+ * Other people's edits arrive as change payloads
+ *   { table, eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old }
+ * and are applied to the rows already loaded instead of reloading the tree.
+ * Events that arrive while this tab is saving wait until the save is done.
+ * The whole tree is fetched again only when events may have been missed: the
+ * connection dropped, a payload can't be applied, a link points at someone
+ * never loaded, or too many events piled up while saving.
+ */
+
+// Loaded rows each table's changes apply to
+export const SYNC_TABLES = {
+  family_members: 'members',
+  parent_child_relationships: 'parentChildRels',
+  spousal_relationships: 'spousalRels',
+  custom_field_definitions: 'customFields'
+}
+
+// Events this close together are applied as one batch, with one redraw
+const BATCH_MS = 200
+// How often to look again while the tab is saving
+const BUSY_RETRY_MS = 500
+// More events than this while saving are fetched afresh instead
+const MAX_QUEUED_EVENTS = 500
+
+const LINK_ENDS = {
+  parentChildRels: ['parent_id', 'child_id'],
+  spousalRels: ['person1_id', 'person2_id']
+}
 
 let membersSubscription = null
 let relationshipsSubscription = null
+let customFieldsSubscription = null
+
+// Bumped on each setup, so callbacks from old channels are ignored
+let generation = 0
+let queue = []
+let flushTimeout = null
+let resyncing = false
+let needsResync = false
+
+/**
+ * Apply one change payload to a list of rows
+ * @returns {Array|null} The new rows, or null if the payload can't be applied
+ */
+export function applyRowChange(rows, payload) {
+  switch (payload.eventType) {
+    case 'INSERT':
+    case 'UPDATE': {
+      const row = payload.new
+      if (!row?.id) return null
+      const index = rows.findIndex(r => r.id === row.id)
+      if (index < 0) return [...rows, row]
+      const next = [...rows]
+      next[index] = row
+      return next
+    }
+    case 'DELETE':
+      if (!payload.old?.id) return null
+      return rows.filter(r => r.id !== payload.old.id)
+    default:
+      return null
+  }
+}
+
+/**
+ * Apply a batch of payloads to the loaded rows (live and recycle bin together)
+ * @param {Object} rows - { members, parentChildRels, spousalRels, customFields }
+ * @returns {{ rows: Object, tables: Set<string>, gap: boolean }} tables are
+ *   the keys of rows that changed; gap means the rows can't be trusted
+ */
+export function applyChanges(rows, payloads) {
+  const next = { ...rows }
+  const tables = new Set()
+  const savedLinks = []
+
+  for (const payload of payloads) {
+    const key = SYNC_TABLES[payload.table]
+    const changed = key ? applyRowChange(next[key], payload) : null
+    if (!changed) return { rows, tables, gap: true }
+    next[key] = changed
+    tables.add(key)
+    if (LINK_ENDS[key] && payload.new?.id) savedLinks.push({ key, id: payload.new.id })
+  }
+
+  // Each end of a saved link must be someone we have (their own insert
+  // normally arrives in the same batch)
+  const memberIds = new Set(next.members.map(m => m.id))
+  const gap = savedLinks.some(({ key, id }) => {
+    const rel = next[key].find(r => r.id === id)
+    return rel && LINK_ENDS[key].some(end => !memberIds.has(rel[end]))
+  })
+  return { rows: next, tables, gap }
+}
 
 /**
  * Setup real-time synchronization for collaborative editing
  * @param {string} treeId - The tree ID to subscribe to
- * @param {Function} onChangeCallback - Callback to refresh tree when changes occur
+ * @param {Object} handlers
+ * @param {Function} handlers.getRows - () => loaded rows, as for applyChanges
+ * @param {Function} handlers.applyRows - (rows, tables) after a batch is applied
+ * @param {Function} handlers.resync - async () => fetch the whole tree again
+ * @param {Function} handlers.isBusy - () => whether this tab is saving
  */
-export function setupRealtimeSync(treeId, onChangeCallback) {
-  // Clean up existing subscriptions
-  if (membersSubscription) {
-    membersSubscription.unsubscribe()
+export function setupRealtimeSync(treeId, handlers) {
+  cleanupSync()
+  const current = ++generation
+
+  const receive = (payload) => {
+    if (current !== generation) return
+    queue.push(payload)
+    scheduleFlush(handlers, BATCH_MS)
   }
-  if (relationshipsSubscription) {
-    relationshipsSubscription.unsubscribe()
+
+  // Events sent while a channel was down are lost, so coming back after an
+  // interruption means fetching everything again
+  const watchStatus = () => {
+    let interrupted = false
+    return (status) => {
+      if (current !== generation) return
+      if (status === 'SUBSCRIBED') {
+        if (interrupted) {
+          interrupted = false
+          needsResync = true
+          scheduleFlush(handlers, 0)
+        }
+      } else {
+        interrupted = true
+      }
+    }
   }
-  
-  // Subscribe to family member changes
-  membersSubscription = subscribeFamilyMembers(treeId, (payload) => {
-    console.log('Family member change detected:', payload)
-    
-    // Refresh tree after a short delay to batch multiple changes
-    debounceRefresh(onChangeCallback)
-  })
-  
-  // Subscribe to relationship changes
-  relationshipsSubscription = subscribeRelationships(treeId, (payload) => {
-    console.log('Relationship change detected:', payload)
-    
-    // Refresh tree after a short delay to batch multiple changes
-    debounceRefresh(onChangeCallback)
-  })
-  
+
+  membersSubscription = subscribeFamilyMembers(treeId, receive, watchStatus())
+  relationshipsSubscription = subscribeRelationships(treeId, receive, watchStatus())
+  customFieldsSubscription = subscribeCustomFieldDefinitions(treeId, receive, watchStatus())
+
   console.log('Real-time sync enabled for tree:', treeId)
 }
 
-// Debounce function to avoid too many refreshes
-let refreshTimeout = null
-function debounceRefresh(callback) {
-  if (refreshTimeout) {
-    clearTimeout(refreshTimeout)
+function scheduleFlush(handlers, delay) {
+  if (flushTimeout) clearTimeout(flushTimeout)
+  flushTimeout = setTimeout(() => {
+    flushTimeout = null
+    flushQueue(handlers)
+  }, delay)
+}
+
+async function flushQueue(handlers) {
+  if (resyncing) return
+  if (queue.length > MAX_QUEUED_EVENTS) needsResync = true
+  if (handlers.isBusy()) {
+    scheduleFlush(handlers, BUSY_RETRY_MS)
+    return
+  }
+
+  if (!needsResync && queue.length > 0) {
+    const payloads = queue
+    queue = []
+    const { rows, tables, gap } = applyChanges(handlers.getRows(), payloads)
+    if (gap) {
+      console.warn('Real-time changes out of step with the loaded tree, reloading it')
+      needsResync = true
+    } else if (tables.size > 0) {
+      handlers.applyRows(rows, tables)
+    }
+  }
+  if (needsResync) await resync(handlers)
+}
+
+// Events arriving during the fetch wait for it, then apply on top
+async function resync(handlers) {
+  const current = generation
+  resyncing = true
+  needsResync = false
+  queue = []
+  try {
+    await handlers.resync()
+  } finally {
+    resyncing = false
+    if (current === generation && queue.length > 0) scheduleFlush(handlers, 0)
   }
-  
-  refreshTimeout = setTimeout(() => {
-    callback()
-  }, 1000) // Wait 1 second before refreshing
 }
 
 /**
  * Clean up subscriptions
  */
 export function cleanupSync() {
+  generation++
+  if (flushTimeout) clearTimeout(flushTimeout)
+  flushTimeout = null
+  queue = []
+  needsResync = false
   if (membersSubscription) {
     membersSubscription.unsubscribe()
     membersSubscription = null
@@ -60,6 +202,10 @@ export function cleanupSync() {
     relationshipsSubscription.unsubscribe()
     relationshipsSubscription = null
   }
+  if (customFieldsSubscription) {
+    customFieldsSubscription.unsubscribe()
+    customFieldsSubscription = null
+  }
 }
 
 // Clean up on page unload
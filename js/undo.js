@@ -0,0 +1,194 @@
+import { getChangedFields } from './history.js'
+
+/**
+ * Undo / redo
+ *
+ * An edit is recorded as the rows it changed, found by comparing snapshots of
+ * the tree taken before and after it:
+ *   snapshot: { family_members: [...], parent_child_relationships: [...],
+ *               spousal_relationships: [...], citations: [...] }
+ *   command:  { label, changes: [{ table, before, after }] }
+ * before is null for a row the edit created, after is null for one it deleted.
+ * Undoing replays the changes backwards and redoing replays them forwards,
+ * through a function the caller supplies that writes one change.
+ *
+ * A re-created relationship gets a new id, so relationships are matched by the
+ * people they join, and citations of the old id are pointed at the new one.
+ */
+
+export const UNDO_LIMIT = 50
+
+// Parents before children when creating, the reverse when deleting
+const TABLE_ORDER = ['family_members', 'parent_child_relationships', 'spousal_relationships', 'citations']
+
+const RELATIONSHIP_ENDS = {
+  parent_child_relationships: ['parent_id', 'child_id'],
+  spousal_relationships: ['person1_id', 'person2_id']
+}
+
+function rowKey(table, row) {
+  const ends = RELATIONSHIP_ENDS[table]
+  if (!ends) return row.id
+  const ids = ends.map(end => row[end])
+  // A partnership is the same whichever partner is person1
+  return table === 'spousal_relationships' ? ids.sort().join(':') : ids.join(':')
+}
+
+/**
+ * The rows that differ between two snapshots
+ * @returns {Array<{ table, before, after }>}
+ */
+export function diffSnapshots(before, after) {
+  const changes = []
+  TABLE_ORDER.forEach(table => {
+    const oldRows = new Map((before[table] || []).map(row => [rowKey(table, row), row]))
+    const newRows = new Map((after[table] || []).map(row => [rowKey(table, row), row]))
+
+    oldRows.forEach((row, key) => {
+      const newRow = newRows.get(key)
+      if (!newRow) changes.push({ table, before: row, after: null })
+      else if (getChangedFields({ action: 'update', before: row, after: newRow }).length > 0) {
+        changes.push({ table, before: row, after: newRow })
+      }
+    })
+    newRows.forEach((row, key) => {
+      if (!oldRows.has(key)) changes.push({ table, before: null, after: row })
+    })
+  })
+  return changes
+}
+
+/**
+ * The columns an update change sets
+ */
+export function getUpdatedColumns(change) {
+  const columns = {}
+  getChangedFields({ action: 'update', before: change.before, after: change.after }).forEach(({ field, after }) => {
+    columns[field] = after ?? null
+  })
+  return columns
+}
+
+// Swap before/after and put the changes in an order the database accepts
+function prepareReplay(changes, backwards) {
+  const steps = changes.map(change => backwards
+    ? { table: change.table, before: change.after, after: change.before }
+    : change)
+  const rank = ({ table, after }) => after
+    ? TABLE_ORDER.indexOf(table)
+    : TABLE_ORDER.length * 2 - TABLE_ORDER.indexOf(table)
+  return steps.sort((a, b) => rank(a) - rank(b))
+}
+
+/**
+ * Whether a row a replay would update has gone, or had the fields it is about
+ * to set changed since (by someone else, or by an edit outside the stack)
+ */
+function hasLaterChanges(steps, current) {
+  return steps.some(({ table, before, after }) => {
+    // Nothing to compare for rows being created, or deleted (gone already is fine)
+    if (!before || !after) return false
+    const row = (current[table] || []).find(r => rowKey(table, r) === rowKey(table, before))
+    if (!row) return true
+    const fields = getChangedFields({ action: 'update', before, after }).map(({ field }) => field)
+    return fields.some(field => JSON.stringify(row[field] ?? null) !== JSON.stringify(before[field] ?? null))
+  })
+}
+
+/**
+ * A session undo/redo stack
+ * @param {Object} options
+ * @param {Function} options.apply - async (change) -> { success, data, error };
+ *   writes one change (data is the row created, if any)
+ * @param {Function} [options.onChange] - called whenever the stacks change
+ * @param {number} [options.limit] - commands kept for undo
+ */
+export function createUndoStack({ apply, onChange = () => {}, limit = UNDO_LIMIT }) {
+  const undoStack = []
+  const redoStack = []
+  // Relationship id -> the id of the row that replaced it
+  const aliases = new Map()
+
+  const resolveId = (id) => {
+    while (id && aliases.has(id)) id = aliases.get(id)
+    return id
+  }
+
+  const resolveRow = (row) => row && {
+    ...row,
+    id: resolveId(row.id),
+    ...('parent_child_relationship_id' in row && { parent_child_relationship_id: resolveId(row.parent_child_relationship_id) }),
+    ...('spousal_relationship_id' in row && { spousal_relationship_id: resolveId(row.spousal_relationship_id) })
+  }
+
+  async function replay(command, backwards, current, confirmOverwrite) {
+    const steps = prepareReplay(command.changes, backwards)
+    if (current && hasLaterChanges(steps, current) && !await confirmOverwrite(command)) {
+      return { success: false, cancelled: true }
+    }
+
+    for (const step of steps) {
+      const change = { table: step.table, before: resolveRow(step.before), after: resolveRow(step.after) }
+      const res = await apply(change)
+      if (!res.success) return { success: false, error: res.error }
+      if (!change.before && RELATIONSHIP_ENDS[change.table] && res.data?.id && res.data.id !== change.after.id) {
+        aliases.set(change.after.id, res.data.id)
+      }
+    }
+    return { success: true }
+  }
+
+  // Undo and redo share everything but the direction
+  async function move(from, to, backwards, { current = null, confirmOverwrite = async () => true } = {}) {
+    const command = from[from.length - 1]
+    if (!command) return { success: false, error: 'Nothing to replay' }
+
+    const res = await replay(command, backwards, current, confirmOverwrite)
+    if (res.success) {
+      to.push(from.pop())
+      onChange()
+    }
+    return { ...res, label: command.label }
+  }
+
+  return {
+    /**
+     * Record an edit (ignored when it changed nothing); clears the redo stack
+     */
+    record(label, changes) {
+      if (changes.length === 0) return
+      undoStack.push({ label, changes })
+      if (undoStack.length > limit) undoStack.shift()
+      redoStack.length = 0
+      onChange()
+    },
+
+    /**
+     * Undo the last edit
+     * With a current snapshot, confirmOverwrite(command) is asked first when
+     * the rows have changed since; resolves { cancelled: true } if declined.
+     */
+    undo(options) {
+      return move(undoStack, redoStack, true, options)
+    },
+
+    redo(options) {
+      return move(redoStack, undoStack, false, options)
+    },
+
+    undoLabel() {
+      return undoStack[undoStack.length - 1]?.label || null
+    },
+
+    redoLabel() {
+      return redoStack[redoStack.length - 1]?.label || null
+    },
+
+    clear() {
+      undoStack.length = 0
+      redoStack.length = 0
+      aliases.clear()
+      onChange()
+    }
+  }
+}
@@ -0,0 +1,308 @@
+import { readStoredDate, getDateYear, dateSortValue } from './dates.js'
+import { formatPersonName } from './names.js'
+
+/**
+ * Data checks
+ *
+ * Relationship and date checks run on a tree before anything is written:
+ *   { members, parentChildRels, spousalRels }   (rows shaped like the tables)
+ * Each finding is
+ *   { severity: 'error' | 'warning', code, message, memberIds, links }
+ * where links are the relationship rows involved. Errors are things that
+ * can't be true (someone as their own grandparent, three biological parents,
+ * a child certainly born before their parent); warnings are merely unlikely
+ * and left to the researcher. Approximate dates ("abt. 1850", "bef. 1790")
+ * give an error only when even their widest reading is out of order.
+ */
+
+export const VALIDATION_LIMITS = {
+  biologicalParents: 2,
+  maxLifespan: 110,
+  minParentAge: 13,
+  maxMotherAge: 55,
+  maxFatherAge: 80,
+  // Years either side of an "about" date
+  aboutYears: 5
+}
+
+const UNKNOWN_NAME = 'Unknown'
+
+function parentPair(rel) {
+  return `${rel.parent_id}|${rel.child_id}`
+}
+
+// Earliest and latest a date can be, as sort values
+function dateBounds(date) {
+  if (!date) return null
+  const low = (p) => p.year * 10000 + (p.month || 1) * 100 + (p.day || 1)
+  const high = (p) => p.year * 10000 + (p.month || 12) * 100 + (p.day || 31)
+  switch (date.modifier) {
+    case 'about': return [(date.start.year - VALIDATION_LIMITS.aboutYears) * 10000 + 101, (date.start.year + VALIDATION_LIMITS.aboutYears) * 10000 + 1231]
+    case 'before': return [-Infinity, high(date.start)]
+    case 'after': return [low(date.start), Infinity]
+    case 'between': return [low(date.start), high(date.end)]
+    default: return [low(date.start), high(date.start)]
+  }
+}
+
+/**
+ * Whether `earlier` comes after `later` when it shouldn't
+ * @returns {'certain'|'likely'|null}
+ */
+function outOfOrder(earlier, later) {
+  if (!earlier || !later) return null
+  const [earlierLow] = dateBounds(earlier)
+  const [, laterHigh] = dateBounds(later)
+  if (earlierLow > laterHigh) return 'certain'
+  if (dateSortValue(earlier) > dateSortValue(later)) return 'likely'
+  return null
+}
+
+function memberDates(member) {
+  return {
+    birth: readStoredDate(member?.birth_date, member?.birthday),
+    death: readStoredDate(member?.death_date, member?.death)
+  }
+}
+
+/**
+ * A checker over one tree, kept up to date as relationships are added, so
+ * many small checks (one per imported link, say) don't rebuild everything
+ * @param {Object} tree - { members, parentChildRels, spousalRels }
+ * @param {Object} [options]
+ * @param {Function} [options.nameOf] - member id -> display name
+ */
+export function createValidator(tree, { nameOf = null } = {}) {
+  const members = new Map(tree.members.map(m => [m.id, m]))
+  const parentsOf = new Map()
+  const childrenOf = new Map()
+  // Only partnerships of someone with themselves are of interest
+  const selfPartnerships = (tree.spousalRels || []).filter(rel => rel.person1_id === rel.person2_id)
+  const name = nameOf || ((id) => formatPersonName(members.get(id)) || UNKNOWN_NAME)
+
+  // Parent links are indexed from both ends, so a check of a few people
+  // doesn't walk the whole tree; a link between the same two people replaces
+  // the one before it
+  const without = (map, id, rel) => (map.get(id) || []).filter(r => parentPair(r) !== parentPair(rel))
+  const addParentChild = (rel) => {
+    parentsOf.set(rel.child_id, [...without(parentsOf, rel.child_id, rel), rel])
+    childrenOf.set(rel.parent_id, [...without(childrenOf, rel.parent_id, rel), rel])
+  }
+  const removeParentChild = (rel) => {
+    parentsOf.set(rel.child_id, without(parentsOf, rel.child_id, rel))
+    childrenOf.set(rel.parent_id, without(childrenOf, rel.parent_id, rel))
+  }
+  for (const rel of tree.parentChildRels || []) addParentChild(rel)
+
+  // A path of parent links from a person back to themselves, or null
+  const findAncestryCycle = (memberId) => {
+    const visited = new Set()
+    const walk = (id, path) => {
+      for (const rel of parentsOf.get(id) || []) {
+        if (rel.parent_id === memberId) return [...path, rel]
+        if (visited.has(rel.parent_id)) continue
+        visited.add(rel.parent_id)
+        const found = walk(rel.parent_id, [...path, rel])
+        if (found) return found
+      }
+      return null
+    }
+    return walk(memberId, [])
+  }
+
+  const checkMember = (member, issues) => {
+    const { birth, death } = memberDates(member)
+    const order = outOfOrder(birth, death)
+    if (order) {
+      issues.push({
+        severity: order === 'certain' ? 'error' : 'warning',
+        code: 'death-before-birth',
+        message: order === 'certain'
+          ? `${name(member.id)} died before they were born`
+          : `${name(member.id)}'s death date may be before their birth date`,
+        memberIds: [member.id],
+        links: []
+      })
+    }
+    const age = birth && death ? getDateYear(death) - getDateYear(birth) : null
+    if (age !== null && age > VALIDATION_LIMITS.maxLifespan) {
+      issues.push({
+        severity: 'warning',
+        code: 'implausible-lifespan',
+        message: `${name(member.id)} would have lived to ${age}`,
+        memberIds: [member.id],
+        links: []
+      })
+    }
+  }
+
+  const checkParentLink = (rel, issues) => {
+    if (rel.parent_id === rel.child_id) return
+    const parent = members.get(rel.parent_id)
+    const child = members.get(rel.child_id)
+    if (!parent || !child) return
+    const isBiological = (rel.relationship_type || 'biological') === 'biological'
+    const parentDates = memberDates(parent)
+    const childDates = memberDates(child)
+    const memberIds = [rel.parent_id, rel.child_id]
+
+    const order = outOfOrder(parentDates.birth, childDates.birth)
+    if (order) {
+      issues.push({
+        severity: order === 'certain' && isBiological ? 'error' : 'warning',
+        code: 'parent-younger-than-child',
+        message: order === 'certain'
+          ? `${name(rel.parent_id)} was born after their child ${name(rel.child_id)}`
+          : `${name(rel.parent_id)} may have been born after their child ${name(rel.child_id)}`,
+        memberIds,
+        links: [rel]
+      })
+      return
+    }
+
+    if (!isBiological || !parentDates.birth || !childDates.birth) return
+    const ageAtBirth = getDateYear(childDates.birth) - getDateYear(parentDates.birth)
+    const maxAge = parent.gender === 'F' ? VALIDATION_LIMITS.maxMotherAge : VALIDATION_LIMITS.maxFatherAge
+    if (ageAtBirth < VALIDATION_LIMITS.minParentAge || ageAtBirth > maxAge) {
+      issues.push({
+        severity: 'warning',
+        code: 'implausible-parent-age',
+        message: `${name(rel.parent_id)} would have been ${ageAtBirth} when ${name(rel.child_id)} was born`,
+        memberIds,
+        links: [rel]
+      })
+    }
+
+    // A father can die before the birth, but not by more than a year
+    const yearsAfterDeath = parentDates.death ? getDateYear(childDates.birth) - getDateYear(parentDates.death) : null
+    if (yearsAfterDeath !== null && yearsAfterDeath > 1) {
+      issues.push({
+        severity: 'warning',
+        code: 'born-after-parent-death',
+        message: `${name(rel.child_id)} was born ${yearsAfterDeath} years after ${name(rel.parent_id)} died`,
+        memberIds,
+        links: [rel]
+      })
+    }
+  }
+
+  const checkParentCount = (childId, issues) => {
+    const byType = new Map()
+    for (const rel of parentsOf.get(childId) || []) {
+      const type = rel.relationship_type || 'biological'
+      byType.set(type, [...(byType.get(type) || []), rel])
+    }
+    byType.forEach((rels, type) => {
+      if (rels.length <= VALIDATION_LIMITS.biologicalParents) return
+      const isBiological = type === 'biological'
+      issues.push({
+        severity: isBiological ? 'error' : 'warning',
+        code: isBiological ? 'too-many-parents' : 'many-parents-of-type',
+        message: `${name(childId)} would have ${rels.length} ${type} parents`,
+        memberIds: [childId, ...rels.map(r => r.parent_id)],
+        links: rels
+      })
+    })
+  }
+
+  const checkCycle = (memberId, issues, reported) => {
+    const cycle = findAncestryCycle(memberId)
+    if (!cycle) return
+    const memberIds = cycle.map(rel => rel.child_id)
+    const key = [...memberIds].sort().join('|')
+    if (reported.has(key)) return
+    reported.add(key)
+    issues.push({
+      severity: 'error',
+      code: 'ancestry-cycle',
+      message: cycle.length === 1
+        ? `${name(memberId)} can't be their own parent`
+        : `${name(memberId)} would be their own ancestor (${[memberId, ...cycle.map(rel => rel.parent_id)].map(name).join(' → ')})`,
+      memberIds,
+      links: cycle
+    })
+  }
+
+  return {
+    addParentChild,
+    removeParentChild,
+
+    addSpousal(rel) {
+      if (rel.person1_id === rel.person2_id) selfPartnerships.push(rel)
+    },
+
+    removeSpousal(rel) {
+      const index = selfPartnerships.indexOf(rel)
+      if (index >= 0) selfPartnerships.splice(index, 1)
+    },
+
+    /**
+     * Findings about some people (everyone when memberIds is null): their own
+     * dates, their links to parents and children, and any cycle through them
+     */
+    check(memberIds = null) {
+      const ids = memberIds ? [...new Set(memberIds)] : [...members.keys()]
+      const issues = []
+      const reportedCycles = new Set()
+
+      ids.forEach(id => { if (members.has(id)) checkMember(members.get(id), issues) })
+
+      const links = new Set()
+      ids.forEach(id => [...(parentsOf.get(id) || []), ...(childrenOf.get(id) || [])].forEach(rel => links.add(rel)))
+      links.forEach(rel => checkParentLink(rel, issues))
+      ids.forEach(id => checkParentCount(id, issues))
+      ids.forEach(id => checkCycle(id, issues, reportedCycles))
+
+      const inScope = new Set(ids)
+      selfPartnerships.filter(rel => inScope.has(rel.person1_id)).forEach(rel => {
+        issues.push({
+          severity: 'error',
+          code: 'self-partnership',
+          message: `${name(rel.person1_id)} can't be their own partner`,
+          memberIds: [rel.person1_id],
+          links: [rel]
+        })
+      })
+
+      return issues
+    }
+  }
+}
+
+/**
+ * Findings for a whole tree, or for some people in it
+ */
+export function checkTree(tree, { memberIds = null, nameOf = null } = {}) {
+  return createValidator(tree, { nameOf }).check(memberIds)
+}
+
+/**
+ * Check an edit before it is saved: the tree as it would be afterwards,
+ * limited to the people the edit touches
+ * @param {Object} tree - The tree now
+ * @param {Object} changes - { members: [row], parentChildRels: [row], spousalRels: [row] };
+ *   member rows replace the row with the same id (or are new), relationship
+ *   rows are new or replace the link between the same people
+ * @returns {{ errors: Array, warnings: Array }}
+ */
+export function validateChanges(tree, { members = [], parentChildRels = [], spousalRels = [] }, { nameOf = null } = {}) {
+  const changedIds = new Set(members.map(m => m.id))
+  const proposed = {
+    members: [...tree.members.filter(m => !changedIds.has(m.id)), ...members],
+    parentChildRels: tree.parentChildRels,
+    spousalRels: tree.spousalRels
+  }
+  const validator = createValidator(proposed, { nameOf })
+  parentChildRels.forEach(rel => validator.addParentChild(rel))
+  spousalRels.forEach(rel => validator.addSpousal(rel))
+
+  const touched = new Set(changedIds)
+  parentChildRels.forEach(rel => { touched.add(rel.parent_id); touched.add(rel.child_id) })
+  spousalRels.forEach(rel => { touched.add(rel.person1_id); touched.add(rel.person2_id) })
+
+  const issues = validator.check([...touched])
+  return {
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  }
+}
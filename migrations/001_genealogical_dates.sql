@@ -0,0 +1,11 @@
+-- Full and approximate dates for family members
+--
+-- birth_date / death_date hold the date in GEDCOM syntax, e.g.
+--   '12 MAR 1921', 'MAR 1921', 'ABT 1850', 'BEF 1790', 'BET 1840 AND 1845'
+-- The integer birthday / death columns keep holding the year so existing
+-- year-based queries keep working. Rows without a date text fall back to
+-- the year.
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS birth_date TEXT,
+  ADD COLUMN IF NOT EXISTS death_date TEXT;
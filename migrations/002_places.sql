@@ -0,0 +1,10 @@
+-- Birth, death and burial places plus residences for family members
+--
+-- residences is a list of { "place": text, "date": GEDCOM date text | null },
+-- e.g. [{ "place": "Boston, Massachusetts", "date": "BET 1950 AND 1962" }]
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS birth_place TEXT,
+  ADD COLUMN IF NOT EXISTS death_place TEXT,
+  ADD COLUMN IF NOT EXISTS burial_place TEXT,
+  ADD COLUMN IF NOT EXISTS residences JSONB NOT NULL DEFAULT '[]'::jsonb;
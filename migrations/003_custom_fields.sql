@@ -0,0 +1,36 @@
+-- Per-tree custom person fields
+--
+-- Each tree defines its own extra fields; values are stored on the member in
+-- custom_fields keyed by field_key, e.g. { "occupation": "Blacksmith" }.
+-- Date values use the same GEDCOM syntax as birth_date / death_date.
+
+CREATE TABLE IF NOT EXISTS custom_field_definitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  field_key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  field_type TEXT NOT NULL DEFAULT 'text'
+    CHECK (field_type IN ('text', 'number', 'date', 'select', 'long_text')),
+  options JSONB NOT NULL DEFAULT '[]'::jsonb,
+  show_on_card BOOLEAN NOT NULL DEFAULT false,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (tree_id, field_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_field_definitions_tree_id
+  ON custom_field_definitions(tree_id);
+
+ALTER TABLE custom_field_definitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read custom field definitions"
+  ON custom_field_definitions FOR SELECT USING (true);
+CREATE POLICY "Anyone can create custom field definitions"
+  ON custom_field_definitions FOR INSERT WITH CHECK (true);
+CREATE POLICY "Anyone can update custom field definitions"
+  ON custom_field_definitions FOR UPDATE USING (true);
+CREATE POLICY "Anyone can delete custom field definitions"
+  ON custom_field_definitions FOR DELETE USING (true);
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
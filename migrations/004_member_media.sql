@@ -0,0 +1,46 @@
+-- Photos and documents attached to family members
+--
+-- Files live in the "member-media" Storage bucket under
+-- <tree_id>/<member_id>/<timestamp>-<file name>; member_media holds one row
+-- per file. family_members.avatar_media_id picks the portrait for the card.
+
+CREATE TABLE IF NOT EXISTS member_media (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+  storage_path TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT,
+  caption TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_media_tree_id ON member_media(tree_id);
+CREATE INDEX IF NOT EXISTS idx_member_media_member_id ON member_media(member_id);
+
+ALTER TABLE member_media ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read member media"
+  ON member_media FOR SELECT USING (true);
+CREATE POLICY "Anyone can create member media"
+  ON member_media FOR INSERT WITH CHECK (true);
+CREATE POLICY "Anyone can update member media"
+  ON member_media FOR UPDATE USING (true);
+CREATE POLICY "Anyone can delete member media"
+  ON member_media FOR DELETE USING (true);
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS avatar_media_id UUID REFERENCES member_media(id) ON DELETE SET NULL;
+
+-- Storage bucket for the files themselves
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('member-media', 'member-media', true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Anyone can read member media files"
+  ON storage.objects FOR SELECT USING (bucket_id = 'member-media');
+CREATE POLICY "Anyone can upload member media files"
+  ON storage.objects FOR INSERT WITH CHECK (bucket_id = 'member-media');
+CREATE POLICY "Anyone can delete member media files"
+  ON storage.objects FOR DELETE USING (bucket_id = 'member-media');
@@ -0,0 +1,56 @@
+-- Sources and citations
+--
+-- A source is a document, register or website the tree relies on. A citation
+-- links one source to exactly one thing it supports:
+--   * a member fact (member_id + fact: name, birth or death)
+--   * a parent-child relationship row
+--   * a spousal relationship row
+-- confidence follows GEDCOM's QUAY scale: primary (3), secondary (2),
+-- questionable (1), unreliable (0).
+
+CREATE TABLE IF NOT EXISTS sources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  author TEXT,
+  repository TEXT,
+  url TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS citations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  source_id UUID NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+  member_id UUID REFERENCES family_members(id) ON DELETE CASCADE,
+  fact TEXT CHECK (fact IN ('name', 'birth', 'death')),
+  parent_child_relationship_id UUID REFERENCES parent_child_relationships(id) ON DELETE CASCADE,
+  spousal_relationship_id UUID REFERENCES spousal_relationships(id) ON DELETE CASCADE,
+  detail TEXT,
+  confidence TEXT NOT NULL DEFAULT 'secondary'
+    CHECK (confidence IN ('primary', 'secondary', 'questionable', 'unreliable')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (
+    (CASE WHEN member_id IS NOT NULL AND fact IS NOT NULL THEN 1 ELSE 0 END) +
+    (CASE WHEN parent_child_relationship_id IS NOT NULL THEN 1 ELSE 0 END) +
+    (CASE WHEN spousal_relationship_id IS NOT NULL THEN 1 ELSE 0 END) = 1
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_sources_tree_id ON sources(tree_id);
+CREATE INDEX IF NOT EXISTS idx_citations_tree_id ON citations(tree_id);
+CREATE INDEX IF NOT EXISTS idx_citations_source_id ON citations(source_id);
+
+ALTER TABLE sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE citations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can read sources" ON sources FOR SELECT USING (true);
+CREATE POLICY "Anyone can create sources" ON sources FOR INSERT WITH CHECK (true);
+CREATE POLICY "Anyone can update sources" ON sources FOR UPDATE USING (true);
+CREATE POLICY "Anyone can delete sources" ON sources FOR DELETE USING (true);
+
+CREATE POLICY "Anyone can read citations" ON citations FOR SELECT USING (true);
+CREATE POLICY "Anyone can create citations" ON citations FOR INSERT WITH CHECK (true);
+CREATE POLICY "Anyone can update citations" ON citations FOR UPDATE USING (true);
+CREATE POLICY "Anyone can delete citations" ON citations FOR DELETE USING (true);
@@ -0,0 +1,10 @@
+-- Dates and place of a partnership
+--
+-- start_date / end_date use the same GEDCOM date syntax as birth_date
+-- ("12 JUN 1850", "ABT 1870"). For a marriage the start is the wedding and
+-- the end is the divorce or separation, if any; place is where it began.
+
+ALTER TABLE spousal_relationships
+  ADD COLUMN IF NOT EXISTS start_date TEXT,
+  ADD COLUMN IF NOT EXISTS end_date TEXT,
+  ADD COLUMN IF NOT EXISTS place TEXT;
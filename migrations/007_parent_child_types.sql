@@ -0,0 +1,15 @@
+-- Kind of parent-child link
+--
+-- Existing rows are birth parents. A child may be linked to any number of
+-- parents, e.g. both birth parents and adoptive parents; the chart shows the
+-- biological ones in the father / mother slots when there is a choice.
+
+ALTER TABLE parent_child_relationships
+  ADD COLUMN IF NOT EXISTS relationship_type TEXT NOT NULL DEFAULT 'biological';
+
+ALTER TABLE parent_child_relationships
+  DROP CONSTRAINT IF EXISTS parent_child_relationships_type_check;
+
+ALTER TABLE parent_child_relationships
+  ADD CONSTRAINT parent_child_relationships_type_check
+  CHECK (relationship_type IN ('biological', 'adoptive', 'step', 'foster', 'guardian'));
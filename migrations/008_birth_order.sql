@@ -0,0 +1,9 @@
+-- Birth order and multiple births
+--
+-- birth_order is the person's position among their siblings (1 = eldest).
+-- Left NULL, siblings are ordered by birth date. Siblings that share a
+-- multiple_birth_group value are twins, triplets, ... and are kept together.
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS birth_order INTEGER,
+  ADD COLUMN IF NOT EXISTS multiple_birth_group TEXT;
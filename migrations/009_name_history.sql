@@ -0,0 +1,17 @@
+-- Name history
+--
+-- first_name / last_name stay the person's primary name (shown on the card);
+-- name_type says what kind of name it is. Every other name they were known by
+-- is kept in other_names:
+--   [{ "type": "married", "first_name": "Mary", "last_name": "Walsh" }]
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS name_type TEXT NOT NULL DEFAULT 'birth',
+  ADD COLUMN IF NOT EXISTS other_names JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE family_members
+  DROP CONSTRAINT IF EXISTS family_members_name_type_check;
+
+ALTER TABLE family_members
+  ADD CONSTRAINT family_members_name_type_check
+  CHECK (name_type IN ('birth', 'married', 'alias', 'religious', 'anglicized'));
@@ -0,0 +1,22 @@
+-- Living people and privacy
+--
+-- living_status records whether someone is alive when the dates can't tell:
+--   'living' / 'deceased', or NULL to work it out from the birth and death
+--   details (no death recorded and born within the last 100 years).
+-- hide_living is a per-tree switch: when on, people who are (or may be)
+-- living are shown as "Private" to anyone without editor access, on the
+-- chart and in every export. The app does the masking; the rows themselves
+-- are still readable by anyone who can read the tree.
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS living_status TEXT;
+
+ALTER TABLE family_members
+  DROP CONSTRAINT IF EXISTS family_members_living_status_check;
+
+ALTER TABLE family_members
+  ADD CONSTRAINT family_members_living_status_check
+  CHECK (living_status IS NULL OR living_status IN ('living', 'deceased'));
+
+ALTER TABLE family_trees
+  ADD COLUMN IF NOT EXISTS hide_living BOOLEAN NOT NULL DEFAULT false;
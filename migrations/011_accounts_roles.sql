@@ -0,0 +1,262 @@
+-- Accounts and per-tree roles
+--
+-- People sign in with Supabase Auth (email magic link). tree_members gives
+-- each account a role in a tree:
+--   owner  - everything an editor can do, plus tree settings and member roles
+--   editor - add, change and delete people, relationships, sources, media...
+--   viewer - read only
+-- Reading a tree needs its role or its code, which the app sends with every
+-- request (see can_read_tree()); every write needs an owner or editor role. Whoever creates a tree becomes its owner. Opening a tree
+-- while signed in joins it as a viewer. Trees created before this migration
+-- have no owner until an admin assigns one with assign_tree_owner().
+
+CREATE TABLE IF NOT EXISTS tree_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  role TEXT NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (tree_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tree_members_user_id
+  ON tree_members(user_id);
+
+-- ==================== ROLE HELPERS ====================
+-- SECURITY DEFINER so policies on tree_members can use them without recursing
+
+CREATE OR REPLACE FUNCTION tree_role(p_tree_id UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT role FROM tree_members
+  WHERE tree_id = p_tree_id AND user_id = auth.uid()
+$$;
+
+CREATE OR REPLACE FUNCTION can_edit_tree(p_tree_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT COALESCE(tree_role(p_tree_id) IN ('owner', 'editor'), false)
+$$;
+
+-- The code the page was opened with: supabase-client.js sends it in the
+-- x-tree-code header of every request. NULL outside API requests.
+CREATE OR REPLACE FUNCTION request_tree_code()
+RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$
+  SELECT upper(NULLIF(current_setting('request.headers', true), '')::JSON ->> 'x-tree-code')
+$$;
+
+-- Members can read a tree, and so can anyone whose request carries its code
+CREATE OR REPLACE FUNCTION can_read_tree(p_tree_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT tree_role(p_tree_id) IS NOT NULL
+    OR EXISTS (SELECT 1 FROM family_trees WHERE id = p_tree_id AND tree_code = request_tree_code())
+$$;
+
+CREATE OR REPLACE FUNCTION tree_owner_count(p_tree_id UUID)
+RETURNS INTEGER
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT count(*)::INTEGER FROM tree_members
+  WHERE tree_id = p_tree_id AND role = 'owner'
+$$;
+
+-- The creator of a tree becomes its owner
+CREATE OR REPLACE FUNCTION add_tree_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    INSERT INTO tree_members (tree_id, user_id, email, role)
+    VALUES (NEW.id, auth.uid(), auth.jwt() ->> 'email', 'owner')
+    ON CONFLICT (tree_id, user_id) DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS family_trees_add_owner ON family_trees;
+CREATE TRIGGER family_trees_add_owner
+  AFTER INSERT ON family_trees
+  FOR EACH ROW EXECUTE FUNCTION add_tree_owner();
+
+-- Join a tree as a viewer and return the caller's role in it
+CREATE OR REPLACE FUNCTION join_family_tree(p_tree_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  existing_role TEXT;
+  new_role TEXT;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to join a tree';
+  END IF;
+
+  existing_role := tree_role(p_tree_id);
+  IF existing_role IS NOT NULL THEN
+    RETURN existing_role;
+  END IF;
+
+  INSERT INTO tree_members (tree_id, user_id, email, role)
+  VALUES (p_tree_id, auth.uid(), auth.jwt() ->> 'email', 'viewer');
+
+  RETURN 'viewer';
+END;
+$$;
+
+-- Trees created before this migration have no owner, and anyone can list
+-- them, so ownership isn't given to whoever opens one first. An admin gives
+-- it to the right person from the SQL editor, once they have signed in:
+--   SELECT assign_tree_owner('ABC123', 'owner@example.com');
+CREATE OR REPLACE FUNCTION assign_tree_owner(p_tree_code TEXT, p_email TEXT)
+RETURNS VOID
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  target_tree UUID;
+  target_user UUID;
+BEGIN
+  SELECT id INTO target_tree FROM family_trees WHERE tree_code = upper(p_tree_code);
+  IF target_tree IS NULL THEN
+    RAISE EXCEPTION 'No tree with code %', p_tree_code;
+  END IF;
+
+  SELECT id INTO target_user FROM auth.users WHERE lower(email) = lower(p_email);
+  IF target_user IS NULL THEN
+    RAISE EXCEPTION 'No account for % (they need to sign in once first)', p_email;
+  END IF;
+
+  INSERT INTO tree_members (tree_id, user_id, email, role)
+  VALUES (target_tree, target_user, p_email, 'owner')
+  ON CONFLICT (tree_id, user_id) DO UPDATE SET role = 'owner';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION assign_tree_owner(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Only a membership's role changes: moving a row to another tree or account
+-- would let the owner of one tree take over another
+CREATE OR REPLACE FUNCTION keep_tree_member_ids()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.tree_id <> OLD.tree_id OR NEW.user_id <> OLD.user_id THEN
+    RAISE EXCEPTION 'A membership''s tree and account can''t be changed';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tree_members_keep_ids ON tree_members;
+CREATE TRIGGER tree_members_keep_ids
+  BEFORE UPDATE ON tree_members
+  FOR EACH ROW EXECUTE FUNCTION keep_tree_member_ids();
+
+-- ==================== POLICIES ====================
+
+ALTER TABLE tree_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can see who else is in their trees"
+  ON tree_members FOR SELECT USING (tree_role(tree_id) IS NOT NULL);
+-- Owners change roles; the last owner can't be demoted
+CREATE POLICY "Owners can change roles"
+  ON tree_members FOR UPDATE
+  USING (tree_role(tree_id) = 'owner')
+  WITH CHECK (
+    tree_role(tree_id) = 'owner'
+    AND (role = 'owner' OR tree_owner_count(tree_id) > 1 OR user_id <> auth.uid())
+  );
+-- Owners remove people; anyone can leave. The last owner can't be removed.
+CREATE POLICY "Owners can remove members and members can leave"
+  ON tree_members FOR DELETE
+  USING (
+    (tree_role(tree_id) = 'owner' OR user_id = auth.uid())
+    AND (role <> 'owner' OR tree_owner_count(tree_id) > 1)
+  );
+
+-- Replace the open policies of every tree table with role checks.
+-- The base schema's policy names vary, so drop whatever write policies exist
+-- and replace the open reads with can_read_tree().
+DO $$
+DECLARE
+  policy RECORD;
+BEGIN
+  FOR policy IN
+    SELECT policyname, tablename FROM pg_policies
+    WHERE schemaname = 'public'
+      AND tablename IN ('family_trees', 'family_members', 'parent_child_relationships',
+                        'spousal_relationships', 'custom_field_definitions', 'member_media',
+                        'sources', 'citations')
+      AND cmd IN ('INSERT', 'UPDATE', 'DELETE', 'ALL')
+  LOOP
+    EXECUTE format('DROP POLICY %I ON %I', policy.policyname, policy.tablename);
+  END LOOP;
+END $$;
+
+DROP POLICY IF EXISTS "Anyone can read family trees" ON family_trees;
+CREATE POLICY "Anyone can read family trees" ON family_trees FOR SELECT USING (true);
+CREATE POLICY "Signed-in users can create trees" ON family_trees FOR INSERT WITH CHECK (auth.uid() IS NOT NULL);
+CREATE POLICY "Owners can update trees" ON family_trees FOR UPDATE USING (tree_role(id) = 'owner');
+CREATE POLICY "Owners can delete trees" ON family_trees FOR DELETE USING (tree_role(id) = 'owner');
+
+DROP POLICY IF EXISTS "Anyone can read family members" ON family_members;
+CREATE POLICY "Readers can read family members" ON family_members FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create family members" ON family_members FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update family members" ON family_members FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete family members" ON family_members FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read parent-child relationships" ON parent_child_relationships;
+CREATE POLICY "Readers can read parent-child relationships" ON parent_child_relationships FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create parent-child relationships" ON parent_child_relationships FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update parent-child relationships" ON parent_child_relationships FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete parent-child relationships" ON parent_child_relationships FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read spousal relationships" ON spousal_relationships;
+CREATE POLICY "Readers can read spousal relationships" ON spousal_relationships FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create spousal relationships" ON spousal_relationships FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update spousal relationships" ON spousal_relationships FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete spousal relationships" ON spousal_relationships FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read custom field definitions" ON custom_field_definitions;
+CREATE POLICY "Readers can read custom field definitions" ON custom_field_definitions FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create custom field definitions" ON custom_field_definitions FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update custom field definitions" ON custom_field_definitions FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete custom field definitions" ON custom_field_definitions FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read member media" ON member_media;
+CREATE POLICY "Readers can read member media" ON member_media FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create member media" ON member_media FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update member media" ON member_media FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete member media" ON member_media FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read sources" ON sources;
+CREATE POLICY "Readers can read sources" ON sources FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create sources" ON sources FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update sources" ON sources FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete sources" ON sources FOR DELETE USING (can_edit_tree(tree_id));
+
+DROP POLICY IF EXISTS "Anyone can read citations" ON citations;
+CREATE POLICY "Readers can read citations" ON citations FOR SELECT USING (can_read_tree(tree_id));
+CREATE POLICY "Editors can create citations" ON citations FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can update citations" ON citations FOR UPDATE USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can delete citations" ON citations FOR DELETE USING (can_edit_tree(tree_id));
+
+-- Media files live under <tree id>/<member id>/...
+DROP POLICY IF EXISTS "Anyone can upload member media files" ON storage.objects;
+DROP POLICY IF EXISTS "Anyone can delete member media files" ON storage.objects;
+CREATE POLICY "Editors can upload member media files"
+  ON storage.objects FOR INSERT
+  WITH CHECK (bucket_id = 'member-media' AND can_edit_tree(((storage.foldername(name))[1])::uuid));
+CREATE POLICY "Editors can delete member media files"
+  ON storage.objects FOR DELETE
+  USING (bucket_id = 'member-media' AND can_edit_tree(((storage.foldername(name))[1])::uuid));
@@ -0,0 +1,198 @@
+-- Share links
+--
+-- Besides its tree code, a tree can have any number of share tokens, each
+-- opened as tree.html?code=<token>:
+--   view - a read-only link; the page never offers editing
+--   edit - signing in through it makes you an editor of the tree
+-- Tokens have an optional label ("cousins WhatsApp group") and expiry.
+-- Owners can rotate a token (new value, same settings; people who already
+-- joined through it keep their role) or revoke it, which also removes
+-- anyone who joined through it. A membership that came from a link lapses
+-- when the link expires. Other tokens are not affected.
+-- Tokens are private to owners; resolve_tree_code() looks them up, and a
+-- request carrying an unexpired token can read the tree like one carrying
+-- the tree code.
+-- Someone who only has a link never learns the tree code: a token lookup
+-- returns the tree without it, and family_trees rows are no longer readable
+-- by everyone, only by owners and members who didn't join through a link.
+
+CREATE TABLE IF NOT EXISTS tree_share_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  permission TEXT NOT NULL DEFAULT 'view'
+    CHECK (permission IN ('view', 'edit')),
+  label TEXT,
+  expires_at TIMESTAMPTZ,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tree_share_tokens_tree_id
+  ON tree_share_tokens(tree_id);
+
+-- The link a membership came from, so revoking the link revokes the role
+ALTER TABLE tree_members
+  ADD COLUMN IF NOT EXISTS share_token_id UUID REFERENCES tree_share_tokens(id) ON DELETE CASCADE;
+
+ALTER TABLE tree_share_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Owners can see share tokens"
+  ON tree_share_tokens FOR SELECT USING (tree_role(tree_id) = 'owner');
+CREATE POLICY "Owners can create share tokens"
+  ON tree_share_tokens FOR INSERT WITH CHECK (tree_role(tree_id) = 'owner');
+CREATE POLICY "Owners can update share tokens"
+  ON tree_share_tokens FOR UPDATE USING (tree_role(tree_id) = 'owner');
+CREATE POLICY "Owners can delete share tokens"
+  ON tree_share_tokens FOR DELETE USING (tree_role(tree_id) = 'owner');
+
+-- A tree code or an unexpired share token -> the tree and what the link allows
+-- Returns NULL when nothing matches. permission is NULL for the tree code.
+CREATE OR REPLACE FUNCTION resolve_tree_code(p_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  SELECT jsonb_build_object('tree', to_jsonb(t), 'permission', NULL, 'label', NULL)
+  INTO result
+  FROM family_trees t
+  WHERE t.tree_code = upper(p_code);
+
+  IF result IS NOT NULL THEN
+    RETURN result;
+  END IF;
+
+  SELECT jsonb_build_object('tree', to_jsonb(t) - 'tree_code', 'permission', s.permission, 'label', s.label)
+  INTO result
+  FROM tree_share_tokens s
+  JOIN family_trees t ON t.id = s.tree_id
+  WHERE s.token = upper(p_code)
+    AND (s.expires_at IS NULL OR s.expires_at > now());
+
+  RETURN result;
+END;
+$$;
+
+-- A membership from a link counts only while the link is unexpired
+CREATE OR REPLACE FUNCTION tree_role(p_tree_id UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT m.role FROM tree_members m
+  LEFT JOIN tree_share_tokens s ON s.id = m.share_token_id
+  WHERE m.tree_id = p_tree_id AND m.user_id = auth.uid()
+    AND (s.expires_at IS NULL OR s.expires_at > now())
+$$;
+
+-- Requests carrying an unexpired share token read the tree too
+CREATE OR REPLACE FUNCTION can_read_tree(p_tree_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT tree_role(p_tree_id) IS NOT NULL
+    OR EXISTS (SELECT 1 FROM family_trees WHERE id = p_tree_id AND tree_code = request_tree_code())
+    OR EXISTS (
+      SELECT 1 FROM tree_share_tokens
+      WHERE tree_id = p_tree_id AND token = request_tree_code()
+        AND (expires_at IS NULL OR expires_at > now())
+    )
+$$;
+
+-- A role an owner sets by hand no longer depends on the link it came from
+CREATE OR REPLACE FUNCTION detach_changed_role()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.role <> OLD.role AND NEW.share_token_id IS NOT DISTINCT FROM OLD.share_token_id THEN
+    NEW.share_token_id := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tree_members_detach_changed_role ON tree_members;
+CREATE TRIGGER tree_members_detach_changed_role
+  BEFORE UPDATE ON tree_members
+  FOR EACH ROW EXECUTE FUNCTION detach_changed_role();
+
+-- Whether the caller's membership of a tree came from a link
+CREATE OR REPLACE FUNCTION joined_through_link(p_tree_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM tree_members
+    WHERE tree_id = p_tree_id AND user_id = auth.uid() AND share_token_id IS NOT NULL
+  )
+$$;
+
+-- Trees are found through resolve_tree_code(); reading the table directly
+-- (and with it the tree code) needs ownership or a membership that didn't
+-- come from a link
+DROP POLICY IF EXISTS "Anyone can read family trees" ON family_trees;
+CREATE POLICY "Members can read their trees"
+  ON family_trees FOR SELECT
+  USING (tree_role(id) = 'owner' OR (tree_role(id) IS NOT NULL AND NOT joined_through_link(id)));
+
+-- join_family_tree() takes the code the page was opened with instead of a
+-- tree id, so joining needs the tree code or an unexpired token. Joining
+-- through an edit link makes you an editor (viewers are promoted; owners and
+-- editors keep their role), through a view link a viewer tied to that link.
+-- A membership whose link has expired is replaced.
+DROP FUNCTION IF EXISTS join_family_tree(UUID);
+DROP FUNCTION IF EXISTS join_family_tree(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION join_family_tree(p_code TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  target_tree UUID;
+  link_id UUID;
+  link_permission TEXT;
+  existing_role TEXT;
+  new_role TEXT;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to join a tree';
+  END IF;
+
+  SELECT id INTO target_tree FROM family_trees WHERE tree_code = upper(p_code);
+
+  IF target_tree IS NULL THEN
+    SELECT tree_id, id, permission INTO target_tree, link_id, link_permission
+    FROM tree_share_tokens
+    WHERE token = upper(p_code)
+      AND (expires_at IS NULL OR expires_at > now());
+
+    IF target_tree IS NULL THEN
+      RAISE EXCEPTION 'This link has expired or been revoked';
+    END IF;
+  END IF;
+
+  existing_role := tree_role(target_tree);
+
+  IF link_permission = 'edit' AND existing_role = 'viewer' THEN
+    UPDATE tree_members
+    SET role = 'editor', share_token_id = link_id
+    WHERE tree_id = target_tree AND user_id = auth.uid();
+    RETURN 'editor';
+  END IF;
+
+  IF existing_role IS NOT NULL THEN
+    RETURN existing_role;
+  END IF;
+
+  new_role := CASE WHEN link_permission = 'edit' THEN 'editor' ELSE 'viewer' END;
+
+  INSERT INTO tree_members (tree_id, user_id, email, role, share_token_id)
+  VALUES (target_tree, auth.uid(), auth.jwt() ->> 'email', new_role, link_id)
+  ON CONFLICT (tree_id, user_id)
+  DO UPDATE SET role = EXCLUDED.role, share_token_id = EXCLUDED.share_token_id;
+
+  RETURN new_role;
+END;
+$$;
@@ -0,0 +1,91 @@
+-- Change history
+--
+-- Every insert, update and delete of a member or relationship row is logged
+-- by a trigger, so nothing written through supabase-client.js (or anything
+-- else) slips past it. Each entry keeps the row before and after the change,
+-- who made it and when. member_ids lists the people a row is about (the
+-- member, or both ends of a relationship) so a person's history is one query.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  table_name TEXT NOT NULL,
+  row_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  before JSONB,
+  after JSONB,
+  member_ids UUID[] NOT NULL DEFAULT '{}',
+  actor_id UUID,
+  actor_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_tree_id ON audit_log(tree_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_member_ids ON audit_log USING GIN (member_ids);
+
+CREATE OR REPLACE FUNCTION record_audit_entry()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END;
+  new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END;
+  row_data JSONB := COALESCE(new_row, old_row);
+  people UUID[];
+BEGIN
+  -- Saving a form without changing anything is not a revision
+  IF TG_OP = 'UPDATE' AND (old_row - 'updated_at') = (new_row - 'updated_at') THEN
+    RETURN NEW;
+  END IF;
+
+  people := CASE TG_TABLE_NAME
+    WHEN 'family_members' THEN ARRAY[(row_data ->> 'id')::UUID]
+    WHEN 'parent_child_relationships' THEN ARRAY[(row_data ->> 'parent_id')::UUID, (row_data ->> 'child_id')::UUID]
+    WHEN 'spousal_relationships' THEN ARRAY[(row_data ->> 'person1_id')::UUID, (row_data ->> 'person2_id')::UUID]
+    ELSE '{}'::UUID[]
+  END;
+
+  -- Rows removed because their tree is being deleted have nowhere to be logged
+  IF NOT EXISTS (SELECT 1 FROM family_trees WHERE id = (row_data ->> 'tree_id')::UUID) THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  INSERT INTO audit_log (tree_id, table_name, row_id, action, before, after, member_ids, actor_id, actor_email)
+  VALUES (
+    (row_data ->> 'tree_id')::UUID,
+    TG_TABLE_NAME,
+    (row_data ->> 'id')::UUID,
+    CASE TG_OP WHEN 'INSERT' THEN 'create' WHEN 'UPDATE' THEN 'update' ELSE 'delete' END,
+    old_row,
+    new_row,
+    people,
+    auth.uid(),
+    auth.jwt() ->> 'email'
+  );
+
+  RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS family_members_audit ON family_members;
+CREATE TRIGGER family_members_audit
+  AFTER INSERT OR UPDATE OR DELETE ON family_members
+  FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+DROP TRIGGER IF EXISTS parent_child_relationships_audit ON parent_child_relationships;
+CREATE TRIGGER parent_child_relationships_audit
+  AFTER INSERT OR UPDATE OR DELETE ON parent_child_relationships
+  FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+DROP TRIGGER IF EXISTS spousal_relationships_audit ON spousal_relationships;
+CREATE TRIGGER spousal_relationships_audit
+  AFTER INSERT OR UPDATE OR DELETE ON spousal_relationships
+  FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+-- The log is written only by the trigger and read by the tree's owners and
+-- editors: it holds every row's full values, which viewers of a tree that
+-- hides living people must not see
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Editors can read their trees' history"
+  ON audit_log FOR SELECT USING (can_edit_tree(tree_id));
@@ -0,0 +1,55 @@
+-- Recycle bin
+--
+-- Deleting a person no longer removes or blanks their row. It is flagged with
+-- deleted_at and hidden, and so are the relationships it took with it
+-- (deleted_with = the person whose deletion hid the link). Restoring the
+-- person brings those links back; a link whose other end is also in the bin
+-- waits for that person instead (its deleted_with moves to them).
+-- recycle_bin_days is how long a tree keeps deleted people before they are
+-- purged for good (NULL = keep them until someone empties the bin).
+
+ALTER TABLE family_members
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by_email TEXT;
+
+ALTER TABLE parent_child_relationships
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_with UUID;
+
+ALTER TABLE spousal_relationships
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_with UUID;
+
+CREATE INDEX IF NOT EXISTS idx_family_members_deleted
+  ON family_members(tree_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE family_trees
+  ADD COLUMN IF NOT EXISTS recycle_bin_days INTEGER DEFAULT 30;
+
+ALTER TABLE family_trees
+  DROP CONSTRAINT IF EXISTS family_trees_recycle_bin_days_check;
+
+ALTER TABLE family_trees
+  ADD CONSTRAINT family_trees_recycle_bin_days_check
+  CHECK (recycle_bin_days IS NULL OR recycle_bin_days > 0);
+
+-- Who deleted someone comes from the session when there is one, so it can't
+-- be made up; without one (local sign-in) the app's value is kept
+CREATE OR REPLACE FUNCTION stamp_member_deletion()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.deleted_at IS NULL THEN
+    NEW.deleted_by_email := NULL;
+  ELSIF OLD.deleted_at IS NULL THEN
+    NEW.deleted_by_email := COALESCE(auth.jwt() ->> 'email', NEW.deleted_by_email);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS family_members_stamp_deletion ON family_members;
+CREATE TRIGGER family_members_stamp_deletion
+  BEFORE UPDATE OF deleted_at ON family_members
+  FOR EACH ROW EXECUTE FUNCTION stamp_member_deletion();
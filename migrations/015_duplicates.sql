@@ -0,0 +1,29 @@
+-- Duplicate people
+--
+-- The duplicate finder suggests pairs of members that look like the same
+-- person. A pair an editor has marked as "not the same person" is kept here
+-- so it isn't suggested again, to them or anyone else. member1_id is always
+-- the smaller id, so a pair is stored once whichever way round it was
+-- dismissed. Merging or deleting either person removes the row.
+
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tree_id UUID NOT NULL REFERENCES family_trees(id) ON DELETE CASCADE,
+  member1_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+  member2_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (member1_id, member2_id),
+  CHECK (member1_id < member2_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_dismissals_tree_id
+  ON duplicate_dismissals(tree_id);
+
+ALTER TABLE duplicate_dismissals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Editors can see duplicate dismissals"
+  ON duplicate_dismissals FOR SELECT USING (can_edit_tree(tree_id));
+CREATE POLICY "Editors can dismiss duplicates"
+  ON duplicate_dismissals FOR INSERT WITH CHECK (can_edit_tree(tree_id));
+CREATE POLICY "Editors can undo duplicate dismissals"
+  ON duplicate_dismissals FOR DELETE USING (can_edit_tree(tree_id));
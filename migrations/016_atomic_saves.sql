@@ -0,0 +1,237 @@
+-- Atomic saves
+--
+-- A user action that writes several rows goes through one function here, so
+-- it runs as a single transaction: every row is written, or on any error none
+-- is and the tree is left as it was.
+--   create_member_with_links       - adding a person with their parent / partner links
+--   update_member_with_links       - saving the edit form: the person, their parent
+--                                    link types, new parent links, partnerships
+--                                    and their siblings' birth order
+--   move_member_to_recycle_bin     - deleting a person with their links
+--   restore_member_from_recycle_bin
+--   merge_family_members           - merging a duplicate into the person kept
+-- The functions run with the caller's rights, so row level security still
+-- decides who may write, and a row it hides counts as an error.
+
+-- Insert a row given as JSON. Only the columns present are set, so the
+-- others keep their defaults.
+CREATE OR REPLACE FUNCTION insert_json_row(p_table REGCLASS, p_row JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  column_list TEXT;
+  result JSONB;
+BEGIN
+  SELECT string_agg(quote_ident(key), ', ') INTO column_list FROM jsonb_object_keys(p_row) AS key;
+  EXECUTE format(
+    'INSERT INTO %1$s AS t (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::%1$s, $1) RETURNING to_jsonb(t.*)',
+    p_table, column_list
+  ) INTO result USING p_row;
+  RETURN result;
+END;
+$$;
+
+-- Update the columns present in p_values of one row; fails if the row
+-- doesn't exist or the caller may not change it
+CREATE OR REPLACE FUNCTION update_json_row(p_table REGCLASS, p_id UUID, p_values JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  assignments TEXT;
+  result JSONB;
+BEGIN
+  SELECT string_agg(format('%1$I = r.%1$I', key), ', ') INTO assignments
+  FROM jsonb_object_keys(p_values) AS key
+  WHERE key NOT IN ('id', 'tree_id', 'created_at');
+
+  IF assignments IS NULL THEN
+    EXECUTE format('SELECT to_jsonb(t.*) FROM %s AS t WHERE t.id = $1', p_table) INTO result USING p_id;
+  ELSE
+    EXECUTE format(
+      'UPDATE %1$s AS t SET %2$s FROM jsonb_populate_record(NULL::%1$s, $1) AS r WHERE t.id = $2 RETURNING to_jsonb(t.*)',
+      p_table, assignments
+    ) INTO result USING p_values, p_id;
+  END IF;
+
+  IF result IS NULL THEN
+    RAISE EXCEPTION 'No % row % to update', p_table, p_id;
+  END IF;
+  RETURN result;
+END;
+$$;
+
+-- Rows with an id are updated, the rest are inserted into the tree
+CREATE OR REPLACE FUNCTION save_json_rows(p_table REGCLASS, p_tree_id UUID, p_rows JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  row_data JSONB;
+  saved JSONB := '[]'::JSONB;
+BEGIN
+  FOR row_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_rows, '[]'::JSONB)) LOOP
+    saved := saved || jsonb_build_array(
+      CASE WHEN row_data ? 'id'
+        THEN update_json_row(p_table, (row_data ->> 'id')::UUID, row_data - 'id')
+        ELSE insert_json_row(p_table, row_data || jsonb_build_object('tree_id', p_tree_id))
+      END
+    );
+  END LOOP;
+  RETURN saved;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION create_member_with_links(
+  p_member JSONB,
+  p_parent_child JSONB DEFAULT '[]',
+  p_spousal JSONB DEFAULT '[]'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  member JSONB;
+  tree UUID;
+BEGIN
+  member := insert_json_row('family_members', p_member);
+  tree := (member ->> 'tree_id')::UUID;
+  RETURN jsonb_build_object(
+    'member', member,
+    'parent_child', save_json_rows('parent_child_relationships', tree, p_parent_child),
+    'spousal', save_json_rows('spousal_relationships', tree, p_spousal)
+  );
+END;
+$$;
+
+-- p_members: [{ id, ...columns }] for other people the form changes (birth
+-- order and multiple births of siblings); they are only ever updated
+CREATE OR REPLACE FUNCTION update_member_with_links(
+  p_member_id UUID,
+  p_updates JSONB,
+  p_parent_child JSONB DEFAULT '[]',
+  p_spousal JSONB DEFAULT '[]',
+  p_members JSONB DEFAULT '[]'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  member JSONB;
+  tree UUID;
+  row_data JSONB;
+  others JSONB := '[]'::JSONB;
+BEGIN
+  member := update_json_row('family_members', p_member_id, p_updates);
+  tree := (member ->> 'tree_id')::UUID;
+
+  FOR row_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_members, '[]'::JSONB)) LOOP
+    others := others || jsonb_build_array(
+      update_json_row('family_members', (row_data ->> 'id')::UUID, row_data - 'id')
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'member', member,
+    'members', others,
+    'parent_child', save_json_rows('parent_child_relationships', tree, p_parent_child),
+    'spousal', save_json_rows('spousal_relationships', tree, p_spousal)
+  );
+END;
+$$;
+
+-- Links already in the bin (with someone deleted earlier) keep their flags
+CREATE OR REPLACE FUNCTION move_member_to_recycle_bin(p_member_id UUID, p_deleted_by_email TEXT DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted TIMESTAMPTZ := now();
+BEGIN
+  UPDATE parent_child_relationships
+  SET deleted_at = deleted, deleted_with = p_member_id
+  WHERE deleted_at IS NULL AND (parent_id = p_member_id OR child_id = p_member_id);
+
+  UPDATE spousal_relationships
+  SET deleted_at = deleted, deleted_with = p_member_id
+  WHERE deleted_at IS NULL AND (person1_id = p_member_id OR person2_id = p_member_id);
+
+  UPDATE family_members
+  SET deleted_at = deleted, deleted_by_email = p_deleted_by_email
+  WHERE id = p_member_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No family member % to delete', p_member_id;
+  END IF;
+END;
+$$;
+
+-- p_hand_over: [{ table, id, deleted_at, deleted_with }] (see planRestore in recycle-bin.js)
+CREATE OR REPLACE FUNCTION restore_member_from_recycle_bin(
+  p_member_id UUID,
+  p_parent_child UUID[] DEFAULT '{}',
+  p_spousal UUID[] DEFAULT '{}',
+  p_hand_over JSONB DEFAULT '[]'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  link JSONB;
+BEGIN
+  UPDATE family_members SET deleted_at = NULL, deleted_by_email = NULL WHERE id = p_member_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No family member % to restore', p_member_id;
+  END IF;
+
+  UPDATE parent_child_relationships SET deleted_at = NULL, deleted_with = NULL WHERE id = ANY(p_parent_child);
+  UPDATE spousal_relationships SET deleted_at = NULL, deleted_with = NULL WHERE id = ANY(p_spousal);
+
+  FOR link IN SELECT * FROM jsonb_array_elements(p_hand_over) LOOP
+    PERFORM update_json_row(
+      (link ->> 'table')::REGCLASS,
+      (link ->> 'id')::UUID,
+      jsonb_build_object('deleted_at', link -> 'deleted_at', 'deleted_with', link -> 'deleted_with')
+    );
+  END LOOP;
+END;
+$$;
+
+-- p_plan comes from planMerge in duplicates.js
+CREATE OR REPLACE FUNCTION merge_family_members(p_keep_id UUID, p_other_id UUID, p_plan JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  link JSONB;
+  kinds CONSTANT JSONB := '[
+    { "table": "parent_child_relationships", "column": "parent_child_relationship_id", "plan": "parentChild" },
+    { "table": "spousal_relationships", "column": "spousal_relationship_id", "plan": "spousal" }
+  ]';
+  kind JSONB;
+BEGIN
+  PERFORM update_json_row('family_members', p_keep_id, p_plan -> 'updates');
+  UPDATE citations SET member_id = p_keep_id WHERE member_id = p_other_id;
+  UPDATE member_media SET member_id = p_keep_id WHERE member_id = p_other_id;
+
+  FOR kind IN SELECT * FROM jsonb_array_elements(kinds) LOOP
+    -- Citations of a dropped link move to the copy that stays
+    FOR link IN SELECT * FROM jsonb_array_elements(p_plan -> (kind ->> 'plan') -> 'dropped') LOOP
+      IF link ->> 'keptId' IS NOT NULL THEN
+        EXECUTE format('UPDATE citations SET %1$I = $1 WHERE %1$I = $2', kind ->> 'column')
+        USING (link ->> 'keptId')::UUID, (link ->> 'id')::UUID;
+      END IF;
+      EXECUTE format('DELETE FROM %I WHERE id = $1', kind ->> 'table') USING (link ->> 'id')::UUID;
+    END LOOP;
+
+    FOR link IN SELECT * FROM jsonb_array_elements(p_plan -> (kind ->> 'plan') -> 'moved') LOOP
+      PERFORM update_json_row((kind ->> 'table')::REGCLASS, (link ->> 'id')::UUID, link - 'id');
+    END LOOP;
+  END LOOP;
+
+  DELETE FROM family_members WHERE id = p_other_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No family member % to merge', p_other_id;
+  END IF;
+END;
+$$;
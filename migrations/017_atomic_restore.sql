@@ -0,0 +1,42 @@
+-- Atomic restore
+--
+-- Restoring a backup in replace mode empties the tree and fills it from the
+-- backup in one transaction: if any row fails, the tree is left exactly as it
+-- was. Media rows go with the rest; their files are removed by the app only
+-- after this succeeds. Uses insert_json_row() from 016_atomic_saves.sql and
+-- runs with the caller's rights, so only editors can do it.
+--
+-- p_rows: { family_members, parent_child_relationships, spousal_relationships,
+--           sources, citations } - arrays of rows with their ids filled in;
+--           tree_id is set here
+
+CREATE OR REPLACE FUNCTION replace_tree_contents(p_tree_id UUID, p_rows JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  -- Parents before the rows that point at them
+  tables CONSTANT TEXT[] := ARRAY[
+    'family_members', 'parent_child_relationships', 'spousal_relationships', 'sources', 'citations'
+  ];
+  tbl TEXT;
+  row_data JSONB;
+BEGIN
+  IF NOT can_edit_tree(p_tree_id) THEN
+    RAISE EXCEPTION 'Only owners and editors can restore this tree';
+  END IF;
+
+  DELETE FROM citations WHERE tree_id = p_tree_id;
+  DELETE FROM sources WHERE tree_id = p_tree_id;
+  DELETE FROM member_media WHERE tree_id = p_tree_id;
+  DELETE FROM spousal_relationships WHERE tree_id = p_tree_id;
+  DELETE FROM parent_child_relationships WHERE tree_id = p_tree_id;
+  DELETE FROM family_members WHERE tree_id = p_tree_id;
+
+  FOREACH tbl IN ARRAY tables LOOP
+    FOR row_data IN SELECT * FROM jsonb_array_elements(COALESCE(p_rows -> tbl, '[]'::JSONB)) LOOP
+      PERFORM insert_json_row(tbl::REGCLASS, row_data || jsonb_build_object('tree_id', p_tree_id));
+    END LOOP;
+  END LOOP;
+END;
+$$;